@@ -27,7 +27,7 @@ export async function authenticate(req, res, next) {
     
     // Get user from database to ensure they still exist and are active
     const user = await dbGet(
-      'SELECT id, email, name, role, organization_id, email_verified FROM users WHERE id = ?',
+      'SELECT id, email, name, role, department, organization_id, email_verified FROM users WHERE id = ?',
       [decoded.userId]
     );
     
@@ -45,6 +45,7 @@ export async function authenticate(req, res, next) {
       email: user.email,
       name: user.name,
       role: user.role,
+      departmentId: user.department,
       organizationId: user.organization_id
     };
     
@@ -75,7 +76,7 @@ export async function optionalAuthenticate(req, res, next) {
     if (token) {
       const decoded = verifyToken(token);
       const user = await dbGet(
-        'SELECT id, email, name, role, organization_id, email_verified FROM users WHERE id = ?',
+        'SELECT id, email, name, role, department, organization_id, email_verified FROM users WHERE id = ?',
         [decoded.userId]
       );
       
@@ -85,6 +86,7 @@ export async function optionalAuthenticate(req, res, next) {
           email: user.email,
           name: user.name,
           role: user.role,
+          departmentId: user.department,
           organizationId: user.organization_id
         };
       }
@@ -0,0 +1,184 @@
+import { dbGet } from '../db-helpers.js';
+import supabase from '../db.js';
+import { canViewObjective } from '../utils/visibility.js';
+
+// Who may do what to an objective (and its key results, contributors and comments)
+//   owner              - the objective's owner
+//   contributor        - listed in objective_contributors
+//   department_manager - manager_id of the objective's department
+//   Admin / Manager    - organization roles
+//   member             - anyone else in the organization who can see the objective
+// Objectives hidden by their visibility level are out of reach for every action.
+export const OBJECTIVE_PERMISSIONS = {
+  view: ['owner', 'contributor', 'department_manager', 'Manager', 'Admin', 'member'],
+  edit: ['owner', 'department_manager', 'Manager', 'Admin'],
+  progress: ['owner', 'contributor', 'department_manager', 'Manager', 'Admin'],
+  comment: ['owner', 'contributor', 'department_manager', 'Manager', 'Admin', 'member'],
+  delete: ['owner', 'department_manager', 'Admin'],
+  approve: ['department_manager', 'Admin']
+};
+
+const ACTION_DESCRIPTIONS = {
+  view: 'view this objective',
+  edit: 'edit this objective',
+  progress: 'update progress on this objective',
+  comment: 'comment on this objective',
+  delete: 'delete this objective',
+  approve: 'approve or reject this objective'
+};
+
+const RELATIONSHIP_NAMES = {
+  owner: 'the objective owner',
+  contributor: 'contributors',
+  department_manager: 'the department manager',
+  Manager: 'managers',
+  Admin: 'admins',
+  member: 'organization members'
+};
+
+/**
+ * Work out how a user relates to an objective
+ * @param {Object} objective - Objective row
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { relationships, canView } - relationships is a list of OBJECTIVE_PERMISSIONS keys
+ */
+export async function getObjectiveRelationships(objective, user) {
+  return (await getObjectivesRelationships([objective], user)).get(objective.id);
+}
+
+/**
+ * Work out how a user relates to several objectives at once (three queries however many there are)
+ * @param {Array<Object>} objectives - Objective rows
+ * @param {Object} user - req.user
+ * @returns {Promise<Map>} Objective ID to { relationships, canView }
+ */
+export async function getObjectivesRelationships(objectives, user) {
+  const objectiveIds = objectives.map(objective => objective.id);
+  const departmentIds = [...new Set(objectives.map(objective => objective.department_id).filter(Boolean))];
+
+  const [{ data: contributions, error: contributionsError }, { data: viewerRows, error: viewersError }, { data: departments, error: departmentsError }] = await Promise.all([
+    supabase
+      .from('objective_contributors')
+      .select('objective_id')
+      .in('objective_id', objectiveIds)
+      .eq('user_id', user.id),
+    supabase
+      .from('objective_viewers')
+      .select('objective_id')
+      .in('objective_id', objectiveIds)
+      .eq('user_id', user.id),
+    departmentIds.length > 0
+      ? supabase.from('departments').select('id, manager_id').in('id', departmentIds)
+      : { data: [] }
+  ]);
+
+  if (contributionsError) throw contributionsError;
+  if (viewersError) throw viewersError;
+  if (departmentsError) throw departmentsError;
+
+  const contributed = new Set((contributions || []).map(row => row.objective_id));
+  const listed = new Set((viewerRows || []).map(row => row.objective_id));
+  const managers = new Map((departments || []).map(department => [department.id, department.manager_id]));
+
+  const viewer = {
+    id: user.id,
+    role: user.role,
+    organizationId: user.organizationId,
+    departmentId: user.departmentId || null,
+    objectiveIds: new Set([...contributed, ...listed])
+  };
+
+  return new Map(objectives.map(objective => {
+    const relationships = ['member', user.role];
+    if (objective.owner_id && objective.owner_id === user.id) relationships.push('owner');
+    if (contributed.has(objective.id)) relationships.push('contributor');
+    const managerId = managers.get(objective.department_id);
+    if (managerId && managerId === user.id) relationships.push('department_manager');
+
+    return [objective.id, { relationships, canView: canViewObjective(objective, viewer) }];
+  }));
+}
+
+/**
+ * Check whether a set of relationships allows an action
+ * @param {string} action - Key of OBJECTIVE_PERMISSIONS
+ * @param {Array<string>} relationships - From getObjectiveRelationships
+ * @returns {Object} { allowed, reason } - reason explains a refusal
+ */
+export function checkObjectivePermission(action, relationships) {
+  const allowedFor = OBJECTIVE_PERMISSIONS[action] || [];
+  if (relationships.some(relationship => allowedFor.includes(relationship))) {
+    return { allowed: true, reason: null };
+  }
+
+  const names = allowedFor.map(relationship => RELATIONSHIP_NAMES[relationship]);
+  const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+  return {
+    allowed: false,
+    reason: `Only ${list} can ${ACTION_DESCRIPTIONS[action] || action}`
+  };
+}
+
+/**
+ * Resolve the objective behind a route and check the user may act on it
+ * Must run after authenticate. Sets req.objective and req.objectiveRelationships.
+ * Objectives outside the user's organization, hidden from them, or soft-deleted are reported as missing.
+ * @param {string|Function} action - Key of OBJECTIVE_PERMISSIONS, or (req) => action
+ * @param {Object} options - { resolveObjectiveId: async (req) => objective id, notFound: error message,
+ *   allowDeleted: true for routes that act on soft-deleted objectives (delete, restore) }
+ */
+export function requireObjectivePermission(action, { resolveObjectiveId = req => req.params.id, notFound = 'Objective not found', allowDeleted = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const objectiveId = await resolveObjectiveId(req);
+      const objective = objectiveId
+        ? await dbGet('SELECT * FROM objectives WHERE id = ?', [objectiveId])
+        : null;
+
+      if (!objective || objective.organization_id !== req.user.organizationId || (objective.deleted_at && !allowDeleted)) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      const { relationships, canView } = await getObjectiveRelationships(objective, req.user);
+      if (!canView) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      const requiredAction = typeof action === 'function' ? action(req) : action;
+      const { allowed, reason } = checkObjectivePermission(requiredAction, relationships);
+      if (!allowed) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          action: requiredAction,
+          reason
+        });
+      }
+
+      req.objective = objective;
+      req.objectiveRelationships = relationships;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Resolve the objective of a key result route (/api/key-results/:id)
+ */
+export async function keyResultObjectiveId(req) {
+  const keyResult = await dbGet('SELECT objective_id FROM key_results WHERE id = ?', [req.params.id]);
+  return keyResult?.objective_id || null;
+}
+
+/**
+ * Resolve the objective of a comment route (/api/comments/:id)
+ */
+export async function commentObjectiveId(req) {
+  const comment = await dbGet('SELECT objective_id FROM comments WHERE id = ?', [req.params.id]);
+  return comment?.objective_id || null;
+}
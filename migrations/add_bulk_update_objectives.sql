@@ -0,0 +1,41 @@
+-- Atomic bulk update of objectives used by POST /api/objectives/bulk
+-- p_items is a JSON array of { "id": "...", "patch": { field: value, ... } }
+-- Only fields present in a patch are changed; any missing objective aborts the whole batch.
+CREATE OR REPLACE FUNCTION bulk_update_objectives(p_organization_id TEXT, p_items JSONB)
+RETURNS SETOF objectives
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  item JSONB;
+  patch JSONB;
+BEGIN
+  FOR item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    patch := item->'patch';
+
+    UPDATE objectives SET
+      title = CASE WHEN patch ? 'title' THEN patch->>'title' ELSE title END,
+      description = CASE WHEN patch ? 'description' THEN patch->>'description' ELSE description END,
+      owner_id = CASE WHEN patch ? 'owner_id' THEN patch->>'owner_id' ELSE owner_id END,
+      department_id = CASE WHEN patch ? 'department_id' THEN patch->>'department_id' ELSE department_id END,
+      cycle_id = CASE WHEN patch ? 'cycle_id' THEN patch->>'cycle_id' ELSE cycle_id END,
+      status = CASE WHEN patch ? 'status' THEN patch->>'status' ELSE status END,
+      priority = CASE WHEN patch ? 'priority' THEN patch->>'priority' ELSE priority END,
+      start_date = CASE WHEN patch ? 'start_date' THEN (patch->>'start_date')::DATE ELSE start_date END,
+      due_date = CASE WHEN patch ? 'due_date' THEN (patch->>'due_date')::DATE ELSE due_date END,
+      tags = CASE WHEN patch ? 'tags' THEN patch->'tags' ELSE tags END,
+      completed_at = CASE WHEN patch->>'status' = 'Completed' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = item->>'id'
+      AND organization_id = p_organization_id
+      AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Objective % not found', item->>'id';
+    END IF;
+  END LOOP;
+
+  RETURN QUERY
+    SELECT * FROM objectives
+    WHERE id IN (SELECT value->>'id' FROM jsonb_array_elements(p_items));
+END;
+$$;
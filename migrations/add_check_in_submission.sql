@@ -0,0 +1,53 @@
+-- Atomic check-in used by POST /api/objectives/:id/check-ins
+-- p_check_in is the check_ins row; p_key_results is a JSON array of
+-- { "id", "current_value", "progress_percentage", "previous_value", "progress_update_id", "notes" }.
+-- The check-in, the key result values and their progress_updates rows are written together,
+-- or not at all. Run after add_check_ins.sql.
+CREATE OR REPLACE FUNCTION submit_check_in(p_check_in JSONB, p_key_results JSONB)
+RETURNS check_ins
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  item JSONB;
+  check_in check_ins;
+BEGIN
+  INSERT INTO check_ins (id, objective_id, user_id, what_moved, blocked, next_steps)
+  VALUES (
+    p_check_in->>'id',
+    p_check_in->>'objective_id',
+    p_check_in->>'user_id',
+    p_check_in->>'what_moved',
+    p_check_in->>'blocked',
+    p_check_in->>'next_steps'
+  )
+  RETURNING * INTO check_in;
+
+  FOR item IN SELECT * FROM jsonb_array_elements(p_key_results) LOOP
+    UPDATE key_results SET
+      current_value = (item->>'current_value')::DOUBLE PRECISION,
+      progress_percentage = (item->>'progress_percentage')::DOUBLE PRECISION,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = item->>'id'
+      AND objective_id = check_in.objective_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Key result % not found', item->>'id';
+    END IF;
+
+    INSERT INTO progress_updates (
+      id, objective_id, key_result_id, user_id, previous_value, new_value, notes, check_in_id
+    ) VALUES (
+      item->>'progress_update_id',
+      check_in.objective_id,
+      item->>'id',
+      check_in.user_id,
+      (item->>'previous_value')::DOUBLE PRECISION,
+      (item->>'current_value')::DOUBLE PRECISION,
+      COALESCE(item->>'notes', ''),
+      check_in.id
+    );
+  END LOOP;
+
+  RETURN check_in;
+END;
+$$;
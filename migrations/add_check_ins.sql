@@ -0,0 +1,32 @@
+-- Structured check-ins (what moved, what's blocked, next steps) submitted per objective
+CREATE TABLE IF NOT EXISTS check_ins (
+  id TEXT PRIMARY KEY,
+  objective_id TEXT NOT NULL,
+  user_id TEXT,
+  what_moved TEXT,
+  blocked TEXT,
+  next_steps TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (objective_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Key result progress updates generated by a check-in
+ALTER TABLE progress_updates ADD COLUMN IF NOT EXISTS check_in_id TEXT;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'progress_updates_check_in_id_fkey'
+  ) THEN
+    ALTER TABLE progress_updates ADD CONSTRAINT progress_updates_check_in_id_fkey 
+      FOREIGN KEY (check_in_id) REFERENCES check_ins(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Expected check-in cadence per objective: weekly, biweekly, monthly (NULL for none)
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS check_in_cadence TEXT;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_check_ins_objective_id ON check_ins(objective_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_progress_updates_check_in_id ON progress_updates(check_in_id) WHERE check_in_id IS NOT NULL;
@@ -0,0 +1,27 @@
+-- Confidence check-ins on objectives and key results
+CREATE TABLE IF NOT EXISTS confidence_check_ins (
+  id TEXT PRIMARY KEY,
+  objective_id TEXT NOT NULL,
+  key_result_id TEXT, -- NULL for check-ins on the objective itself
+  user_id TEXT,
+  status TEXT NOT NULL CHECK (status IN ('on_track', 'at_risk', 'off_track')),
+  score INTEGER NOT NULL CHECK (score BETWEEN 1 AND 10),
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (objective_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (key_result_id) REFERENCES key_results(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Latest check-in, kept on the row so health can be computed without a join
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS confidence_status TEXT;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS confidence_score INTEGER;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS confidence_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS confidence_status TEXT;
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS confidence_score INTEGER;
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS confidence_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_confidence_check_ins_objective_id ON confidence_check_ins(objective_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_confidence_check_ins_key_result_id ON confidence_check_ins(key_result_id, created_at DESC) WHERE key_result_id IS NOT NULL;
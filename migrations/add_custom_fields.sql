@@ -0,0 +1,52 @@
+-- Organization-defined custom fields on objectives and key results
+CREATE TABLE IF NOT EXISTS custom_field_definitions (
+  id TEXT PRIMARY KEY,
+  organization_id TEXT NOT NULL,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('objective', 'key_result')),
+  key TEXT NOT NULL,
+  label TEXT NOT NULL,
+  field_type TEXT NOT NULL CHECK (field_type IN ('text', 'number', 'date', 'single_select', 'multi_select', 'user')),
+  options JSONB NOT NULL DEFAULT '[]'::jsonb,
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(organization_id, entity_type, key),
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Values keyed by definition key
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_custom_field_definitions_org ON custom_field_definitions(organization_id, entity_type);
+CREATE INDEX IF NOT EXISTS idx_objectives_custom_fields ON objectives USING GIN (custom_fields);
+
+-- Drop a deleted field's values from every objective or key result in the organization
+CREATE OR REPLACE FUNCTION remove_custom_field_values(p_organization_id TEXT, p_entity_type TEXT, p_key TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  IF p_entity_type = 'objective' THEN
+    UPDATE objectives
+    SET custom_fields = custom_fields - p_key
+    WHERE organization_id = p_organization_id
+      AND custom_fields ? p_key;
+  ELSE
+    UPDATE key_results kr
+    SET custom_fields = kr.custom_fields - p_key
+    FROM objectives o
+    WHERE o.id = kr.objective_id
+      AND o.organization_id = p_organization_id
+      AND kr.custom_fields ? p_key;
+  END IF;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
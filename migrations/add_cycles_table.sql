@@ -0,0 +1,31 @@
+-- OKR cycles (quarters/periods) that objectives are planned against
+CREATE TABLE IF NOT EXISTS cycles (
+  id TEXT PRIMARY KEY,
+  organization_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  status TEXT DEFAULT 'planning', -- planning, active, closed
+  closed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE
+);
+
+-- Link objectives to a cycle
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS cycle_id TEXT;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'objectives_cycle_id_fkey'
+  ) THEN
+    ALTER TABLE objectives ADD CONSTRAINT objectives_cycle_id_fkey 
+      FOREIGN KEY (cycle_id) REFERENCES cycles(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_cycles_organization_id ON cycles(organization_id);
+CREATE INDEX IF NOT EXISTS idx_cycles_status ON cycles(organization_id, status);
+CREATE INDEX IF NOT EXISTS idx_objectives_cycle_id ON objectives(cycle_id);
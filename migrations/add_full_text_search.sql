@@ -0,0 +1,131 @@
+-- Full-text search across objectives, key results, comments and people
+-- Uses expression indexes so list queries selecting * don't return tsvector columns.
+-- The expressions in search_organization() must match these indexes exactly.
+
+CREATE INDEX IF NOT EXISTS idx_objectives_search ON objectives USING gin((
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_key_results_search ON key_results USING gin((
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_comments_search ON comments USING gin((
+  to_tsvector('english', coalesce(content, ''))
+));
+
+-- People are matched on names and emails, so no stemming
+CREATE INDEX IF NOT EXISTS idx_users_search ON users USING gin((
+  to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(email, ''))
+));
+
+-- Ranked, organization-scoped search with highlighted snippets
+-- p_types limits results to any of: objective, key_result, comment, user (NULL = all)
+CREATE OR REPLACE FUNCTION search_organization(
+  p_organization_id TEXT,
+  p_query TEXT,
+  p_types TEXT[] DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  hit_type TEXT,
+  hit_id TEXT,
+  hit_objective_id TEXT,
+  hit_title TEXT,
+  hit_snippet TEXT,
+  hit_rank REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT
+      websearch_to_tsquery('english', p_query) AS english,
+      websearch_to_tsquery('simple', p_query) AS simple
+  )
+  SELECT * FROM (
+    SELECT
+      'objective'::TEXT,
+      o.id,
+      o.id,
+      o.title,
+      ts_headline('english', coalesce(o.title, '') || ' — ' || coalesce(o.description, ''), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(o.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(o.description, '')), 'B'),
+        q.english
+      )
+    FROM objectives o, q
+    WHERE (p_types IS NULL OR 'objective' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (
+        setweight(to_tsvector('english', coalesce(o.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(o.description, '')), 'B')
+      ) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'key_result'::TEXT,
+      kr.id,
+      kr.objective_id,
+      kr.title,
+      ts_headline('english', coalesce(kr.title, '') || ' — ' || coalesce(kr.description, ''), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(kr.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(kr.description, '')), 'B'),
+        q.english
+      )
+    FROM key_results kr
+    JOIN objectives o ON o.id = kr.objective_id, q
+    WHERE (p_types IS NULL OR 'key_result' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (
+        setweight(to_tsvector('english', coalesce(kr.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(kr.description, '')), 'B')
+      ) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'comment'::TEXT,
+      c.id,
+      c.objective_id,
+      o.title,
+      ts_headline('english', coalesce(c.content, ''), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(to_tsvector('english', coalesce(c.content, '')), q.english)
+    FROM comments c
+    JOIN objectives o ON o.id = c.objective_id, q
+    WHERE (p_types IS NULL OR 'comment' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND to_tsvector('english', coalesce(c.content, '')) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'user'::TEXT,
+      u.id,
+      NULL::TEXT,
+      u.name,
+      ts_headline('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, ''), q.simple,
+        'StartSel=<mark>, StopSel=</mark>'),
+      ts_rank(to_tsvector('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, '')), q.simple)
+    FROM users u, q
+    WHERE (p_types IS NULL OR 'user' = ANY(p_types))
+      AND u.organization_id = p_organization_id
+      AND to_tsvector('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, '')) @@ q.simple
+  ) hits
+  ORDER BY 6 DESC
+  LIMIT p_limit;
+$$;
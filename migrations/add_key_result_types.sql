@@ -0,0 +1,23 @@
+-- Add key result types and a baseline value for progress calculation
+-- type: 'increase', 'decrease', 'boolean' or 'milestone'
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS type TEXT DEFAULT 'increase';
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS start_value DOUBLE PRECISION DEFAULT 0;
+
+-- Existing key results measured current_value / target_value, i.e. an increase from 0
+UPDATE key_results SET type = 'increase' WHERE type IS NULL;
+UPDATE key_results SET start_value = 0 WHERE start_value IS NULL;
+
+-- Allow webhooks to update a single key result instead of the objective
+ALTER TABLE webhook_integrations ADD COLUMN IF NOT EXISTS key_result_id TEXT;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'webhook_integrations_key_result_id_fkey'
+  ) THEN
+    ALTER TABLE webhook_integrations ADD CONSTRAINT webhook_integrations_key_result_id_fkey 
+      FOREIGN KEY (key_result_id) REFERENCES key_results(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_integrations_key_result_id ON webhook_integrations(key_result_id) WHERE key_result_id IS NOT NULL;
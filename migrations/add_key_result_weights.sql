@@ -0,0 +1,5 @@
+-- Add per-key-result weight used for weighted objective progress
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS weight DOUBLE PRECISION DEFAULT 1;
+
+-- Existing key results count equally
+UPDATE key_results SET weight = 1 WHERE weight IS NULL;
@@ -0,0 +1,94 @@
+-- Atomic creation of a recurring objective's next occurrence, used by the recurrence job
+-- p_objective is the new objectives row (previous_occurrence_id and recurrence_series_id set);
+-- p_key_results, p_contributors and p_viewers are JSON arrays of the rows to copy onto it.
+-- Either the whole occurrence is created or nothing is, so a failed copy is retried on the
+-- next run. A second run racing this one fails on idx_objectives_previous_occurrence_id.
+-- Run after add_recurring_objectives.sql, add_objective_visibility.sql, add_custom_fields.sql
+-- and add_objective_approvals.sql.
+CREATE OR REPLACE FUNCTION create_next_occurrence(
+  p_objective JSONB,
+  p_key_results JSONB,
+  p_contributors JSONB,
+  p_viewers JSONB
+)
+RETURNS objectives
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  item JSONB;
+  next_objective objectives;
+BEGIN
+  INSERT INTO objectives (
+    id, organization_id, title, description, owner_id, department_id, parent_objective_id, cycle_id,
+    status, approved_at, approved_by, priority, start_date, due_date, target_value, current_value,
+    progress_percentage, tags, check_in_cadence, recurrence, visibility, custom_fields,
+    previous_occurrence_id, recurrence_series_id
+  ) VALUES (
+    p_objective->>'id',
+    p_objective->>'organization_id',
+    p_objective->>'title',
+    p_objective->>'description',
+    p_objective->>'owner_id',
+    p_objective->>'department_id',
+    p_objective->>'parent_objective_id',
+    p_objective->>'cycle_id',
+    p_objective->>'status',
+    (p_objective->>'approved_at')::TIMESTAMP WITH TIME ZONE,
+    p_objective->>'approved_by',
+    p_objective->>'priority',
+    (p_objective->>'start_date')::DATE,
+    (p_objective->>'due_date')::DATE,
+    (p_objective->>'target_value')::DOUBLE PRECISION,
+    (p_objective->>'current_value')::DOUBLE PRECISION,
+    0,
+    COALESCE(p_objective->'tags', '[]'::jsonb),
+    p_objective->>'check_in_cadence',
+    p_objective->>'recurrence',
+    COALESCE(p_objective->>'visibility', 'org'),
+    COALESCE(p_objective->'custom_fields', '{}'::jsonb),
+    p_objective->>'previous_occurrence_id',
+    p_objective->>'recurrence_series_id'
+  )
+  RETURNING * INTO next_objective;
+
+  -- Series membership is recorded on the first occurrence and its key results too
+  UPDATE objectives SET recurrence_series_id = next_objective.recurrence_series_id
+  WHERE id = next_objective.previous_occurrence_id AND recurrence_series_id IS NULL;
+
+  UPDATE key_results SET recurrence_series_id = id
+  WHERE objective_id = next_objective.previous_occurrence_id AND recurrence_series_id IS NULL;
+
+  FOR item IN SELECT * FROM jsonb_array_elements(p_key_results) LOOP
+    INSERT INTO key_results (
+      id, objective_id, title, description, type, start_value, target_value, current_value,
+      progress_percentage, unit, due_date, auto_update_progress, weight, custom_fields, recurrence_series_id
+    ) VALUES (
+      item->>'id',
+      next_objective.id,
+      item->>'title',
+      item->>'description',
+      COALESCE(item->>'type', 'increase'),
+      COALESCE((item->>'start_value')::DOUBLE PRECISION, 0),
+      (item->>'target_value')::DOUBLE PRECISION,
+      (item->>'current_value')::DOUBLE PRECISION,
+      0,
+      item->>'unit',
+      (item->>'due_date')::DATE,
+      COALESCE((item->>'auto_update_progress')::BOOLEAN, true),
+      COALESCE((item->>'weight')::DOUBLE PRECISION, 1),
+      COALESCE(item->'custom_fields', '{}'::jsonb),
+      item->>'recurrence_series_id'
+    );
+  END LOOP;
+
+  INSERT INTO objective_contributors (id, objective_id, user_id)
+  SELECT value->>'id', next_objective.id, value->>'user_id'
+  FROM jsonb_array_elements(p_contributors);
+
+  INSERT INTO objective_viewers (id, objective_id, user_id)
+  SELECT value->>'id', next_objective.id, value->>'user_id'
+  FROM jsonb_array_elements(p_viewers);
+
+  RETURN next_objective;
+END;
+$$;
@@ -0,0 +1,12 @@
+-- Whether a notification's recipient can still see the objective it is about.
+-- Exposed by PostgREST as a computed column, so notification lists and counts can
+-- filter on it (?visible_to_recipient=is.true). Run after add_objective_visibility.sql.
+CREATE OR REPLACE FUNCTION visible_to_recipient(n notifications)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT n.objective_id IS NULL
+    OR NOT EXISTS (SELECT 1 FROM objectives o WHERE o.id = n.objective_id)
+    OR can_view_objective(n.objective_id, n.user_id);
+$$;
@@ -0,0 +1,36 @@
+-- Approval workflow: team-level objectives move Draft -> Pending Approval -> Active (approved) or Rejected
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS approved_by TEXT;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'objectives_approved_by_fkey'
+  ) THEN
+    ALTER TABLE objectives ADD CONSTRAINT objectives_approved_by_fkey 
+      FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Audit trail of submissions, approvals and rejections
+CREATE TABLE IF NOT EXISTS objective_approvals (
+  id TEXT PRIMARY KEY,
+  objective_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('submitted', 'approved', 'rejected')),
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  user_id TEXT,
+  approver_id TEXT,
+  comment TEXT,
+  comment_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (objective_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (approver_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE SET NULL
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_objective_approvals_objective_id ON objective_approvals(objective_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_objectives_pending_approval ON objectives(organization_id, department_id) WHERE status = 'Pending Approval';
@@ -0,0 +1,18 @@
+-- "Objective A is blocked by Objective B" relations, independent of the parent/child hierarchy
+CREATE TABLE IF NOT EXISTS objective_dependencies (
+  id TEXT PRIMARY KEY,
+  objective_id TEXT NOT NULL, -- the blocked (dependent) objective
+  depends_on_id TEXT NOT NULL, -- the blocking objective
+  created_by TEXT,
+  overdue_notified_at TIMESTAMP WITH TIME ZONE, -- set once dependents are told the blocker is overdue
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(objective_id, depends_on_id),
+  CHECK (objective_id <> depends_on_id),
+  FOREIGN KEY (objective_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (depends_on_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_objective_dependencies_objective_id ON objective_dependencies(objective_id);
+CREATE INDEX IF NOT EXISTS idx_objective_dependencies_depends_on_id ON objective_dependencies(depends_on_id);
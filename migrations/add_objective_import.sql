@@ -0,0 +1,64 @@
+-- Atomic import of objectives and key results used by POST /api/objectives/import
+-- p_objectives is a JSON array of objective rows, parents before their children;
+-- p_key_results is a JSON array of key result rows for those objectives.
+-- Any failing row aborts the whole import.
+CREATE OR REPLACE FUNCTION import_objectives(p_organization_id TEXT, p_objectives JSONB, p_key_results JSONB)
+RETURNS SETOF objectives
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  item JSONB;
+BEGIN
+  FOR item IN SELECT * FROM jsonb_array_elements(p_objectives) LOOP
+    INSERT INTO objectives (
+      id, organization_id, title, description, owner_id, department_id, parent_objective_id, cycle_id,
+      status, priority, start_date, due_date, target_value, tags, custom_fields,
+      approved_at, approved_by, completed_at
+    ) VALUES (
+      item->>'id',
+      p_organization_id,
+      item->>'title',
+      item->>'description',
+      item->>'owner_id',
+      item->>'department_id',
+      item->>'parent_objective_id',
+      item->>'cycle_id',
+      COALESCE(item->>'status', 'Active'),
+      COALESCE(item->>'priority', 'Medium'),
+      (item->>'start_date')::DATE,
+      (item->>'due_date')::DATE,
+      (item->>'target_value')::DOUBLE PRECISION,
+      COALESCE(item->'tags', '[]'::jsonb),
+      COALESCE(item->'custom_fields', '{}'::jsonb),
+      (item->>'approved_at')::TIMESTAMP WITH TIME ZONE,
+      item->>'approved_by',
+      CASE WHEN item->>'status' = 'Completed' THEN CURRENT_TIMESTAMP ELSE NULL END
+    );
+  END LOOP;
+
+  FOR item IN SELECT * FROM jsonb_array_elements(p_key_results) LOOP
+    INSERT INTO key_results (
+      id, objective_id, title, description, type, start_value, target_value, current_value,
+      progress_percentage, unit, due_date, weight, custom_fields
+    ) VALUES (
+      item->>'id',
+      item->>'objective_id',
+      item->>'title',
+      item->>'description',
+      COALESCE(item->>'type', 'increase'),
+      COALESCE((item->>'start_value')::DOUBLE PRECISION, 0),
+      (item->>'target_value')::DOUBLE PRECISION,
+      (item->>'current_value')::DOUBLE PRECISION,
+      COALESCE((item->>'progress_percentage')::DOUBLE PRECISION, 0),
+      COALESCE(item->>'unit', 'percentage'),
+      (item->>'due_date')::DATE,
+      COALESCE((item->>'weight')::DOUBLE PRECISION, 1),
+      COALESCE(item->'custom_fields', '{}'::jsonb)
+    );
+  END LOOP;
+
+  RETURN QUERY
+    SELECT * FROM objectives
+    WHERE id IN (SELECT value->>'id' FROM jsonb_array_elements(p_objectives));
+END;
+$$;
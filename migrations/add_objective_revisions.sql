@@ -0,0 +1,18 @@
+-- Field-level revision history for objectives and key results
+CREATE TABLE IF NOT EXISTS objective_revisions (
+  id TEXT PRIMARY KEY,
+  objective_id TEXT NOT NULL,
+  key_result_id TEXT, -- NULL for changes to the objective itself
+  field TEXT NOT NULL,
+  old_value JSONB,
+  new_value JSONB,
+  changed_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (objective_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (key_result_id) REFERENCES key_results(id) ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_objective_revisions_objective_id ON objective_revisions(objective_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_objective_revisions_key_result_id ON objective_revisions(key_result_id) WHERE key_result_id IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Archive and soft delete support for objectives
+-- Soft-deleted objectives are purged after OBJECTIVE_RETENTION_DAYS (default 30)
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'objectives_deleted_by_fkey'
+  ) THEN
+    ALTER TABLE objectives ADD CONSTRAINT objectives_deleted_by_fkey 
+      FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_objectives_archived_at ON objectives(archived_at) WHERE archived_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_objectives_deleted_at ON objectives(deleted_at) WHERE deleted_at IS NOT NULL;
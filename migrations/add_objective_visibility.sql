@@ -0,0 +1,164 @@
+-- Objective visibility: org (default), department, private (owner and contributors)
+-- or restricted (owner, contributors and the users listed in objective_viewers)
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'org';
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'objectives_visibility_check'
+  ) THEN
+    ALTER TABLE objectives ADD CONSTRAINT objectives_visibility_check 
+      CHECK (visibility IN ('org', 'department', 'private', 'restricted'));
+  END IF;
+END $$;
+
+-- Explicit viewers of restricted objectives
+CREATE TABLE IF NOT EXISTS objective_viewers (
+  id TEXT PRIMARY KEY,
+  objective_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(objective_id, user_id),
+  FOREIGN KEY (objective_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_objective_viewers_user_id ON objective_viewers(user_id);
+CREATE INDEX IF NOT EXISTS idx_objectives_visibility ON objectives(organization_id, visibility);
+
+-- Whether a user can see an objective; mirrors canViewObjective() in utils/visibility.js
+CREATE OR REPLACE FUNCTION can_view_objective(p_objective_id TEXT, p_user_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM objectives o
+    JOIN users u ON u.id = p_user_id AND u.organization_id = o.organization_id
+    WHERE o.id = p_objective_id
+      AND (
+        u.role = 'Admin'
+        OR o.visibility = 'org'
+        OR o.owner_id = u.id
+        OR (o.visibility = 'department' AND o.department_id IS NOT NULL AND o.department_id = u.department)
+        OR EXISTS (SELECT 1 FROM objective_contributors oc WHERE oc.objective_id = o.id AND oc.user_id = u.id)
+        OR EXISTS (SELECT 1 FROM objective_viewers ov WHERE ov.objective_id = o.id AND ov.user_id = u.id)
+      )
+  );
+$$;
+
+-- Search only returns objectives, key results and comments the searching user can see
+-- (same body as add_full_text_search.sql plus the p_user_id visibility check)
+DROP FUNCTION IF EXISTS search_organization(TEXT, TEXT, TEXT[], INTEGER);
+
+CREATE OR REPLACE FUNCTION search_organization(
+  p_organization_id TEXT,
+  p_query TEXT,
+  p_types TEXT[] DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_user_id TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  hit_type TEXT,
+  hit_id TEXT,
+  hit_objective_id TEXT,
+  hit_title TEXT,
+  hit_snippet TEXT,
+  hit_rank REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT
+      websearch_to_tsquery('english', p_query) AS english,
+      websearch_to_tsquery('simple', p_query) AS simple
+  )
+  SELECT * FROM (
+    SELECT
+      'objective'::TEXT,
+      o.id,
+      o.id,
+      o.title,
+      ts_headline('english', coalesce(o.title, '') || ' — ' || coalesce(o.description, ''), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(o.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(o.description, '')), 'B'),
+        q.english
+      )
+    FROM objectives o, q
+    WHERE (p_types IS NULL OR 'objective' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (p_user_id IS NULL OR can_view_objective(o.id, p_user_id))
+      AND (
+        setweight(to_tsvector('english', coalesce(o.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(o.description, '')), 'B')
+      ) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'key_result'::TEXT,
+      kr.id,
+      kr.objective_id,
+      kr.title,
+      ts_headline('english', coalesce(kr.title, '') || ' — ' || coalesce(kr.description, ''), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(kr.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(kr.description, '')), 'B'),
+        q.english
+      )
+    FROM key_results kr
+    JOIN objectives o ON o.id = kr.objective_id, q
+    WHERE (p_types IS NULL OR 'key_result' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (p_user_id IS NULL OR can_view_objective(o.id, p_user_id))
+      AND (
+        setweight(to_tsvector('english', coalesce(kr.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(kr.description, '')), 'B')
+      ) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'comment'::TEXT,
+      c.id,
+      c.objective_id,
+      o.title,
+      ts_headline('english', coalesce(c.content, ''), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(to_tsvector('english', coalesce(c.content, '')), q.english)
+    FROM comments c
+    JOIN objectives o ON o.id = c.objective_id, q
+    WHERE (p_types IS NULL OR 'comment' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (p_user_id IS NULL OR can_view_objective(o.id, p_user_id))
+      AND to_tsvector('english', coalesce(c.content, '')) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'user'::TEXT,
+      u.id,
+      NULL::TEXT,
+      u.name,
+      ts_headline('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, ''), q.simple,
+        'StartSel=<mark>, StopSel=</mark>'),
+      ts_rank(to_tsvector('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, '')), q.simple)
+    FROM users u, q
+    WHERE (p_types IS NULL OR 'user' = ANY(p_types))
+      AND u.organization_id = p_organization_id
+      AND to_tsvector('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, '')) @@ q.simple
+  ) hits
+  ORDER BY 6 DESC
+  LIMIT p_limit;
+$$;
@@ -0,0 +1,21 @@
+-- End-of-cycle scoring (0.0-1.0) and retrospectives for objectives and key results
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS final_score DOUBLE PRECISION CHECK (final_score BETWEEN 0 AND 1);
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS retrospective TEXT;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP WITH TIME ZONE; -- set once scored; locks the objective
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS scored_by TEXT;
+
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS final_score DOUBLE PRECISION CHECK (final_score BETWEEN 0 AND 1);
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS retrospective TEXT;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'objectives_scored_by_fkey'
+  ) THEN
+    ALTER TABLE objectives ADD CONSTRAINT objectives_scored_by_fkey 
+      FOREIGN KEY (scored_by) REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_objectives_scored ON objectives(organization_id, cycle_id) WHERE scored_at IS NOT NULL;
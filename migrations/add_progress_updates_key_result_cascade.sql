@@ -0,0 +1,6 @@
+-- Key result check-ins in progress_updates go with their key result; the original
+-- constraint had no ON DELETE rule, so deleting a checked-in key result failed
+ALTER TABLE progress_updates DROP CONSTRAINT IF EXISTS progress_updates_key_result_id_fkey;
+
+ALTER TABLE progress_updates ADD CONSTRAINT progress_updates_key_result_id_fkey
+  FOREIGN KEY (key_result_id) REFERENCES key_results(id) ON DELETE CASCADE;
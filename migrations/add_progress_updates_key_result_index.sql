@@ -0,0 +1,2 @@
+-- Index key result check-ins recorded in progress_updates
+CREATE INDEX IF NOT EXISTS idx_progress_updates_key_result_id ON progress_updates(key_result_id) WHERE key_result_id IS NOT NULL;
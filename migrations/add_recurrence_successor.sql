@@ -0,0 +1,11 @@
+-- Whether a recurring objective's next occurrence has been created yet.
+-- Exposed by PostgREST as a computed column, so the recurrence job only reads
+-- occurrences still waiting for a successor (?has_next_occurrence=is.false).
+-- Run after add_recurring_objectives.sql; idx_objectives_previous_occurrence_id backs the lookup.
+CREATE OR REPLACE FUNCTION has_next_occurrence(o objectives)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT EXISTS (SELECT 1 FROM objectives n WHERE n.previous_occurrence_id = o.id);
+$$;
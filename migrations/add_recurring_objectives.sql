@@ -0,0 +1,22 @@
+-- Recurring objectives: each occurrence is a copy linked to the one before it
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS recurrence TEXT; -- monthly, quarterly, yearly (NULL for none)
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS previous_occurrence_id TEXT;
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS recurrence_series_id TEXT; -- ID of the first occurrence
+
+-- Key results carry the ID of their first occurrence so values can be compared across periods
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS recurrence_series_id TEXT;
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'objectives_previous_occurrence_id_fkey'
+  ) THEN
+    ALTER TABLE objectives ADD CONSTRAINT objectives_previous_occurrence_id_fkey 
+      FOREIGN KEY (previous_occurrence_id) REFERENCES objectives(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- At most one next occurrence per objective, so concurrent runs can't create duplicates
+CREATE UNIQUE INDEX IF NOT EXISTS idx_objectives_previous_occurrence_id ON objectives(previous_occurrence_id) WHERE previous_occurrence_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_objectives_recurrence_series_id ON objectives(recurrence_series_id) WHERE recurrence_series_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_key_results_recurrence_series_id ON key_results(recurrence_series_id) WHERE recurrence_series_id IS NOT NULL;
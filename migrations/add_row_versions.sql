@@ -0,0 +1,22 @@
+-- Row versions for optimistic concurrency (ETag / If-Match) on objectives and key results
+ALTER TABLE objectives ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE key_results ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Every update bumps the version, whichever code path made it (edits, rollups, check-ins, webhooks)
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS objectives_bump_version ON objectives;
+CREATE TRIGGER objectives_bump_version
+  BEFORE UPDATE ON objectives
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+DROP TRIGGER IF EXISTS key_results_bump_version ON key_results;
+CREATE TRIGGER key_results_bump_version
+  BEFORE UPDATE ON key_results
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
@@ -0,0 +1,41 @@
+-- State of the in-process scheduler's jobs, shared by every server process
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name TEXT PRIMARY KEY,
+  interval_minutes INTEGER NOT NULL,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_status TEXT, -- success, failed
+  last_error TEXT,
+  last_result JSONB,
+  next_run_at TIMESTAMP WITH TIME ZONE,
+  locked_until TIMESTAMP WITH TIME ZONE, -- held while a process is running the job
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-organization reminder thresholds (defaults apply when an organization has no row)
+CREATE TABLE IF NOT EXISTS reminder_settings (
+  organization_id TEXT PRIMARY KEY,
+  enabled BOOLEAN DEFAULT true,
+  email_enabled BOOLEAN DEFAULT true,
+  stale_after_days INTEGER DEFAULT 7 CHECK (stale_after_days > 0),
+  due_soon_days INTEGER DEFAULT 3 CHECK (due_soon_days >= 0),
+  overdue_reminders BOOLEAN DEFAULT true,
+  repeat_after_days INTEGER DEFAULT 7 CHECK (repeat_after_days > 0), -- don't repeat a reminder sooner than this
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE
+);
+
+-- Reminders already sent, so restarts and repeated runs don't nag twice
+CREATE TABLE IF NOT EXISTS reminders_sent (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL, -- stale_objective, key_result_due_soon, objective_overdue
+  user_id TEXT NOT NULL,
+  objective_id TEXT NOT NULL,
+  key_result_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (objective_id) REFERENCES objectives(id) ON DELETE CASCADE,
+  FOREIGN KEY (key_result_id) REFERENCES key_results(id) ON DELETE CASCADE
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_reminders_sent_lookup ON reminders_sent(objective_id, kind, created_at DESC);
@@ -0,0 +1,125 @@
+-- Search snippets are returned as HTML, so the text they are cut from is escaped
+-- before ts_headline adds its <mark> tags: hit_snippet is safe to render as HTML,
+-- with <mark> the only markup in it. hit_title is plain text.
+-- Run after add_objective_visibility.sql; the search body is otherwise unchanged.
+
+-- Escape text for HTML element content and attribute values
+CREATE OR REPLACE FUNCTION html_escape(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT replace(replace(replace(replace(replace(p_text,
+    '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;');
+$$;
+
+CREATE OR REPLACE FUNCTION search_organization(
+  p_organization_id TEXT,
+  p_query TEXT,
+  p_types TEXT[] DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_user_id TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  hit_type TEXT,
+  hit_id TEXT,
+  hit_objective_id TEXT,
+  hit_title TEXT,
+  hit_snippet TEXT,
+  hit_rank REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT
+      websearch_to_tsquery('english', p_query) AS english,
+      websearch_to_tsquery('simple', p_query) AS simple
+  )
+  SELECT * FROM (
+    SELECT
+      'objective'::TEXT,
+      o.id,
+      o.id,
+      o.title,
+      ts_headline('english', html_escape(coalesce(o.title, '') || ' — ' || coalesce(o.description, '')), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(o.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(o.description, '')), 'B'),
+        q.english
+      )
+    FROM objectives o, q
+    WHERE (p_types IS NULL OR 'objective' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (p_user_id IS NULL OR can_view_objective(o.id, p_user_id))
+      AND (
+        setweight(to_tsvector('english', coalesce(o.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(o.description, '')), 'B')
+      ) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'key_result'::TEXT,
+      kr.id,
+      kr.objective_id,
+      kr.title,
+      ts_headline('english', html_escape(coalesce(kr.title, '') || ' — ' || coalesce(kr.description, '')), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(kr.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(kr.description, '')), 'B'),
+        q.english
+      )
+    FROM key_results kr
+    JOIN objectives o ON o.id = kr.objective_id, q
+    WHERE (p_types IS NULL OR 'key_result' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (p_user_id IS NULL OR can_view_objective(o.id, p_user_id))
+      AND (
+        setweight(to_tsvector('english', coalesce(kr.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(kr.description, '')), 'B')
+      ) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'comment'::TEXT,
+      c.id,
+      c.objective_id,
+      o.title,
+      ts_headline('english', html_escape(coalesce(c.content, '')), q.english,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'),
+      ts_rank(to_tsvector('english', coalesce(c.content, '')), q.english)
+    FROM comments c
+    JOIN objectives o ON o.id = c.objective_id, q
+    WHERE (p_types IS NULL OR 'comment' = ANY(p_types))
+      AND o.organization_id = p_organization_id
+      AND o.archived_at IS NULL
+      AND o.deleted_at IS NULL
+      AND (p_user_id IS NULL OR can_view_objective(o.id, p_user_id))
+      AND to_tsvector('english', coalesce(c.content, '')) @@ q.english
+
+    UNION ALL
+
+    SELECT
+      'user'::TEXT,
+      u.id,
+      NULL::TEXT,
+      u.name,
+      ts_headline('simple', html_escape(coalesce(u.name, '') || ' ' || coalesce(u.email, '')), q.simple,
+        'StartSel=<mark>, StopSel=</mark>'),
+      ts_rank(to_tsvector('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, '')), q.simple)
+    FROM users u, q
+    WHERE (p_types IS NULL OR 'user' = ANY(p_types))
+      AND u.organization_id = p_organization_id
+      AND to_tsvector('simple', coalesce(u.name, '') || ' ' || coalesce(u.email, '')) @@ q.simple
+  ) hits
+  ORDER BY 6 DESC
+  LIMIT p_limit;
+$$;
@@ -12,9 +12,26 @@ import supabase from './db.js';
 import { dbRun, dbGet, dbAll } from './db-helpers.js';
 import { hashPassword, comparePassword, validatePassword } from './utils/password.js';
 import { generateToken, generateRandomToken, hashToken } from './utils/jwt.js';
-import { sendVerificationEmail, sendInvitationEmail, sendPasswordResetEmail, sendInvitationAcceptedEmail } from './utils/email.js';
+import { sendVerificationEmail, sendInvitationEmail, sendPasswordResetEmail, sendInvitationAcceptedEmail, sendReminderEmail } from './utils/email.js';
 import { authenticate, optionalAuthenticate, authorize, requireOrganization, requireAdminOrManager } from './middleware/auth.js';
 import { uploadFile, deleteFile, getPublicUrl, initializeStorage, MEDIA_BUCKET_NAME } from './utils/storage.js';
+import { rollupProgress, buildObjectiveTree, getKeyResultWeight, withEffectiveWeights, isValidWeight, calculateKeyResultProgress, valueFromProgress, validateKeyResultType } from './utils/progress.js';
+import { parsePagination, applyCursor, buildPage, decodeCursor, setPaginationHeaders, quoteFilterValue } from './utils/pagination.js';
+import { parseObjectiveFilters, applyObjectiveFilters, parseList } from './utils/filters.js';
+import { diffFields, OBJECTIVE_TRACKED_FIELDS, KEY_RESULT_TRACKED_FIELDS } from './utils/revisions.js';
+import { forecastObjective, forecastKeyResult } from './utils/forecast.js';
+import { validateConfidence, objectiveHealth, keyResultHealth, latestTimestamp, HEALTH_STATUSES } from './utils/health.js';
+import { validateCheckInCadence, checkInSchedule, CHECK_IN_CADENCES } from './utils/checkins.js';
+import { registerJob, startScheduler, listJobs } from './utils/scheduler.js';
+import { validateRecurrence, nextOccurrenceDates, addMonths } from './utils/recurrence.js';
+import { formatETag, checkIfMatch, sendVersionConflict } from './utils/concurrency.js';
+import { validateVisibility, canViewObjective, visibilityFilter } from './utils/visibility.js';
+import { validateFieldDefinition, validateCustomFieldValues, referencedUserIds, parseCustomFieldFilters, applyCustomFieldFilters, CUSTOM_FIELD_ENTITIES } from './utils/customfields.js';
+import { PENDING_APPROVAL_STATUS, APPROVED_STATUS, APPROVAL_TRANSITIONS, isUnapproved, validateApprovalTransition, approvalStatusChangeError, excludeUnapproved, initialApproval } from './utils/approvals.js';
+import { readSpreadsheet, spreadsheetFormat, formatCsv, buildWorkbook, SPREADSHEET_FORMATS, SPREADSHEET_CONTENT_TYPES } from './utils/spreadsheets.js';
+import { buildColumnMapping, groupImportRows, resolveImport, buildImportRecords, previewImport, MAX_IMPORT_ROWS } from './utils/imports.js';
+import { buildExportSheets, EXPORT_SHEETS } from './utils/exports.js';
+import { requireObjectivePermission, getObjectivesRelationships, checkObjectivePermission, keyResultObjectiveId, commentObjectiveId } from './middleware/permissions.js';
 
 // Notification helper functions
 async function parseMentions(content) {
@@ -127,8 +144,11 @@ async function notifyObjectiveStakeholders(objectiveId, type, title, message, ex
       });
     }
     
+    // Subscribers may have lost access since subscribing
+    const recipients = await filterUsersWhoCanView(objectiveId, Array.from(userIds));
+
     // Create notifications for all stakeholders
-    const notificationPromises = Array.from(userIds).map(userId =>
+    const notificationPromises = recipients.map(userId =>
       createNotification(userId, type, title, message, objectiveId, commentId, progressUpdateId)
     );
     
@@ -138,6 +158,224 @@ async function notifyObjectiveStakeholders(objectiveId, type, title, message, ex
   }
 }
 
+// Load what visibility checks need to know about a user: the objectives they
+// contribute to or are explicitly listed on (see utils/visibility.js)
+async function loadViewer(user) {
+  if (!user) return null;
+
+  const [{ data: contributions }, { data: viewerRows }] = await Promise.all([
+    supabase.from('objective_contributors').select('objective_id').eq('user_id', user.id),
+    supabase.from('objective_viewers').select('objective_id').eq('user_id', user.id)
+  ]);
+
+  return {
+    id: user.id,
+    role: user.role,
+    organizationId: user.organizationId,
+    departmentId: user.departmentId || null,
+    objectiveIds: new Set([...(contributions || []), ...(viewerRows || [])].map(row => row.objective_id))
+  };
+}
+
+// Viewer for the requesting user, loaded once per request
+async function getViewer(req) {
+  if (req.viewer === undefined) {
+    req.viewer = await loadViewer(req.user);
+  }
+  return req.viewer;
+}
+
+// Narrow a list of user IDs to those who can see the objective
+async function filterUsersWhoCanView(objectiveOrId, userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const objective = typeof objectiveOrId === 'string'
+    ? (await supabase
+        .from('objectives')
+        .select('id, organization_id, owner_id, department_id, visibility')
+        .eq('id', objectiveOrId)
+        .maybeSingle()).data
+    : objectiveOrId;
+  if (!objective) return [];
+  if (!objective.visibility || objective.visibility === 'org') {
+    return ids;
+  }
+
+  const { data: users } = await supabase
+    .from('users')
+    .select('id, role, department, organization_id')
+    .in('id', ids);
+
+  const viewers = await Promise.all((users || []).map(user => loadViewer({
+    id: user.id,
+    role: user.role,
+    organizationId: user.organization_id,
+    departmentId: user.department
+  })));
+
+  return viewers.filter(viewer => canViewObjective(objective, viewer)).map(viewer => viewer.id);
+}
+
+// Validate the explicit viewers of a restricted objective; they must belong to the organization
+async function validateViewerIds(viewerIds, organizationId) {
+  if (!Array.isArray(viewerIds) || viewerIds.some(id => typeof id !== 'string' || !id)) {
+    return { error: 'viewer_ids must be an array of user IDs' };
+  }
+
+  const ids = [...new Set(viewerIds)];
+  if (ids.length === 0) return { ids };
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id')
+    .in('id', ids)
+    .eq('organization_id', organizationId);
+  if (error) throw error;
+
+  const found = new Set((users || []).map(u => u.id));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    return { error: `Viewers not found in organization: ${missing.join(', ')}` };
+  }
+
+  return { ids };
+}
+
+// Replace an objective's explicit viewers; only restricted objectives keep any
+async function saveObjectiveViewers(objectiveId, visibility, viewerIds) {
+  const { error: deleteError } = await supabase
+    .from('objective_viewers')
+    .delete()
+    .eq('objective_id', objectiveId);
+  if (deleteError) throw deleteError;
+
+  if (visibility !== 'restricted' || !viewerIds || viewerIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('objective_viewers')
+    .insert(viewerIds.map(userId => ({ id: uuidv4(), objective_id: objectiveId, user_id: userId })));
+  if (error) throw error;
+}
+
+// Limit an objectives query to the requester's organization and the objectives they can see
+// Synchronous on purpose: query builders are thenable, so returning one from an async
+// function would run the query instead of handing back the builder.
+function scopeVisibleObjectives(queryBuilder, req, viewer) {
+  queryBuilder = queryBuilder.eq('organization_id', req.user.organizationId);
+
+  const filter = visibilityFilter(viewer);
+  return filter ? queryBuilder.or(filter) : queryBuilder;
+}
+
+async function getObjectiveViewerIds(objectiveId) {
+  const { data } = await supabase
+    .from('objective_viewers')
+    .select('user_id')
+    .eq('objective_id', objectiveId);
+  return (data || []).map(row => row.user_id);
+}
+
+const FETCH_PAGE_SIZE = 1000;
+const FETCH_ID_BATCH_SIZE = 100;
+
+// Read every row of a query page by page; PostgREST caps the rows of a single response
+async function fetchAllRows(buildQuery, { sortField = 'created_at', ascending = true } = {}) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const { data, error } = await applyCursor(buildQuery(), { sortField, ascending, cursor, limit: FETCH_PAGE_SIZE });
+    if (error) throw error;
+    const page = buildPage(data, { sortField, limit: FETCH_PAGE_SIZE });
+    rows.push(...page.data);
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor);
+  return rows;
+}
+
+// Rows matching a long list of IDs, fetched in batches to keep request URLs short
+async function fetchRowsInBatches(buildQuery, column, ids, options) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += FETCH_ID_BATCH_SIZE) {
+    const batch = ids.slice(i, i + FETCH_ID_BATCH_SIZE);
+    rows.push(...await fetchAllRows(() => buildQuery().in(column, batch), options));
+  }
+  return rows;
+}
+
+// Manager who approves the department's objectives, if it has one
+async function getDepartmentManagerId(departmentId) {
+  if (!departmentId) return null;
+  const department = await dbGet('SELECT manager_id FROM departments WHERE id = ?', [departmentId]);
+  return department?.manager_id || null;
+}
+
+// Who is asked to approve an objective: its department manager, otherwise the organization's admins
+async function getObjectiveApproverIds(objective) {
+  const managerId = await getDepartmentManagerId(objective.department_id);
+  if (managerId) return [managerId];
+
+  const { data: admins } = await supabase
+    .from('users')
+    .select('id')
+    .eq('organization_id', objective.organization_id)
+    .eq('role', 'Admin');
+  return (admins || []).map(admin => admin.id);
+}
+
+// Record a step of the approval workflow in the objective_approvals audit trail
+async function recordApproval({ objectiveId, action, fromStatus, toStatus, userId, approverId = null, comment = null, commentId = null }) {
+  const { data, error } = await supabase
+    .from('objective_approvals')
+    .insert({
+      id: uuidv4(),
+      objective_id: objectiveId,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      user_id: userId,
+      approver_id: approverId,
+      comment,
+      comment_id: commentId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Custom field definitions of an organization for objectives or key results
+async function loadCustomFieldDefinitions(organizationId, entityType) {
+  const { data, error } = await supabase
+    .from('custom_field_definitions')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('entity_type', entityType)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Validate submitted custom field values and merge them over the stored ones (see utils/customfields.js)
+async function validateCustomFields(values, organizationId, entityType, existing = {}) {
+  const definitions = await loadCustomFieldDefinitions(organizationId, entityType);
+
+  let orgUserIds = new Set();
+  const userIds = referencedUserIds(values, definitions);
+  if (userIds.length > 0) {
+    const { data: users } = await supabase
+      .from('users')
+      .select('id')
+      .in('id', userIds)
+      .eq('organization_id', organizationId);
+    orgUserIds = new Set((users || []).map(u => u.id));
+  }
+
+  return validateCustomFieldValues(values, definitions, { existing: existing || {}, orgUserIds });
+}
+
 const app = express();
 
 // Trust proxy for accurate protocol/host detection (needed for production behind load balancers)
@@ -172,7 +410,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'ETag']
 };
 
 app.use(cors(corsOptions));
@@ -234,6 +473,18 @@ const mediaUpload = multer({
   }
 });
 
+// Multer config for objective imports - parsed straight from memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (spreadsheetFormat(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error(`Only ${SPREADSHEET_FORMATS.join(' and ')} files can be imported`));
+  }
+});
+
 // Serve static files from public directory
 app.use('/uploads', express.static(path.join(__dirname, 'public', 'uploads')));
 
@@ -269,1157 +520,4175 @@ app.use('/uploads', express.static(path.join(__dirname, 'public', 'uploads')));
   }
 })();
 
-// Calculate progress for objective based on key results
-async function calculateObjectiveProgress(objectiveId) {
+// Calculate progress for objective based on key results and child objectives,
+// then propagate the change up the ancestor chain
+async function calculateObjectiveProgress(objectiveId, visited = new Set()) {
+  if (visited.has(objectiveId)) return 0;
+  visited.add(objectiveId);
+
   const objective = await dbGet('SELECT * FROM objectives WHERE id = ?', [objectiveId]);
   if (!objective) return 0;
 
+  // Objectives in a closed cycle or already scored keep their final progress
+  if (objective.scored_at || await isObjectiveFrozen(objective)) {
+    return objective.progress_percentage || 0;
+  }
+
   const keyResults = await dbAll(
     'SELECT * FROM key_results WHERE objective_id = ?',
     [objectiveId]
   );
 
-  if (keyResults.length === 0) {
-    // Reset progress if no key results
-    const now = new Date().toISOString();
-    await supabase
-      .from('objectives')
-      .update({ 
-        progress_percentage: 0, 
-        current_value: 0, 
-        updated_at: now 
-      })
-      .eq('id', objectiveId);
-    return 0;
-  }
+  const { data: children, error: childrenError } = await supabase
+    .from('objectives')
+    .select('id, progress_percentage')
+    .eq('parent_objective_id', objectiveId)
+    .is('archived_at', null)
+    .is('deleted_at', null);
+
+  if (childrenError) throw childrenError;
 
-  const totalProgress = keyResults.reduce((sum, kr) => sum + (kr.progress_percentage || 0), 0);
-  const averageProgress = totalProgress / keyResults.length;
+  const childProgress = (children || [])
+    .filter(child => child.id !== objectiveId)
+    .map(child => child.progress_percentage || 0);
+
+  // Reset progress if there are no key results or children to roll up
+  const progress = rollupProgress(keyResults, childProgress) ?? 0;
 
   // Calculate current_value based on progress percentage and target_value
   const targetValue = objective.target_value || 100;
-  const currentValue = (averageProgress / 100) * targetValue;
+  const currentValue = (progress / 100) * targetValue;
 
   const now = new Date().toISOString();
   await supabase
     .from('objectives')
     .update({ 
-      progress_percentage: averageProgress, 
+      progress_percentage: progress, 
       current_value: currentValue, 
       updated_at: now 
     })
     .eq('id', objectiveId);
 
-  return averageProgress;
+  if (objective.parent_objective_id) {
+    await calculateObjectiveProgress(objective.parent_objective_id, visited);
+  }
+
+  return progress;
 }
 
-// API Routes
+// Get an objective's key results annotated with their effective weight
+async function getKeyResultsWithWeights(objectiveId) {
+  const keyResults = await dbAll(
+    'SELECT * FROM key_results WHERE objective_id = ? ORDER BY created_at ASC',
+    [objectiveId]
+  );
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Objectives API is running' });
-});
+  const { count: childCount } = await supabase
+    .from('objectives')
+    .select('id', { count: 'exact', head: true })
+    .eq('parent_objective_id', objectiveId)
+    .is('archived_at', null)
+    .is('deleted_at', null);
 
-// Get all objectives with optional filters (organization-scoped)
-app.get('/api/objectives', optionalAuthenticate, async (req, res) => {
-  try {
-    let queryBuilder = supabase.from('objectives').select('*');
-    
-    // Filter by organization if user is authenticated
-    if (req.user && req.user.organizationId) {
-      queryBuilder = queryBuilder.eq('organization_id', req.user.organizationId);
-    } else if (req.user && !req.user.organizationId) {
-      // User is authenticated but has no organization - return empty array
-      return res.json([]);
-    }
+  return withEffectiveWeights(keyResults, childCount || 0);
+}
 
-    // Apply filters
-    if (req.query.status) {
-      queryBuilder = queryBuilder.eq('status', req.query.status);
-    }
+const CYCLE_STATUSES = ['planning', 'active', 'closed'];
+const FROZEN_OBJECTIVE_ERROR = 'Objective belongs to a closed cycle and its progress can no longer be edited';
 
-    if (req.query.owner_id) {
-      queryBuilder = queryBuilder.eq('owner_id', req.query.owner_id);
-    }
+// Check whether an objective belongs to a closed cycle
+async function isObjectiveFrozen(objective) {
+  if (!objective?.cycle_id) return false;
+  const cycle = await dbGet('SELECT status FROM cycles WHERE id = ?', [objective.cycle_id]);
+  return cycle?.status === 'closed';
+}
 
-    if (req.query.department_id) {
-      queryBuilder = queryBuilder.eq('department_id', req.query.department_id);
-    }
+const SCORED_OBJECTIVE_ERROR = 'Objective has been scored for its cycle and is locked';
 
-    if (req.query.tag) {
-      // For JSONB, search for tag in array using @> operator via RPC or filter
-      // Supabase supports JSONB containment queries
-      queryBuilder = queryBuilder.contains('tags', [req.query.tag]);
-    }
+// Why an objective's progress can't be edited, or null if it can
+async function getObjectiveLockError(objective) {
+  if (objective?.scored_at) return SCORED_OBJECTIVE_ERROR;
+  if (await isObjectiveFrozen(objective)) return FROZEN_OBJECTIVE_ERROR;
+  return null;
+}
 
-    // Handle sorting
-    const sortBy = req.query.sortBy || 'created_at';
-    const sortOrder = req.query.sortOrder || 'DESC';
-    const validSortFields = ['created_at', 'updated_at', 'due_date', 'title'];
-    const validSortOrders = ['ASC', 'DESC'];
-    
-    const finalSortBy = validSortFields.includes(sortBy) ? sortBy : 'created_at';
-    const finalSortOrder = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
-    
-    queryBuilder = queryBuilder.order(finalSortBy, { ascending: finalSortOrder === 'ASC' });
+// Validate that a cycle can take objectives; returns an error message or null
+async function validateObjectiveCycle(cycleId, organizationId) {
+  const cycle = await dbGet('SELECT id, organization_id, status FROM cycles WHERE id = ?', [cycleId]);
+  return objectiveCycleError(cycle, organizationId);
+}
 
-    // Handle search - this is complex with JOINs, so we'll do it separately if needed
-    const isSearchOnly = req.query.search && !req.query.status && !req.query.tag && !req.query.owner_id && !req.query.department_id;
-    
-    if (isSearchOnly) {
-      queryBuilder = queryBuilder.limit(20);
-    }
+// Why a loaded cycle (or undefined if missing) can't take objectives, or null if it can
+function objectiveCycleError(cycle, organizationId) {
+  if (!cycle || cycle.organization_id !== organizationId) {
+    return 'Cycle not found';
+  }
+  if (cycle.status === 'closed') {
+    return 'Cannot add objectives to a closed cycle';
+  }
+  return null;
+}
 
-    const { data: objectives, error } = await queryBuilder;
-    
-    if (error) throw error;
+// Record a key result check-in in progress_updates; returns the new progress update ID
+async function logKeyResultProgress(keyResult, previousValue, newValue, userId, notes = '', checkInId = null) {
+  const progressUpdateId = uuidv4();
+  const { error } = await supabase
+    .from('progress_updates')
+    .insert({
+      id: progressUpdateId,
+      objective_id: keyResult.objective_id,
+      key_result_id: keyResult.id,
+      user_id: userId || null,
+      previous_value: previousValue,
+      new_value: newValue,
+      notes: notes || '',
+      check_in_id: checkInId
+    });
 
-    // Handle search separately if present (requires JOIN with users)
-    let filteredObjectives = objectives || [];
-    if (req.query.search) {
-      const searchTerm = req.query.search.toLowerCase();
-      // Get all users for matching
-      const { data: allUsers } = await supabase.from('users').select('id, name, email');
-      const userIds = new Set();
-      if (allUsers) {
-        allUsers.forEach(user => {
-          if (user.name?.toLowerCase().includes(searchTerm) || 
-              user.email?.toLowerCase().includes(searchTerm)) {
-            userIds.add(user.id);
-          }
-        });
-      }
+  if (error) throw error;
+  return progressUpdateId;
+}
 
-      filteredObjectives = (objectives || []).filter(obj => {
-        const titleMatch = obj.title?.toLowerCase().includes(searchTerm);
-        const descMatch = obj.description?.toLowerCase().includes(searchTerm);
-        const ownerMatch = userIds.has(obj.owner_id);
-        return titleMatch || descMatch || ownerMatch;
-      });
-    }
-    
-    // Only load contributors if not a search query (search results don't need contributors)
-    let contributorsMap = {};
-    if (!isSearchOnly && filteredObjectives.length > 0) {
-      const objectiveIds = filteredObjectives.map(obj => obj.id);
-      const { data: contributors } = await supabase
-        .from('objective_contributors')
-        .select('objective_id, user_id, users(id, name, email)')
-        .in('objective_id', objectiveIds);
-      
-      if (contributors) {
-        contributors.forEach(contrib => {
-          if (!contributorsMap[contrib.objective_id]) {
-            contributorsMap[contrib.objective_id] = [];
-          }
-          const user = contrib.users;
-          if (user) {
-            contributorsMap[contrib.objective_id].push({
-              id: contrib.user_id,
-              name: user.name,
-              email: user.email
-            });
-          }
-        });
-      }
-    }
-    
-    // Tags are already JSONB arrays, just ensure they're arrays
-    const objectivesWithParsedTags = filteredObjectives.map(obj => ({
-      ...obj,
-      tags: Array.isArray(obj.tags) ? obj.tags : (obj.tags ? JSON.parse(obj.tags) : []),
-      contributors: contributorsMap[obj.id] || []
-    }));
+// Soft-deleted objectives are permanently purged after this many days
+const OBJECTIVE_RETENTION_DAYS = parseInt(process.env.OBJECTIVE_RETENTION_DAYS) || 30;
 
-    res.json(objectivesWithParsedTags);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Permanently remove objectives that were soft-deleted longer ago than the retention period
+// Optionally limited to one organization
+async function purgeDeletedObjectives(organizationId = null) {
+  const cutoff = new Date(Date.now() - OBJECTIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
 
-// Get single objective
-app.get('/api/objectives/:id', async (req, res) => {
-  try {
-    const objective = await dbGet('SELECT * FROM objectives WHERE id = ?', [req.params.id]);
-    if (!objective) {
-      return res.status(404).json({ error: 'Objective not found' });
-    }
+  let queryBuilder = supabase
+    .from('objectives')
+    .select('id')
+    .not('deleted_at', 'is', null)
+    .lt('deleted_at', cutoff);
 
-    // Tags are JSONB arrays in Supabase
-    objective.tags = Array.isArray(objective.tags) ? objective.tags : (objective.tags ? JSON.parse(objective.tags) : []);
-    
-    // Get contributors using Supabase JOIN
-    const { data: contributors } = await supabase
-      .from('objective_contributors')
-      .select('user_id, users(id, name, email)')
-      .eq('objective_id', req.params.id);
-    
-    objective.contributors = (contributors || []).map(c => ({
-      id: c.user_id,
-      name: c.users?.name,
-      email: c.users?.email
-    })).filter(c => c.name); // Filter out any missing user data
-    
-    res.json(objective);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (organizationId) {
+    queryBuilder = queryBuilder.eq('organization_id', organizationId);
   }
-});
 
-// Create objective
-app.post('/api/objectives', authenticate, requireOrganization, async (req, res) => {
-  try {
-    const {
-      title,
-      description,
-      owner_id,
-      department_id,
-      team_id, // Support team_id as alias for department_id
-      parent_objective_id,
-      status = 'Active',
-      priority = 'Medium',
-      start_date,
-      due_date,
-      target_value,
-      current_value,
-      tags = []
-    } = req.body;
+  const { data: expired, error } = await queryBuilder;
 
-    // Use team_id if provided, otherwise fall back to department_id
-    const finalDepartmentId = team_id !== undefined ? team_id : department_id;
+  if (error) throw error;
+  if (!expired || expired.length === 0) return 0;
 
-    const id = uuidv4();
-    // Tags stored as JSONB array in Supabase
-    const tagsArray = Array.isArray(tags) ? tags : [];
+  const ids = expired.map(obj => obj.id);
 
-    // Normalize null/empty values - convert empty strings to null
-    const normalizeValue = (val) => {
-      if (val === '' || val === undefined) return null;
-      return val;
-    };
+  // Detach surviving children and clear rows whose foreign keys don't cascade
+  await supabase.from('objectives').update({ parent_objective_id: null }).in('parent_objective_id', ids);
+  await supabase.from('progress_updates').delete().in('objective_id', ids);
 
-    const insertData = {
-      id,
-      title: title || '',
-      description: normalizeValue(description),
-      owner_id: normalizeValue(owner_id),
-      department_id: normalizeValue(finalDepartmentId),
-      parent_objective_id: normalizeValue(parent_objective_id),
-      status: status || 'Active',
-      priority: priority || 'Medium',
-      start_date: normalizeValue(start_date),
-      due_date: normalizeValue(due_date),
-      target_value: normalizeValue(target_value),
-      current_value: normalizeValue(current_value),
-      tags: tagsArray,
-      organization_id: req.organizationId
-    };
+  const { data: integrations } = await supabase
+    .from('webhook_integrations')
+    .select('id')
+    .in('objective_id', ids);
+  if (integrations && integrations.length > 0) {
+    await supabase.from('webhook_events').delete().in('webhook_integration_id', integrations.map(i => i.id));
+  }
 
-    // Validate required fields
-    if (!insertData.title || insertData.title.trim() === '') {
-      return res.status(400).json({ error: 'Title is required' });
-    }
+  // Key results, comments, contributors, subscriptions and notifications cascade
+  const { error: deleteError } = await supabase.from('objectives').delete().in('id', ids);
+  if (deleteError) throw deleteError;
 
-    if (!insertData.organization_id) {
-      console.error('Missing organization_id in request:', {
-        userId: req.user?.id,
-        userOrgId: req.user?.organizationId,
-        reqOrgId: req.organizationId
-      });
-      return res.status(400).json({ error: 'Organization ID is required' });
-    }
+  return ids.length;
+}
 
-    console.log('Creating objective with data:', JSON.stringify(insertData, null, 2));
+// Record field-level changes to an objective or key result in the revision history
+async function recordRevisions({ objectiveId, keyResultId = null, changes, userId = null }) {
+  if (!changes || changes.length === 0) return;
 
-    const { data: objective, error } = await supabase
-      .from('objectives')
-      .insert(insertData)
-      .select()
-      .single();
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('objective_revisions')
+    .insert(changes.map(change => ({
+      id: uuidv4(),
+      objective_id: objectiveId,
+      key_result_id: keyResultId,
+      field: change.field,
+      old_value: change.old_value,
+      new_value: change.new_value,
+      changed_by: userId,
+      created_at: now
+    })));
+
+  // History is best-effort; never fail the update itself
+  if (error) {
+    console.error('Error recording revisions:', error);
+  }
+}
 
-    if (error) {
-      console.error('Supabase error creating objective:', error);
-      console.error('Error details:', JSON.stringify(error, null, 2));
-      throw error;
-    }
+// Check whether making parentId the parent of objectiveId would create a loop
+async function wouldCreateHierarchyCycle(objectiveId, parentId) {
+  const visited = new Set();
+  let currentId = parentId;
 
-    // Ensure tags is an array
-    objective.tags = Array.isArray(objective.tags) ? objective.tags : [];
+  while (currentId && !visited.has(currentId)) {
+    if (currentId === objectiveId) return true;
+    visited.add(currentId);
+    const ancestor = await dbGet('SELECT parent_objective_id FROM objectives WHERE id = ?', [currentId]);
+    currentId = ancestor?.parent_objective_id;
+  }
 
-    res.status(201).json(objective);
-  } catch (error) {
-    console.error('Error creating objective:', error);
-    console.error('Error stack:', error.stack);
-    console.error('Request body:', req.body);
-    console.error('User:', req.user);
-    console.error('Organization ID:', req.organizationId);
-    
-    // Provide more detailed error message
-    const errorMessage = error.message || 'Unknown error occurred';
-    const errorDetails = error.details || error.hint || '';
-    
-    res.status(500).json({ 
-      error: errorMessage,
-      details: errorDetails,
-      code: error.code || 'UNKNOWN_ERROR'
+  return false;
+}
+
+// Check whether making objectiveId depend on dependsOnId would create a dependency loop
+// Walks everything dependsOnId is (transitively) blocked by, one level at a time
+async function wouldCreateDependencyCycle(objectiveId, dependsOnId) {
+  const visited = new Set([dependsOnId]);
+  let frontier = [dependsOnId];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(objectiveId)) return true;
+
+    const { data: edges, error } = await supabase
+      .from('objective_dependencies')
+      .select('depends_on_id')
+      .in('objective_id', frontier);
+
+    if (error) throw error;
+
+    frontier = [];
+    (edges || []).forEach(edge => {
+      if (!visited.has(edge.depends_on_id)) {
+        visited.add(edge.depends_on_id);
+        frontier.push(edge.depends_on_id);
+      }
     });
   }
-});
 
-// Update objective
-app.put('/api/objectives/:id', async (req, res) => {
-  try {
-    const {
-      title,
-      description,
-      owner_id,
-      department_id,
-      team_id, // Support team_id as alias for department_id
-      parent_objective_id,
-      status,
-      priority,
-      start_date,
-      due_date,
-      target_value,
-      current_value,
-      tags
-    } = req.body;
+  return false;
+}
 
-    // Build update object dynamically
-    const updates = {};
-    const now = new Date().toISOString();
+// Notify the owners of objectives blocked by the given objective
+async function notifyBlockedObjectiveOwners(blocker, type, title, message) {
+  const { data: dependencies } = await supabase
+    .from('objective_dependencies')
+    .select('objective_id')
+    .eq('depends_on_id', blocker.id);
 
-    if (title !== undefined) updates.title = title;
-    if (description !== undefined) updates.description = description;
-    if (owner_id !== undefined) updates.owner_id = owner_id;
-    // Support both team_id and department_id (team_id takes precedence)
-    if (team_id !== undefined) {
-      updates.department_id = team_id;
-    } else if (department_id !== undefined) {
-      updates.department_id = department_id;
-    }
-    if (parent_objective_id !== undefined) updates.parent_objective_id = parent_objective_id;
-    if (status !== undefined) updates.status = status;
-    if (priority !== undefined) updates.priority = priority;
-    if (start_date !== undefined) updates.start_date = start_date;
-    if (due_date !== undefined) updates.due_date = due_date;
-    if (target_value !== undefined) updates.target_value = target_value;
-    if (current_value !== undefined) updates.current_value = current_value;
-    if (tags !== undefined) updates.tags = Array.isArray(tags) ? tags : [];
+  if (!dependencies || dependencies.length === 0) return;
 
-    if (status === 'Completed') {
-      updates.completed_at = now;
-    }
+  const { data: dependents } = await supabase
+    .from('objectives')
+    .select('id, title, owner_id')
+    .in('id', dependencies.map(d => d.objective_id))
+    .is('deleted_at', null);
+
+  // Owners who cannot see the blocking objective are not told about it
+  const allowedOwners = new Set(await filterUsersWhoCanView(
+    blocker.id,
+    (dependents || []).map(dependent => dependent.owner_id)
+  ));
+
+  // One notification per owner and dependent objective
+  const notificationPromises = (dependents || [])
+    .filter(dependent => dependent.owner_id && allowedOwners.has(dependent.owner_id))
+    .map(dependent => createNotification(
+      dependent.owner_id,
+      type,
+      title,
+      message(dependent),
+      dependent.id
+    ));
 
-    updates.updated_at = now;
+  await Promise.all(notificationPromises);
+}
 
-    const { data: objective, error } = await supabase
-      .from('objectives')
-      .update(updates)
-      .eq('id', req.params.id)
-      .select()
-      .single();
+// Tell dependents' owners when blocking objectives are past due and not completed
+// Each dependency is only reported once per due date; optionally limited to one blocker
+async function notifyOverdueBlockers(blockerId = null) {
+  let queryBuilder = supabase
+    .from('objective_dependencies')
+    .select('id, depends_on_id')
+    .is('overdue_notified_at', null);
 
-    if (error) throw error;
-    if (!objective) {
-      return res.status(404).json({ error: 'Objective not found' });
-    }
+  if (blockerId) {
+    queryBuilder = queryBuilder.eq('depends_on_id', blockerId);
+  }
 
-    // Ensure tags is an array
-    objective.tags = Array.isArray(objective.tags) ? objective.tags : [];
+  const { data: pending, error } = await queryBuilder;
+  if (error) throw error;
+  if (!pending || pending.length === 0) return 0;
 
-    res.json(objective);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const today = new Date().toISOString().split('T')[0];
+  const { data: overdue, error: blockerError } = await supabase
+    .from('objectives')
+    .select('id, title, due_date')
+    .in('id', [...new Set(pending.map(d => d.depends_on_id))])
+    .lt('due_date', today)
+    .neq('status', 'Completed')
+    .is('deleted_at', null);
+
+  if (blockerError) throw blockerError;
+
+  for (const blocker of overdue || []) {
+    await notifyBlockedObjectiveOwners(
+      blocker,
+      'dependency_overdue',
+      `Blocking objective "${blocker.title}" is overdue`,
+      dependent => `"${blocker.title}" was due on ${blocker.due_date} and is blocking "${dependent.title}"`
+    );
+
+    await supabase
+      .from('objective_dependencies')
+      .update({ overdue_notified_at: new Date().toISOString() })
+      .eq('depends_on_id', blocker.id)
+      .is('overdue_notified_at', null);
   }
-});
 
-// Delete objective
-app.delete('/api/objectives/:id', async (req, res) => {
+  return (overdue || []).length;
+}
+
+// Notify dependents after an objective update that puts their blocker at risk or past due
+async function notifyDependentsOfSlip(before, after) {
   try {
-    await dbRun('DELETE FROM objectives WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Objective deleted successfully' });
+    if (after.status === 'At Risk' && before.status !== 'At Risk') {
+      await notifyBlockedObjectiveOwners(
+        after,
+        'dependency_at_risk',
+        `Blocking objective "${after.title}" is at risk`,
+        dependent => `"${after.title}" was marked At Risk and is blocking "${dependent.title}"`
+      );
+    }
+
+    if (String(after.due_date || '').substring(0, 10) !== String(before.due_date || '').substring(0, 10)) {
+      // A new due date gets its own overdue notice
+      await supabase
+        .from('objective_dependencies')
+        .update({ overdue_notified_at: null })
+        .eq('depends_on_id', after.id);
+      await notifyOverdueBlockers(after.id);
+    }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    // Notifications are best-effort; never fail the update itself
+    console.error('Error notifying dependent objectives:', error);
   }
-});
+}
 
-// Update progress
-app.patch('/api/objectives/:id/progress', async (req, res) => {
-  try {
-    const { current_value, notes, user_id } = req.body;
-    const objectiveId = req.params.id;
+// Reminder thresholds used when an organization hasn't configured its own
+const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  email_enabled: true,
+  stale_after_days: 7,
+  due_soon_days: 3,
+  overdue_reminders: true,
+  repeat_after_days: 7
+};
 
-    const objective = await dbGet('SELECT * FROM objectives WHERE id = ?', [objectiveId]);
-    if (!objective) {
-      return res.status(404).json({ error: 'Objective not found' });
+// Merge an organization's stored reminder settings over the defaults
+function withReminderDefaults(row) {
+  const settings = { ...DEFAULT_REMINDER_SETTINGS };
+  Object.keys(DEFAULT_REMINDER_SETTINGS).forEach(key => {
+    if (row && row[key] !== null && row[key] !== undefined) settings[key] = row[key];
+  });
+  return settings;
+}
+
+// Remind owners about stale objectives, key results due soon and overdue objectives
+// Sends one in-app notification per item and one email digest per owner
+async function sendObjectiveReminders(now = new Date()) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const today = now.toISOString().split('T')[0];
+
+  // Objectives still going through approval get no reminders; paged by ID across all organizations
+  const objectives = await fetchAllRows(() => excludeUnapproved(supabase
+    .from('objectives')
+    .select('id, title, owner_id, organization_id, due_date, created_at, confidence_updated_at, check_in_cadence')
+    .neq('status', 'Completed')
+    .is('deleted_at', null)
+    .is('archived_at', null)
+    .is('scored_at', null)
+    .not('owner_id', 'is', null)), { sortField: 'id' });
+
+  if (objectives.length === 0) return { reminders: 0, emails: 0 };
+
+  // reminder_settings is keyed by organization, one row each, so a batch never exceeds a page
+  const organizationIds = [...new Set(objectives.map(obj => obj.organization_id).filter(Boolean))];
+  const settingsRows = [];
+  for (let i = 0; i < organizationIds.length; i += FETCH_ID_BATCH_SIZE) {
+    const { data, error: settingsError } = await supabase
+      .from('reminder_settings')
+      .select('*')
+      .in('organization_id', organizationIds.slice(i, i + FETCH_ID_BATCH_SIZE));
+    if (settingsError) throw settingsError;
+    settingsRows.push(...(data || []));
+  }
+  const settingsMap = new Map(settingsRows.map(row => [row.organization_id, row]));
+  const settingsFor = (organizationId) => withReminderDefaults(settingsMap.get(organizationId));
+
+  const eligible = objectives.filter(obj => obj.organization_id && settingsFor(obj.organization_id).enabled);
+  if (eligible.length === 0) return { reminders: 0, emails: 0 };
+
+  const eligibleIds = eligible.map(obj => obj.id);
+  const [{ byObjective: lastProgress }, keyResults] = await Promise.all([
+    loadLastProgressTimes(eligibleIds),
+    fetchRowsInBatches(
+      () => supabase
+        .from('key_results')
+        .select('id, title, objective_id, due_date, status, progress_percentage, created_at')
+        .not('due_date', 'is', null),
+      'objective_id',
+      eligibleIds
+    )
+  ]);
+
+  const candidates = [];
+  eligible.forEach(obj => {
+    const settings = settingsFor(obj.organization_id);
+
+    // Objectives with a check-in cadence go stale when a check-in is missed
+    const staleDays = CHECK_IN_CADENCES[obj.check_in_cadence] || settings.stale_after_days;
+    const lastActivity = latestTimestamp(lastProgress.get(obj.id), obj.confidence_updated_at, obj.created_at);
+    const idleDays = Math.floor((now.getTime() - new Date(lastActivity).getTime()) / DAY_MS);
+    if (lastActivity && idleDays >= staleDays) {
+      candidates.push({
+        kind: 'stale_objective',
+        objective: obj,
+        keyResultId: null,
+        title: `"${obj.title}" needs an update`,
+        message: `No progress update in ${idleDays} days`
+      });
     }
 
-    const previousValue = objective.current_value || 0;
-    const targetValue = objective.target_value || 100;
-    const newProgress = targetValue > 0 ? (current_value / targetValue) * 100 : 0;
-    const now = new Date().toISOString();
-    
-    // Use provided user_id or fall back to objective owner
-    const updateUserId = user_id || objective.owner_id;
+    if (settings.overdue_reminders && obj.due_date && String(obj.due_date).substring(0, 10) < today) {
+      candidates.push({
+        kind: 'objective_overdue',
+        objective: obj,
+        keyResultId: null,
+        title: `"${obj.title}" is overdue`,
+        message: `It was due on ${String(obj.due_date).substring(0, 10)} and isn't completed`
+      });
+    }
+  });
+
+  const objectiveMap = new Map(eligible.map(obj => [obj.id, obj]));
+  keyResults.forEach(kr => {
+    const obj = objectiveMap.get(kr.objective_id);
+    if (!obj || kr.status === 'Completed' || (kr.progress_percentage || 0) >= 100) return;
+
+    const dueDate = String(kr.due_date).substring(0, 10);
+    const horizon = new Date(now.getTime() + settingsFor(obj.organization_id).due_soon_days * DAY_MS).toISOString().split('T')[0];
+    if (dueDate >= today && dueDate <= horizon) {
+      candidates.push({
+        kind: 'key_result_due_soon',
+        objective: obj,
+        keyResultId: kr.id,
+        title: `"${kr.title}" is due soon`,
+        message: `Key result on "${obj.title}" is due on ${dueDate} at ${Math.round(kr.progress_percentage || 0)}%`
+      });
+    }
+  });
 
-    await supabase
-      .from('objectives')
-      .update({ 
-        current_value, 
-        progress_percentage: newProgress, 
-        updated_at: now 
-      })
-      .eq('id', objectiveId);
+  if (candidates.length === 0) return { reminders: 0, emails: 0 };
 
-    // Log progress update
-    const progressUpdateId = uuidv4();
-    await supabase
-      .from('progress_updates')
-      .insert({
-        id: progressUpdateId,
-        objective_id: objectiveId,
-        user_id: updateUserId,
-        previous_value: previousValue,
-        new_value: current_value,
-        notes: notes || ''
+  // Skip anything already reminded about within the organization's repeat window
+  const maxRepeatDays = Math.max(...organizationIds.map(id => settingsFor(id).repeat_after_days));
+  const recent = await fetchRowsInBatches(
+    () => supabase
+      .from('reminders_sent')
+      .select('id, kind, objective_id, key_result_id, created_at')
+      .gte('created_at', new Date(now.getTime() - maxRepeatDays * DAY_MS).toISOString()),
+    'objective_id',
+    [...new Set(candidates.map(c => c.objective.id))]
+  );
+
+  const lastSent = new Map();
+  recent.forEach(r => {
+    const key = `${r.kind}:${r.objective_id}:${r.key_result_id || ''}`;
+    if (!lastSent.has(key) || r.created_at > lastSent.get(key)) lastSent.set(key, r.created_at);
+  });
+
+  const due = candidates.filter(c => {
+    const sentAt = lastSent.get(`${c.kind}:${c.objective.id}:${c.keyResultId || ''}`);
+    const repeatMs = settingsFor(c.objective.organization_id).repeat_after_days * DAY_MS;
+    return !sentAt || now.getTime() - new Date(sentAt).getTime() >= repeatMs;
+  });
+
+  if (due.length === 0) return { reminders: 0, emails: 0 };
+
+  for (const reminder of due) {
+    await createNotification(reminder.objective.owner_id, 'reminder', reminder.title, reminder.message, reminder.objective.id);
+  }
+
+  const { error: logError } = await supabase
+    .from('reminders_sent')
+    .insert(due.map(reminder => ({
+      id: uuidv4(),
+      kind: reminder.kind,
+      user_id: reminder.objective.owner_id,
+      objective_id: reminder.objective.id,
+      key_result_id: reminder.keyResultId,
+      created_at: now.toISOString()
+    })));
+  if (logError) throw logError;
+
+  // One digest email per owner, for organizations that allow reminder emails
+  const byOwner = new Map();
+  due
+    .filter(reminder => settingsFor(reminder.objective.organization_id).email_enabled)
+    .forEach(reminder => {
+      if (!byOwner.has(reminder.objective.owner_id)) byOwner.set(reminder.objective.owner_id, []);
+      byOwner.get(reminder.objective.owner_id).push({
+        title: reminder.title,
+        message: reminder.message,
+        objectiveId: reminder.objective.id
       });
+    });
 
-    // Get updater info for notifications
-    const { data: updater } = await supabase.from('users').select('name').eq('id', updateUserId).single();
-    const updaterName = updater?.name || 'Someone';
-    
-    // Notify objective owner and contributors (excluding updater)
-    await notifyObjectiveStakeholders(
-      objectiveId,
-      'progress_update',
-      `Progress updated on "${objective.title}"`,
-      `${updaterName} updated progress on "${objective.title}" from ${previousValue} to ${current_value}`,
-      updateUserId,
-      null,
-      progressUpdateId
+  let emails = 0;
+  if (byOwner.size > 0) {
+    const owners = await fetchRowsInBatches(
+      () => supabase.from('users').select('id, name, email'),
+      'id',
+      Array.from(byOwner.keys()),
+      { sortField: 'id' }
     );
 
-    const updatedObjective = await dbGet('SELECT * FROM objectives WHERE id = ?', [objectiveId]);
-    updatedObjective.tags = Array.isArray(updatedObjective.tags) ? updatedObjective.tags : (updatedObjective.tags ? JSON.parse(updatedObjective.tags) : []);
-    
-    res.json(updatedObjective);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    for (const owner of owners) {
+      if (!owner.email) continue;
+      try {
+        await sendReminderEmail(owner.email, owner.name || 'there', byOwner.get(owner.id), baseUrl);
+        emails++;
+      } catch (emailError) {
+        // In-app notifications were already sent; a failed email shouldn't fail the job
+        console.error('Error sending reminder email:', emailError);
+      }
+    }
   }
-});
 
-// Key Results routes
-app.get('/api/objectives/:id/key-results', async (req, res) => {
-  try {
-    const keyResults = await dbAll(
-      'SELECT * FROM key_results WHERE objective_id = ? ORDER BY created_at ASC',
-      [req.params.id]
-    );
-    res.json(keyResults);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  return { reminders: due.length, emails };
+}
+
+// Create the next occurrence of a recurring objective: same key results with values reset,
+// same contributors, dates moved forward one period. Returns null if it already exists.
+async function createNextOccurrence(objective) {
+  const { start_date: startDate, due_date: dueDate, months } = nextOccurrenceDates(objective);
+  const seriesId = objective.recurrence_series_id || objective.id;
+
+  // Place the copy in whichever open cycle of the organization covers its new start date
+  const { data: cycle } = await supabase
+    .from('cycles')
+    .select('id')
+    .eq('organization_id', objective.organization_id)
+    .neq('status', 'closed')
+    .lte('start_date', startDate)
+    .gte('end_date', startDate)
+    .order('start_date', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  // A child of a recurring parent moves under the parent's new occurrence
+  let parentId = objective.parent_objective_id;
+  if (parentId) {
+    const { data: nextParent } = await supabase
+      .from('objectives')
+      .select('id')
+      .eq('previous_occurrence_id', parentId)
+      .maybeSingle();
+    parentId = nextParent?.id || parentId;
   }
-});
 
-app.post('/api/objectives/:id/key-results', async (req, res) => {
-  try {
-    const { title, description, target_value, current_value, unit, due_date, auto_update_progress } = req.body;
-    const id = uuidv4();
-    const progressPercentage = target_value > 0 ? ((current_value || 0) / target_value) * 100 : 0;
-    const autoUpdate = auto_update_progress !== undefined ? Boolean(auto_update_progress) : true;
+  // The copy goes through approval like any new objective of its owner
+  const { data: owner } = objective.owner_id
+    ? await supabase.from('users').select('id, role').eq('id', objective.owner_id).maybeSingle()
+    : { data: null };
+  const approval = initialApproval(APPROVED_STATUS, await getDepartmentManagerId(objective.department_id), owner || { id: null, role: null });
+
+  const [keyResults, { data: contributors, error: contributorsError }, viewerIds] = await Promise.all([
+    dbAll('SELECT * FROM key_results WHERE objective_id = ?', [objective.id]),
+    supabase.from('objective_contributors').select('user_id').eq('objective_id', objective.id),
+    objective.visibility === 'restricted' ? getObjectiveViewerIds(objective.id) : []
+  ]);
+  if (contributorsError) throw contributorsError;
+
+  // The copy is written in one transaction, so a failure leaves no half-made occurrence behind
+  const { data: next, error } = await supabase.rpc('create_next_occurrence', {
+    p_objective: {
+      id: uuidv4(),
+      organization_id: objective.organization_id,
+      title: objective.title,
+      description: objective.description,
+      owner_id: objective.owner_id,
+      department_id: objective.department_id,
+      parent_objective_id: parentId,
+      cycle_id: cycle?.id || null,
+      ...approval,
+      priority: objective.priority,
+      start_date: startDate,
+      due_date: dueDate,
+      target_value: objective.target_value,
+      current_value: objective.target_value !== null && objective.target_value !== undefined ? 0 : null,
+      tags: Array.isArray(objective.tags) ? objective.tags : [],
+      check_in_cadence: objective.check_in_cadence,
+      recurrence: objective.recurrence,
+      visibility: objective.visibility || 'org',
+      custom_fields: objective.custom_fields || {},
+      previous_occurrence_id: objective.id,
+      recurrence_series_id: seriesId
+    },
+    p_key_results: keyResults.map(kr => {
+      const startValue = kr.type === 'boolean' || kr.type === 'milestone' ? 0 : (kr.start_value ?? 0);
+      return {
+        id: uuidv4(),
+        title: kr.title,
+        description: kr.description,
+        type: kr.type || 'increase',
+        start_value: kr.start_value ?? 0,
+        target_value: kr.target_value,
+        current_value: startValue,
+        unit: kr.unit,
+        due_date: addMonths(kr.due_date, months),
+        auto_update_progress: kr.auto_update_progress,
+        weight: kr.weight ?? 1,
+        custom_fields: kr.custom_fields || {},
+        recurrence_series_id: kr.recurrence_series_id || kr.id
+      };
+    }),
+    p_contributors: (contributors || []).map(c => ({ id: uuidv4(), user_id: c.user_id })),
+    p_viewers: viewerIds.map(userId => ({ id: uuidv4(), user_id: userId }))
+  });
+
+  if (error) {
+    // Unique violation: another run already created this occurrence
+    if (error.code === '23505') return null;
+    throw error;
+  }
 
-    const { data: keyResult, error } = await supabase
-      .from('key_results')
-      .insert({
-        id,
-        objective_id: req.params.id,
-        title,
-        description,
-        target_value,
-        current_value: current_value || 0,
-        progress_percentage: progressPercentage,
-        unit,
-        due_date,
-        auto_update_progress: autoUpdate
-      })
-      .select()
-      .single();
+  if (next.owner_id) {
+    await createNotification(
+      next.owner_id,
+      'objective_update',
+      `New period for "${next.title}"`,
+      `"${next.title}" recurs ${next.recurrence}; a new occurrence runs from ${startDate} to ${dueDate}` +
+        (isUnapproved(next.status) ? ' once it is submitted and approved' : ''),
+      next.id
+    );
+  }
 
-    if (error) throw error;
+  return next;
+}
 
-    // Recalculate objective progress
-    await calculateObjectiveProgress(req.params.id);
+// Create the next occurrence of every recurring objective whose period has ended
+async function generateRecurringObjectives() {
+  const today = new Date().toISOString().split('T')[0];
 
-    res.status(201).json(keyResult);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  // Only the latest occurrence of each series: earlier ones already have a successor
+  const ended = await fetchAllRows(() => excludeUnapproved(supabase
+    .from('objectives')
+    .select('*')
+    .not('recurrence', 'is', null)
+    .lt('due_date', today)
+    .eq('has_next_occurrence', false)
+    .is('deleted_at', null)
+    .is('archived_at', null)), { sortField: 'id' });
+
+  if (ended.length === 0) return 0;
+
+  // Parents first, so recurring children can attach to the parent's new occurrence
+  const endedIds = new Set(ended.map(obj => obj.id));
+  const pending = ended
+    .sort((a, b) => Number(endedIds.has(a.parent_objective_id)) - Number(endedIds.has(b.parent_objective_id)));
+
+  let created = 0;
+  for (const objective of pending) {
+    try {
+      if (await createNextOccurrence(objective)) created++;
+    } catch (error) {
+      console.error(`Error creating next occurrence of objective ${objective.id}:`, error);
+    }
   }
+
+  return created;
+}
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Objectives API is running' });
 });
 
-app.put('/api/key-results/:id', async (req, res) => {
-  try {
-    const { title, description, target_value, current_value, unit, status, due_date, progress_percentage, auto_update_progress } = req.body;
-    
-    // Get existing key result to use as fallback values
-    const existing = await dbGet('SELECT * FROM key_results WHERE id = ?', [req.params.id]);
-    if (!existing) {
-      return res.status(404).json({ error: 'Key result not found' });
-    }
-    
-    // Determine target_value (use provided, otherwise existing, otherwise 100)
-    const finalTargetValue = target_value !== undefined && target_value !== null ? target_value : (existing.target_value || 100);
-    
-    // Determine progress_percentage and current_value
-    let progressPercentage, finalCurrentValue;
-    
-    if (progress_percentage !== undefined && progress_percentage !== null) {
-      // If progress_percentage is explicitly provided, use it
-      progressPercentage = progress_percentage;
-      
-      // If current_value is also provided, use it; otherwise calculate from progress_percentage
-      if (current_value !== undefined && current_value !== null) {
-        finalCurrentValue = current_value;
-      } else {
-        finalCurrentValue = (progressPercentage / 100) * finalTargetValue;
-      }
-    } else if (current_value !== undefined && current_value !== null) {
-      // If only current_value is provided, calculate progress_percentage from it
-      finalCurrentValue = current_value;
-      progressPercentage = finalTargetValue > 0 ? (current_value / finalTargetValue) * 100 : 0;
-    } else {
-      // Fallback to existing values
-      progressPercentage = existing.progress_percentage || 0;
-      finalCurrentValue = existing.current_value || 0;
+// Turn the GET /api/objectives filters into a function that applies them to an objectives query
+// Shared by the list and the export so both select the same objectives in the same order;
+// returns { applyFilters, isSearchOnly, sortField, ascending } or { error }
+async function parseObjectiveListQuery(req) {
+  // Handle sorting
+  const sortBy = req.query.sortBy || 'created_at';
+  const sortOrder = req.query.sortOrder || 'DESC';
+  const validSortFields = ['created_at', 'updated_at', 'due_date', 'title'];
+  const validSortOrders = ['ASC', 'DESC'];
+
+  const finalSortBy = validSortFields.includes(sortBy) ? sortBy : 'created_at';
+  const finalSortOrder = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
+
+  // Parse multi-value, range and tag filters (see utils/filters.js for the grammar)
+  const { filters, error: filterError } = parseObjectiveFilters(req.query);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  // Custom field filters need the organization's definitions (see utils/customfields.js)
+  let customFieldFilters = [];
+  if (req.query.cf !== undefined) {
+    const definitions = await loadCustomFieldDefinitions(req.user.organizationId, 'objective');
+    const parsed = parseCustomFieldFilters(req.query, definitions);
+    if (parsed.error) {
+      return { error: parsed.error };
     }
+    customFieldFilters = parsed.filters;
+  }
 
-    // Handle auto_update_progress - convert to boolean for Supabase
-    let autoUpdate = true; // default
-    if (auto_update_progress !== undefined) {
-      autoUpdate = Boolean(auto_update_progress);
-    } else if (existing.auto_update_progress !== undefined && existing.auto_update_progress !== null) {
-      // Handle both boolean and integer (0/1) from database
-      autoUpdate = typeof existing.auto_update_progress === 'boolean' 
-        ? existing.auto_update_progress 
-        : Boolean(existing.auto_update_progress);
+  // Contributor and owner-department filters resolve to ID sets before the main query
+  let contributorObjectiveIds = null;
+  if (req.query.contributor_id) {
+    const { data: contributions, error: contribError } = await supabase
+      .from('objective_contributors')
+      .select('objective_id')
+      .in('user_id', parseList(req.query.contributor_id));
+    if (contribError) throw contribError;
+    contributorObjectiveIds = [...new Set((contributions || []).map(c => c.objective_id))];
+  }
+
+  let departmentOwnerIds = null;
+  if (req.query.owner_department_id) {
+    let ownersQuery = supabase
+      .from('users')
+      .select('id')
+      .in('department', parseList(req.query.owner_department_id))
+      .eq('organization_id', req.user.organizationId);
+    const { data: owners, error: ownersError } = await ownersQuery;
+    if (ownersError) throw ownersError;
+    departmentOwnerIds = (owners || []).map(u => u.id);
+  }
+
+  // Search matches title, description, or owner name/email within the organization
+  let searchFilter = null;
+  if (req.query.search) {
+    const pattern = quoteFilterValue(`%${req.query.search.replace(/[%_\\]/g, '\\$&')}%`);
+    let usersQuery = supabase
+      .from('users')
+      .select('id')
+      .or(`name.ilike.${pattern},email.ilike.${pattern}`)
+      .eq('organization_id', req.user.organizationId);
+    const { data: matchingUsers } = await usersQuery;
+
+    const conditions = [`title.ilike.${pattern}`, `description.ilike.${pattern}`];
+    if (matchingUsers && matchingUsers.length > 0) {
+      conditions.push(`owner_id.in.(${matchingUsers.map(u => quoteFilterValue(u.id)).join(',')})`);
     }
+    searchFilter = conditions.join(',');
+  }
 
-    // Prepare values, handling null/undefined properly
-    const updateTitle = title !== undefined && title !== null ? title : existing.title;
-    const updateDescription = description !== undefined ? description : existing.description;
-    const updateUnit = unit !== undefined && unit !== null ? unit : existing.unit;
-    const updateStatus = status !== undefined && status !== null ? status : existing.status;
-    const updateDueDate = due_date !== undefined ? due_date : existing.due_date;
-    const now = new Date().toISOString();
+  // Only objectives the requester is allowed to see
+  const viewerFilter = visibilityFilter(await getViewer(req));
 
-    // Use Supabase directly for complex UPDATE
-    const { data: keyResult, error: updateError } = await supabase
-      .from('key_results')
-      .update({
-        title: updateTitle,
-        description: updateDescription,
-        target_value: finalTargetValue,
-        current_value: finalCurrentValue,
-        progress_percentage: progressPercentage,
-        unit: updateUnit,
-        status: updateStatus,
-        due_date: updateDueDate,
-        auto_update_progress: autoUpdate,
-        updated_at: now
-      })
-      .eq('id', req.params.id)
-      .select()
-      .single();
+  // Same filters feed both the page query and the total count
+  const applyFilters = (queryBuilder) => {
+    queryBuilder = queryBuilder.eq('organization_id', req.user.organizationId);
 
-    if (updateError) throw updateError;
-    if (!keyResult) {
-      return res.status(404).json({ error: 'Key result not found' });
+    if (viewerFilter) {
+      queryBuilder = queryBuilder.or(viewerFilter);
     }
-    
-    // Recalculate objective progress
-    const objectiveId = keyResult.objective_id;
-    await calculateObjectiveProgress(objectiveId);
 
-    res.json(keyResult);
-  } catch (error) {
-    console.error('Error updating key result:', error);
-    console.error('Request body:', req.body);
-    console.error('Key result ID:', req.params.id);
-    res.status(500).json({ error: error.message });
-  }
-});
+    queryBuilder = applyObjectiveFilters(queryBuilder, filters);
+    queryBuilder = applyCustomFieldFilters(queryBuilder, customFieldFilters);
+
+    if (contributorObjectiveIds) {
+      queryBuilder = queryBuilder.in('id', contributorObjectiveIds);
+    }
+
+    if (departmentOwnerIds) {
+      queryBuilder = queryBuilder.in('owner_id', departmentOwnerIds);
+    }
+
+    // Archived and soft-deleted (trashed) objectives are hidden unless explicitly requested
+    if (req.query.include_archived !== 'true') {
+      queryBuilder = queryBuilder.is('archived_at', null);
+    }
+    if (req.query.include_deleted !== 'true') {
+      queryBuilder = queryBuilder.is('deleted_at', null);
+    }
+
+    if (req.query.tag) {
+      // For JSONB, search for tag in array using @> operator
+      queryBuilder = queryBuilder.contains('tags', [req.query.tag]);
+    }
 
-app.delete('/api/key-results/:id', async (req, res) => {
+    if (searchFilter) {
+      queryBuilder = queryBuilder.or(searchFilter);
+    }
+
+    return queryBuilder;
+  };
+
+  const isSearchOnly = Boolean(req.query.search) && filters.length === 0 && customFieldFilters.length === 0 && !req.query.tag &&
+    !contributorObjectiveIds && !departmentOwnerIds;
+
+  return { applyFilters, isSearchOnly, sortField: finalSortBy, ascending: finalSortOrder === 'ASC' };
+}
+
+// Get all objectives with optional filters (organization-scoped)
+app.get('/api/objectives', authenticate, requireOrganization, async (req, res) => {
   try {
-    const keyResult = await dbGet('SELECT * FROM key_results WHERE id = ?', [req.params.id]);
-    const objectiveId = keyResult?.objective_id;
+    const { applyFilters, isSearchOnly, sortField, ascending, error: filterError } = await parseObjectiveListQuery(req);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
 
-    await dbRun('DELETE FROM key_results WHERE id = ?', [req.params.id]);
+    // Paginate when limit/cursor is given; search-only queries keep their short default
+    const pagination = parsePagination(req.query, { defaultLimit: isSearchOnly ? 20 : null });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const pageQuery = applyCursor(applyFilters(supabase.from('objectives').select('*')), {
+      sortField,
+      ascending,
+      cursor: pagination.cursor,
+      limit: pagination.limit
+    });
+    const countQuery = applyFilters(supabase.from('objectives').select('id', { count: 'exact', head: true }));
+
+    const [{ data: objectives, error }, { count: total, error: countError }] = await Promise.all([pageQuery, countQuery]);
+    
+    if (error) throw error;
+    if (countError) throw countError;
 
-    if (objectiveId) {
-      await calculateObjectiveProgress(objectiveId);
+    const { data: filteredObjectives, nextCursor } = buildPage(objectives, {
+      sortField,
+      limit: pagination.limit
+    });
+    
+    // Only load contributors if not a search query (search results don't need contributors)
+    let contributorsMap = {};
+    if (!isSearchOnly && filteredObjectives.length > 0) {
+      const objectiveIds = filteredObjectives.map(obj => obj.id);
+      const { data: contributors } = await supabase
+        .from('objective_contributors')
+        .select('objective_id, user_id, users(id, name, email)')
+        .in('objective_id', objectiveIds);
+      
+      if (contributors) {
+        contributors.forEach(contrib => {
+          if (!contributorsMap[contrib.objective_id]) {
+            contributorsMap[contrib.objective_id] = [];
+          }
+          const user = contrib.users;
+          if (user) {
+            contributorsMap[contrib.objective_id].push({
+              id: contrib.user_id,
+              name: user.name,
+              email: user.email
+            });
+          }
+        });
+      }
     }
+    
+    // Tags are already JSONB arrays, just ensure they're arrays
+    const objectivesWithParsedTags = filteredObjectives.map(obj => ({
+      ...obj,
+      tags: Array.isArray(obj.tags) ? obj.tags : (obj.tags ? JSON.parse(obj.tags) : []),
+      custom_fields: obj.custom_fields || {},
+      contributors: contributorsMap[obj.id] || []
+    }));
 
-    res.json({ message: 'Key result deleted successfully' });
+    setPaginationHeaders(res, { total, nextCursor });
+    res.json(objectivesWithParsedTags);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get all tags for reporting
-app.get('/api/tags', async (req, res) => {
+const MAX_EXPORT_OBJECTIVES = 5000;
+
+// Export objectives, key results and progress updates as a spreadsheet (see utils/exports.js)
+// Takes the same filters and sorting as GET /api/objectives. XLSX has a sheet per entity;
+// CSV holds one, chosen with sheet=objectives|key_results|progress_updates.
+app.get('/api/objectives/export', authenticate, requireOrganization, async (req, res) => {
   try {
-    const { data: objectives } = await supabase
-      .from('objectives')
-      .select('tags')
-      .not('tags', 'is', null);
-    
-    const allTags = new Set();
-    
-    (objectives || []).forEach(obj => {
-      if (obj.tags) {
-        const tags = Array.isArray(obj.tags) ? obj.tags : JSON.parse(obj.tags);
-        if (Array.isArray(tags)) {
-          tags.forEach(tag => allTags.add(tag));
-        }
-      }
+    const format = req.query.format || 'xlsx';
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${SPREADSHEET_FORMATS.join(', ')}` });
+    }
+
+    const sheet = req.query.sheet || 'objectives';
+    if (format === 'csv' && !EXPORT_SHEETS.includes(sheet)) {
+      return res.status(400).json({ error: `Sheet must be one of: ${EXPORT_SHEETS.join(', ')}` });
+    }
+
+    const { applyFilters, sortField, ascending, error: filterError } = await parseObjectiveListQuery(req);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { count, error: countError } = await applyFilters(
+      supabase.from('objectives').select('id', { count: 'exact', head: true })
+    );
+    if (countError) throw countError;
+    if (count > MAX_EXPORT_OBJECTIVES) {
+      return res.status(400).json({ error: `An export is limited to ${MAX_EXPORT_OBJECTIVES} objectives; narrow it down with filters` });
+    }
+
+    const objectives = await fetchAllRows(
+      () => applyFilters(supabase.from('objectives').select('*')),
+      { sortField, ascending }
+    );
+    const objectiveIds = objectives.map(objective => objective.id);
+    const position = new Map(objectiveIds.map((id, index) => [id, index]));
+
+    // Progress updates name their key results, so those are loaded for either sheet
+    const includes = (key) => format === 'xlsx' || sheet === key;
+    let keyResults;
+    if (includes('key_results') || includes('progress_updates')) {
+      keyResults = (await fetchRowsInBatches(() => supabase.from('key_results').select('*'), 'objective_id', objectiveIds))
+        .sort((a, b) => position.get(a.objective_id) - position.get(b.objective_id));
+    }
+    let progressUpdates;
+    if (includes('progress_updates')) {
+      progressUpdates = (await fetchRowsInBatches(() => supabase.from('progress_updates').select('*'), 'objective_id', objectiveIds))
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    }
+
+    // Parents outside the export are named only if the requester can see them
+    const viewer = await getViewer(req);
+    const exportedIds = new Set(objectiveIds);
+    const parentIds = [...new Set(objectives.map(objective => objective.parent_objective_id))]
+      .filter(id => id && !exportedIds.has(id));
+
+    const [users, parents, departments, cycles, objectiveFields, keyResultFields] = await Promise.all([
+      fetchAllRows(() => supabase.from('users').select('id, name, email').eq('organization_id', req.organizationId), { sortField: 'id' }),
+      fetchRowsInBatches(
+        () => scopeVisibleObjectives(supabase.from('objectives').select('id, title'), req, viewer),
+        'id',
+        parentIds,
+        { sortField: 'id' }
+      ),
+      supabase.from('departments').select('id, name').eq('organization_id', req.organizationId),
+      supabase.from('cycles').select('id, name').eq('organization_id', req.organizationId),
+      loadCustomFieldDefinitions(req.organizationId, 'objective'),
+      loadCustomFieldDefinitions(req.organizationId, 'key_result')
+    ]);
+    if (departments.error) throw departments.error;
+    if (cycles.error) throw cycles.error;
+
+    const sheets = buildExportSheets({ objectives, keyResults, progressUpdates }, {
+      users,
+      parents,
+      departments: departments.data || [],
+      cycles: cycles.data || [],
+      definitions: { objective: objectiveFields, key_result: keyResultFields }
     });
 
-    res.json(Array.from(allTags).sort());
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      res.set('Content-Type', SPREADSHEET_CONTENT_TYPES.csv);
+      res.set('Content-Disposition', `attachment; filename="${sheet}-${date}.csv"`);
+      // The byte order mark tells Excel the file is UTF-8
+      return res.send('\ufeff' + formatCsv(sheets.find(s => s.key === sheet)));
+    }
+
+    res.set('Content-Type', SPREADSHEET_CONTENT_TYPES.xlsx);
+    res.set('Content-Disposition', `attachment; filename="objectives-${date}.xlsx"`);
+    res.send(await buildWorkbook(sheets));
   } catch (error) {
+    console.error('Export objectives error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get statistics by tag
-app.get('/api/tags/:tag/stats', async (req, res) => {
+// Get objective hierarchy tree with rolled-up progress (organization-scoped)
+app.get('/api/objectives/tree', authenticate, requireOrganization, async (req, res) => {
   try {
-    const { tag } = req.params;
-    // Use JSONB containment to find objectives with this tag
-    const { data: objectives } = await supabase
+    const rootId = req.query.root_id || null;
+
+    let { data: objectives, error } = await supabase
       .from('objectives')
       .select('*')
-      .contains('tags', [tag]);
-    
-    const stats = {
-      total: (objectives || []).length,
-      byStatus: {},
-      averageProgress: 0,
-      totalProgress: 0
-    };
+      .eq('organization_id', req.organizationId)
+      .is('archived_at', null)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
 
-    (objectives || []).forEach(obj => {
-      stats.byStatus[obj.status] = (stats.byStatus[obj.status] || 0) + 1;
-      stats.totalProgress += obj.progress_percentage || 0;
-    });
+    if (error) throw error;
 
-    stats.averageProgress = (objectives || []).length > 0 ? stats.totalProgress / (objectives || []).length : 0;
+    // Children of hidden objectives show up as roots
+    const viewer = await getViewer(req);
+    objectives = (objectives || []).filter(obj => canViewObjective(obj, viewer));
 
-    res.json(stats);
+    if (rootId && !objectives.some(obj => obj.id === rootId)) {
+      return res.status(404).json({ error: 'Objective not found' });
+    }
+
+    let keyResults = [];
+    if (objectives.length > 0) {
+      const { data, error: krError } = await supabase
+        .from('key_results')
+        .select('*')
+        .in('objective_id', objectives.map(obj => obj.id))
+        .order('created_at', { ascending: true });
+
+      if (krError) throw krError;
+      keyResults = data || [];
+    }
+
+    const tree = buildObjectiveTree(objectives, keyResults, rootId);
+    res.json(rootId ? tree[0] : tree);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update comment
-app.put('/api/comments/:id', async (req, res) => {
+// Fill in an objective row the way GET /api/objectives/:id returns it
+// (also sent with version conflicts, so clients can merge against the same shape)
+async function withObjectiveDetails(objective) {
+  // Tags are JSONB arrays in Supabase
+  objective.tags = Array.isArray(objective.tags) ? objective.tags : (objective.tags ? JSON.parse(objective.tags) : []);
+  objective.custom_fields = objective.custom_fields || {};
+
+  // Get contributors using Supabase JOIN
+  const { data: contributors } = await supabase
+    .from('objective_contributors')
+    .select('user_id, users(id, name, email)')
+    .eq('objective_id', objective.id);
+
+  objective.contributors = (contributors || []).map(c => ({
+    id: c.user_id,
+    name: c.users?.name,
+    email: c.users?.email
+  })).filter(c => c.name); // Filter out any missing user data
+
+  objective.viewer_ids = objective.visibility === 'restricted'
+    ? await getObjectiveViewerIds(objective.id)
+    : [];
+
+  const { byObjective } = await loadLastProgressTimes([objective.id]);
+  objective.health = objectiveHealth(objective, byObjective.get(objective.id));
+
+  return objective;
+}
+
+// A key result the way GET /api/key-results/:id returns it, with its effective weight
+async function withKeyResultDetails(keyResult) {
+  const weighted = await getKeyResultsWithWeights(keyResult.objective_id);
+  return weighted.find(kr => kr.id === keyResult.id) || keyResult;
+}
+
+// Get single objective
+app.get('/api/objectives/:id', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { content, user_id } = req.body;
-    
-    // Verify comment exists and user owns it
-    const { data: existingComment, error: fetchError } = await supabase
-      .from('comments')
-      .select('user_id')
-      .eq('id', id)
-      .single();
-    
-    if (fetchError) throw fetchError;
-    if (!existingComment) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-    
-    if (existingComment.user_id !== user_id) {
-      return res.status(403).json({ error: 'You can only edit your own comments' });
-    }
-    
-    // Update comment
-    const { data: updatedComment, error: updateError } = await supabase
-      .from('comments')
-      .update({
-        content,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (updateError) throw updateError;
-    
-    // Fetch with user details
-    const { data: commentWithUser, error: userError } = await supabase
-      .from('comments')
-      .select('*, users(name, email)')
-      .eq('id', id)
-      .single();
-    
-    if (userError) throw userError;
-    
-    // Format response
-    const formattedComment = {
-      ...commentWithUser,
-      user_name: commentWithUser.users?.name || 'System',
-      user_email: commentWithUser.users?.email || ''
-    };
-    delete formattedComment.users;
-    
-    res.json(formattedComment);
+    const objective = await withObjectiveDetails(req.objective);
+
+    res.set('ETag', formatETag(objective.version));
+    res.json(objective);
   } catch (error) {
-    console.error('Error updating comment:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Delete comment
-app.delete('/api/comments/:id', async (req, res) => {
+// Create objective
+app.post('/api/objectives', authenticate, requireOrganization, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { user_id } = req.query; // Get user_id from query params
-    
-    // Verify comment exists and user owns it
-    const { data: existingComment, error: fetchError } = await supabase
-      .from('comments')
-      .select('user_id, media_url')
-      .eq('id', id)
-      .single();
-    
-    if (fetchError) throw fetchError;
-    if (!existingComment) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-    
-    if (existingComment.user_id !== user_id) {
-      return res.status(403).json({ error: 'You can only delete your own comments' });
-    }
-    
-    // Delete media file if exists
-    if (existingComment.media_url) {
-      try {
-        await deleteFile(existingComment.media_url, MEDIA_BUCKET_NAME);
-      } catch (mediaError) {
-        console.warn('Could not delete media file:', mediaError);
-        // Continue with comment deletion even if media deletion fails
-      }
-    }
-    
-    // Delete comment
-    const { error: deleteError } = await supabase
-      .from('comments')
-      .delete()
-      .eq('id', id);
-    
-    if (deleteError) throw deleteError;
-    
-    res.json({ success: true, message: 'Comment deleted' });
-  } catch (error) {
-    console.error('Error deleting comment:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+    const {
+      title,
+      description,
+      owner_id,
+      department_id,
+      team_id, // Support team_id as alias for department_id
+      parent_objective_id,
+      cycle_id,
+      status = 'Active',
+      priority = 'Medium',
+      start_date,
+      due_date,
+      target_value,
+      current_value,
+      check_in_cadence,
+      recurrence,
+      visibility = 'org',
+      viewer_ids = [],
+      custom_fields = {},
+      tags = []
+    } = req.body;
 
-// Dashboard stats
-app.get('/api/dashboard/stats', optionalAuthenticate, async (req, res) => {
-  try {
-    // If user is authenticated but has no organization, return empty stats
-    if (req.user && !req.user.organizationId) {
-      return res.json({
-        total: 0,
-        byStatus: {},
-        byPriority: {},
-        averageProgress: 0,
-        totalProgress: 0,
-        completed: 0,
-        active: 0
+    // Use team_id if provided, otherwise fall back to department_id
+    const finalDepartmentId = team_id !== undefined ? team_id : department_id;
+
+    const id = uuidv4();
+    // Tags stored as JSONB array in Supabase
+    const tagsArray = Array.isArray(tags) ? tags : [];
+
+    // Normalize null/empty values - convert empty strings to null
+    const normalizeValue = (val) => {
+      if (val === '' || val === undefined) return null;
+      return val;
+    };
+
+    const insertData = {
+      id,
+      title: title || '',
+      description: normalizeValue(description),
+      owner_id: normalizeValue(owner_id),
+      department_id: normalizeValue(finalDepartmentId),
+      parent_objective_id: normalizeValue(parent_objective_id),
+      cycle_id: normalizeValue(cycle_id),
+      status: status || 'Active',
+      priority: priority || 'Medium',
+      start_date: normalizeValue(start_date),
+      due_date: normalizeValue(due_date),
+      target_value: normalizeValue(target_value),
+      current_value: normalizeValue(current_value),
+      check_in_cadence: normalizeValue(check_in_cadence),
+      recurrence: normalizeValue(recurrence),
+      recurrence_series_id: normalizeValue(recurrence) ? id : null,
+      visibility: visibility || 'org',
+      tags: tagsArray,
+      organization_id: req.organizationId
+    };
+
+    // Validate required fields
+    if (!insertData.title || insertData.title.trim() === '') {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    if (!insertData.organization_id) {
+      console.error('Missing organization_id in request:', {
+        userId: req.user?.id,
+        userOrgId: req.user?.organizationId,
+        reqOrgId: req.organizationId
       });
+      return res.status(400).json({ error: 'Organization ID is required' });
     }
-    
-    let queryBuilder = supabase.from('objectives').select('*');
-    
-    // Filter by organization if user is authenticated
-    if (req.user && req.user.organizationId) {
-      queryBuilder = queryBuilder.eq('organization_id', req.user.organizationId);
+
+    const cadenceError = validateCheckInCadence(insertData.check_in_cadence);
+    if (cadenceError) {
+      return res.status(400).json({ error: cadenceError });
     }
-    
-    const { data: allObjectives, error } = await queryBuilder;
-    
-    if (error) throw error;
-    
-    const objectives = allObjectives || [];
-    const stats = {
-      total: objectives.length,
-      byStatus: {},
-      byPriority: {},
-      averageProgress: 0,
-      totalProgress: 0,
-      completed: 0,
-      active: 0
-    };
 
-    objectives.forEach(obj => {
-      stats.byStatus[obj.status] = (stats.byStatus[obj.status] || 0) + 1;
-      stats.byPriority[obj.priority] = (stats.byPriority[obj.priority] || 0) + 1;
-      stats.totalProgress += obj.progress_percentage || 0;
-      if (obj.status === 'Completed') stats.completed++;
-      if (obj.status === 'Active') stats.active++;
-    });
+    const recurrenceError = validateRecurrence(insertData.recurrence, insertData.due_date);
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
 
-    stats.averageProgress = objectives.length > 0 ? stats.totalProgress / objectives.length : 0;
+    const visibilityError = validateVisibility(insertData.visibility);
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
 
-    res.json(stats);
+    const viewers = await validateViewerIds(viewer_ids ?? [], insertData.organization_id);
+    if (viewers.error) {
+      return res.status(400).json({ error: viewers.error });
+    }
+
+    const customFields = await validateCustomFields(custom_fields ?? {}, insertData.organization_id, 'objective');
+    if (customFields.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: customFields.errors });
+    }
+    insertData.custom_fields = customFields.values;
+
+    const approval = initialApproval(insertData.status, await getDepartmentManagerId(insertData.department_id), req.user);
+    if (approval.error) {
+      return res.status(400).json({ error: approval.error });
+    }
+    Object.assign(insertData, approval);
+
+    if (insertData.cycle_id) {
+      const cycleError = await validateObjectiveCycle(insertData.cycle_id, insertData.organization_id);
+      if (cycleError) {
+        return res.status(400).json({ error: cycleError });
+      }
+    }
+
+    console.log('Creating objective with data:', JSON.stringify(insertData, null, 2));
+
+    const { data: objective, error } = await supabase
+      .from('objectives')
+      .insert(insertData)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error creating objective:', error);
+      console.error('Error details:', JSON.stringify(error, null, 2));
+      throw error;
+    }
+
+    await saveObjectiveViewers(objective.id, objective.visibility, viewers.ids);
+    objective.viewer_ids = objective.visibility === 'restricted' ? viewers.ids : [];
+
+    // A new child changes the parent's rolled-up progress
+    if (objective.parent_objective_id) {
+      await calculateObjectiveProgress(objective.parent_objective_id);
+    }
+
+    // Ensure tags is an array
+    objective.tags = Array.isArray(objective.tags) ? objective.tags : [];
+
+    res.status(201).json(objective);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error creating objective:', error);
+    console.error('Error stack:', error.stack);
+    console.error('Request body:', req.body);
+    console.error('User:', req.user);
+    console.error('Organization ID:', req.organizationId);
+    
+    // Provide more detailed error message
+    const errorMessage = error.message || 'Unknown error occurred';
+    const errorDetails = error.details || error.hint || '';
+    
+    res.status(500).json({ 
+      error: errorMessage,
+      details: errorDetails,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
   }
 });
 
-// Manager Actions endpoint - objectives needing attention
-app.get('/api/dashboard/manager-actions', async (req, res) => {
+// Bulk update objectives - one shared patch or per-item patches, applied atomically
+const BULK_PATCH_FIELDS = ['title', 'description', 'owner_id', 'department_id', 'cycle_id', 'status', 'priority', 'start_date', 'due_date', 'tags'];
+const MAX_BULK_ITEMS = 200;
+
+app.post('/api/objectives/bulk', authenticate, requireOrganization, async (req, res) => {
   try {
-    const allObjectives = await dbAll('SELECT * FROM objectives WHERE status != ?', ['Completed']);
-    
-    // Get progress updates for all objectives
-    const progressUpdates = await dbAll('SELECT objective_id, MAX(created_at) as last_update FROM progress_updates GROUP BY objective_id');
-    const updatesMap = new Map();
-    progressUpdates.forEach(update => {
-      updatesMap.set(update.objective_id, update.last_update);
-    });
+    const { ids, patch, items } = req.body;
+
+    // Normalize both request shapes into [{ id, patch }]
+    let requested;
+    if (Array.isArray(items)) {
+      requested = items.map(item => ({ id: item?.id, patch: item?.patch || {} }));
+    } else if (Array.isArray(ids) && patch && typeof patch === 'object') {
+      requested = ids.map(id => ({ id, patch }));
+    } else {
+      return res.status(400).json({ error: 'Provide either ids and patch, or items with per-item patches' });
+    }
 
-    const now = new Date();
-    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (requested.length === 0) {
+      return res.status(400).json({ error: 'No objectives to update' });
+    }
 
-    const noUpdates = [];
-    const pastDue = [];
+    if (requested.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({ error: `A bulk update is limited to ${MAX_BULK_ITEMS} objectives` });
+    }
 
-    allObjectives.forEach(obj => {
-      // Parse tags if they're stored as JSON string
-      if (obj.tags && typeof obj.tags === 'string') {
-        try {
-          obj.tags = JSON.parse(obj.tags);
-        } catch (e) {
-          obj.tags = [];
+    const objectiveIds = [...new Set(requested.map(item => item.id).filter(Boolean))];
+    const { data: existingRows, error: fetchError } = await supabase
+      .from('objectives')
+      .select('*')
+      .in('id', objectiveIds)
+      .eq('organization_id', req.organizationId)
+      .is('deleted_at', null);
+
+    if (fetchError) throw fetchError;
+
+    const existingMap = new Map((existingRows || []).map(obj => [obj.id, obj]));
+
+    // Owners and departments must belong to the organization
+    const ownerIds = [...new Set(requested.map(item => item.patch.owner_id).filter(Boolean))];
+    let orgUserIds = new Set();
+    if (ownerIds.length > 0) {
+      const { data: owners, error: ownersError } = await supabase
+        .from('users')
+        .select('id')
+        .in('id', ownerIds)
+        .eq('organization_id', req.organizationId);
+      if (ownersError) throw ownersError;
+      orgUserIds = new Set((owners || []).map(u => u.id));
+    }
+
+    const departmentIds = [...new Set(requested.map(item => item.patch.department_id).filter(Boolean))];
+    let orgDepartmentIds = new Set();
+    if (departmentIds.length > 0) {
+      const { data: departments, error: departmentsError } = await supabase
+        .from('departments')
+        .select('id')
+        .in('id', departmentIds)
+        .eq('organization_id', req.organizationId);
+      if (departmentsError) throw departmentsError;
+      orgDepartmentIds = new Set((departments || []).map(d => d.id));
+    }
+
+    // Cycles the objectives are in (closed ones freeze them) and cycles they move to, in one query
+    const cycleIds = [...new Set([
+      ...(existingRows || []).map(obj => obj.cycle_id),
+      ...requested.map(item => item.patch.cycle_id)
+    ].filter(Boolean))];
+    let cyclesById = new Map();
+    if (cycleIds.length > 0) {
+      const { data: cycles, error: cyclesError } = await supabase
+        .from('cycles')
+        .select('id, organization_id, status')
+        .in('id', cycleIds);
+      if (cyclesError) throw cyclesError;
+      cyclesById = new Map((cycles || []).map(cycle => [cycle.id, cycle]));
+    }
+
+    const relationshipsById = await getObjectivesRelationships(existingRows || [], req.user);
+
+    // Validate every item before touching anything
+    const results = [];
+    const validItems = [];
+    const seen = new Set();
+    for (const item of requested) {
+      const existing = existingMap.get(item.id);
+      const fail = (error) => results.push({ id: item.id || null, success: false, error });
+
+      if (!item.id) { fail('Objective ID is required'); continue; }
+      if (seen.has(item.id)) { fail('Objective listed more than once'); continue; }
+      seen.add(item.id);
+      if (!existing) { fail('Objective not found in this organization'); continue; }
+
+      const { relationships, canView } = relationshipsById.get(existing.id);
+      if (!canView) { fail('Objective not found in this organization'); continue; }
+      const permission = checkObjectivePermission('edit', relationships);
+      if (!permission.allowed) { fail(permission.reason); continue; }
+
+      const itemPatch = {};
+      const unknownFields = Object.keys(item.patch).filter(f => !BULK_PATCH_FIELDS.includes(f) && !['add_tags', 'remove_tags'].includes(f));
+      if (unknownFields.length > 0) { fail(`Fields cannot be bulk updated: ${unknownFields.join(', ')}`); continue; }
+
+      BULK_PATCH_FIELDS.forEach(field => {
+        if (item.patch[field] !== undefined) {
+          itemPatch[field] = item.patch[field] === '' ? null : item.patch[field];
         }
-      } else if (!obj.tags) {
-        obj.tags = [];
-      }
+      });
 
-      const lastUpdate = updatesMap.get(obj.id);
-      const updatedAt = new Date(obj.updated_at);
-      
-      // Check if no update in the last 7 days (or never had a progress update)
-      const hasRecentUpdate = lastUpdate ? new Date(lastUpdate) > sevenDaysAgo : false;
-      const hasRecentActivity = updatedAt > sevenDaysAgo;
-      
-      if (!hasRecentUpdate && !hasRecentActivity && obj.status !== 'Completed') {
-        noUpdates.push(obj);
+      // add_tags/remove_tags retag relative to each objective's current tags
+      if (item.patch.add_tags !== undefined || item.patch.remove_tags !== undefined) {
+        const baseTags = itemPatch.tags !== undefined ? itemPatch.tags : (Array.isArray(existing.tags) ? existing.tags : []);
+        const toAdd = Array.isArray(item.patch.add_tags) ? item.patch.add_tags : [];
+        const toRemove = new Set(Array.isArray(item.patch.remove_tags) ? item.patch.remove_tags : []);
+        itemPatch.tags = [...new Set([...baseTags, ...toAdd])].filter(tag => !toRemove.has(tag));
       }
 
-      // Check if past due date
-      if (obj.due_date) {
-        const dueDate = new Date(obj.due_date);
-        if (dueDate < now && obj.status !== 'Completed') {
-          pastDue.push(obj);
+      if (itemPatch.tags !== undefined && !Array.isArray(itemPatch.tags)) { fail('Tags must be an array'); continue; }
+      if (itemPatch.title !== undefined && (!itemPatch.title || !String(itemPatch.title).trim())) { fail('Title cannot be empty'); continue; }
+      if (itemPatch.owner_id && !orgUserIds.has(itemPatch.owner_id)) { fail('Owner is not a member of this organization'); continue; }
+      if (itemPatch.department_id && !orgDepartmentIds.has(itemPatch.department_id)) { fail('Department not found in this organization'); continue; }
+
+      if (existing.scored_at) { fail(SCORED_OBJECTIVE_ERROR); continue; }
+
+      const approvalError = approvalStatusChangeError(existing.status, itemPatch.status);
+      if (approvalError) { fail(approvalError); continue; }
+
+      if (itemPatch.cycle_id !== undefined) {
+        if (cyclesById.get(existing.cycle_id)?.status === 'closed') { fail(FROZEN_OBJECTIVE_ERROR); continue; }
+        if (itemPatch.cycle_id) {
+          const cycleError = objectiveCycleError(cyclesById.get(itemPatch.cycle_id), req.organizationId);
+          if (cycleError) { fail(cycleError); continue; }
         }
       }
+
+      if (Object.keys(itemPatch).length === 0) { fail('No fields to update'); continue; }
+
+      validItems.push({ id: item.id, patch: itemPatch });
+      results.push({ id: item.id, success: true });
+    }
+
+    // All-or-nothing: report every item's outcome if any item is invalid
+    if (validItems.length !== requested.length) {
+      return res.status(400).json({
+        error: 'Some objectives could not be updated; no changes were applied',
+        results: results.map(r => (r.success ? { ...r, success: false, error: 'Not applied because other items failed' } : r))
+      });
+    }
+
+    const { data: updatedRows, error: updateError } = await supabase.rpc('bulk_update_objectives', {
+      p_organization_id: req.organizationId,
+      p_items: validItems
     });
 
+    if (updateError) throw updateError;
+
+    const updatedMap = new Map((updatedRows || []).map(obj => [obj.id, obj]));
+
+    // Record each objective's changes in the activity history
+    for (const item of validItems) {
+      const updated = updatedMap.get(item.id);
+      if (!updated) continue;
+      await recordRevisions({
+        objectiveId: item.id,
+        changes: diffFields(existingMap.get(item.id), updated, OBJECTIVE_TRACKED_FIELDS),
+        userId: req.user.id
+      });
+      await notifyDependentsOfSlip(existingMap.get(item.id), updated);
+    }
+
     res.json({
-      noUpdates,
-      pastDue
+      updated: validItems.length,
+      results: validItems.map(item => {
+        const updated = updatedMap.get(item.id);
+        return {
+          id: item.id,
+          success: true,
+          objective: updated ? { ...updated, tags: Array.isArray(updated.tags) ? updated.tags : [] } : null
+        };
+      })
     });
   } catch (error) {
+    console.error('Bulk update objectives error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Users and Departments
-// Update user role (admin only)
-app.put('/api/users/:id/role', authenticate, authorize('Admin'), requireOrganization, async (req, res) => {
+// Import objectives and key results from a CSV or XLSX file (see utils/imports.js)
+// Multipart fields: file, mapping (JSON of column header to field), dry_run.
+// A dry run validates and previews; otherwise the whole file is imported, or nothing if any row has errors.
+app.post('/api/objectives/import', authenticate, requireOrganization, (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 5MB' : err.message });
+    }
+    next();
+  });
+}, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { role } = req.body;
-    
-    if (!role) {
-      return res.status(400).json({ error: 'Role is required' });
-    }
-    
-    const validRoles = ['Admin', 'Manager', 'Team Member', 'Viewer'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({ error: 'Invalid role' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
     }
-    
-    // Check user exists and is in same organization
-    const user = await dbGet(
-      'SELECT id, organization_id FROM users WHERE id = ?',
-      [id]
-    );
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+
+    const dryRun = String(req.body.dry_run ?? req.query.dry_run ?? 'false') === 'true';
+
+    let mapping;
+    if (req.body.mapping !== undefined && req.body.mapping !== '') {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch {
+        return res.status(400).json({ error: 'Mapping must be valid JSON' });
+      }
     }
-    
-    if (user.organization_id !== req.organizationId) {
-      return res.status(403).json({ error: 'Cannot modify users from other organizations' });
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file.buffer, spreadsheetFormat(req.file.originalname));
+    } catch (readError) {
+      return res.status(400).json({ error: `Could not read the file: ${readError.message}` });
+    }
+
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ error: 'The file has no rows to import' });
+    }
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `An import is limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    // Existing parents are matched among the objectives the importer can see
+    const viewer = await getViewer(req);
+    const [users, departments, cycles, objectives, objectiveFields, keyResultFields] = await Promise.all([
+      fetchAllRows(() => supabase.from('users').select('id, email, name').eq('organization_id', req.organizationId), { sortField: 'id' }),
+      fetchAllRows(() => supabase.from('departments').select('id, name, manager_id').eq('organization_id', req.organizationId), { sortField: 'id' }),
+      fetchAllRows(() => supabase.from('cycles').select('id, name, status').eq('organization_id', req.organizationId), { sortField: 'id' }),
+      fetchAllRows(() => scopeVisibleObjectives(
+        supabase.from('objectives').select('id, title').is('archived_at', null).is('deleted_at', null),
+        req,
+        viewer
+      ), { sortField: 'id' }),
+      loadCustomFieldDefinitions(req.organizationId, 'objective'),
+      loadCustomFieldDefinitions(req.organizationId, 'key_result')
+    ]);
+
+    const lookups = {
+      users,
+      departments,
+      cycles,
+      objectives,
+      definitions: { objective: objectiveFields, key_result: keyResultFields }
+    };
+
+    const { columns, ignored, errors: mappingErrors } = buildColumnMapping(sheet.headers, mapping, lookups.definitions);
+    const grouped = mappingErrors.length === 0 ? groupImportRows(sheet.rows, columns) : { groups: [], errors: [] };
+    const resolved = resolveImport(grouped.groups, lookups, req.user);
+    const errors = [...mappingErrors, ...grouped.errors, ...resolved.errors]
+      .sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+
+    const report = {
+      dry_run: dryRun,
+      valid: errors.length === 0,
+      summary: {
+        rows: sheet.rows.length,
+        objectives: resolved.objectives.length,
+        key_results: resolved.objectives.reduce((sum, objective) => sum + objective.keyResults.length, 0),
+        errors: errors.length
+      },
+      columns: { mapped: Object.fromEntries(columns), ignored },
+      errors
+    };
+
+    if (dryRun) {
+      return res.json({ ...report, objectives: previewImport(resolved.objectives, lookups) });
     }
-    
-    // Prevent removing last admin
-    if (role !== 'Admin' && user.role === 'Admin') {
-      const adminCount = await dbGet(
-        'SELECT COUNT(*) as count FROM users WHERE organization_id = ? AND role = ?',
-        [req.organizationId, 'Admin']
-      );
-      if (adminCount.count <= 1) {
-        return res.status(400).json({ error: 'Cannot remove last admin' });
-      }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'The file has errors; nothing was imported', ...report });
+    }
+
+    const records = buildImportRecords(resolved.objectives, { organizationId: req.organizationId, newId: uuidv4 });
+
+    const { error: importError } = await supabase.rpc('import_objectives', {
+      p_organization_id: req.organizationId,
+      p_objectives: records.objectives.map(({ row, ...objective }) => objective),
+      p_key_results: records.keyResults
+    });
+
+    if (importError) throw importError;
+
+    // Roll progress up from the bottom of each imported branch, into any existing parents
+    const parentIds = new Set(records.objectives.map(objective => objective.parent_objective_id));
+    for (const objective of records.objectives.filter(objective => !parentIds.has(objective.id))) {
+      await calculateObjectiveProgress(objective.id);
+    }
+
+    res.status(201).json({
+      ...report,
+      objectives: records.objectives.map(objective => ({
+        row: objective.row,
+        id: objective.id,
+        title: objective.title,
+        status: objective.status,
+        parent_objective_id: objective.parent_objective_id
+      }))
+    });
+  } catch (error) {
+    console.error('Import objectives error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update objective
+app.put('/api/objectives/:id', authenticate, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      owner_id,
+      department_id,
+      team_id, // Support team_id as alias for department_id
+      parent_objective_id,
+      cycle_id,
+      status,
+      priority,
+      start_date,
+      due_date,
+      target_value,
+      current_value,
+      check_in_cadence,
+      recurrence,
+      visibility,
+      viewer_ids,
+      custom_fields,
+      tags
+    } = req.body;
+
+    // Build update object dynamically
+    const updates = {};
+    const now = new Date().toISOString();
+
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    if (owner_id !== undefined) updates.owner_id = owner_id;
+    // Support both team_id and department_id (team_id takes precedence)
+    if (team_id !== undefined) {
+      updates.department_id = team_id;
+    } else if (department_id !== undefined) {
+      updates.department_id = department_id;
+    }
+    if (parent_objective_id !== undefined) updates.parent_objective_id = parent_objective_id || null;
+    if (cycle_id !== undefined) updates.cycle_id = cycle_id || null;
+    if (status !== undefined) updates.status = status;
+    if (priority !== undefined) updates.priority = priority;
+    if (start_date !== undefined) updates.start_date = start_date;
+    if (due_date !== undefined) updates.due_date = due_date;
+    if (target_value !== undefined) updates.target_value = target_value;
+    if (current_value !== undefined) updates.current_value = current_value;
+    if (check_in_cadence !== undefined) updates.check_in_cadence = check_in_cadence || null;
+    if (recurrence !== undefined) updates.recurrence = recurrence || null;
+    if (visibility !== undefined) updates.visibility = visibility;
+    if (tags !== undefined) updates.tags = Array.isArray(tags) ? tags : [];
+
+    if (status === 'Completed') {
+      updates.completed_at = now;
+    }
+
+    updates.updated_at = now;
+
+    const existing = req.objective;
+
+    // Reject edits based on an outdated copy (If-Match)
+    const precondition = checkIfMatch(req, existing);
+    if (precondition.stale) {
+      return sendVersionConflict(res, 'Objective', await withObjectiveDetails({ ...existing }));
+    }
+
+    // Scored objectives are locked entirely
+    if (existing.scored_at) {
+      return res.status(409).json({ error: SCORED_OBJECTIVE_ERROR });
+    }
+
+    // Objectives in a closed cycle keep their final values
+    if ((updates.current_value !== undefined || updates.target_value !== undefined || updates.cycle_id !== undefined) && await isObjectiveFrozen(existing)) {
+      return res.status(409).json({ error: FROZEN_OBJECTIVE_ERROR });
+    }
+
+    const approvalError = approvalStatusChangeError(existing.status, updates.status);
+    if (approvalError) {
+      return res.status(409).json({ error: approvalError });
+    }
+
+    if (updates.check_in_cadence !== undefined) {
+      const cadenceError = validateCheckInCadence(updates.check_in_cadence);
+      if (cadenceError) {
+        return res.status(400).json({ error: cadenceError });
+      }
+    }
+
+    if (updates.recurrence !== undefined || (updates.due_date !== undefined && existing.recurrence)) {
+      const finalRecurrence = updates.recurrence !== undefined ? updates.recurrence : existing.recurrence;
+      const recurrenceError = validateRecurrence(finalRecurrence, updates.due_date !== undefined ? updates.due_date : existing.due_date);
+      if (recurrenceError) {
+        return res.status(400).json({ error: recurrenceError });
+      }
+      // A newly recurring objective starts its own series
+      if (finalRecurrence && !existing.recurrence_series_id) {
+        updates.recurrence_series_id = existing.id;
+      }
+    }
+
+    if (updates.visibility !== undefined) {
+      const visibilityError = validateVisibility(updates.visibility);
+      if (visibilityError) {
+        return res.status(400).json({ error: visibilityError });
+      }
+    }
+
+    let viewers = null;
+    if (viewer_ids !== undefined) {
+      viewers = await validateViewerIds(viewer_ids ?? [], existing.organization_id);
+      if (viewers.error) {
+        return res.status(400).json({ error: viewers.error });
+      }
+    }
+
+    // Submitted custom fields are merged over the stored ones; null clears a field
+    if (custom_fields !== undefined) {
+      const customFields = await validateCustomFields(custom_fields, existing.organization_id, 'objective', existing.custom_fields);
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid custom fields', details: customFields.errors });
+      }
+      updates.custom_fields = customFields.values;
+    }
+
+    if (updates.cycle_id) {
+      const cycleError = await validateObjectiveCycle(updates.cycle_id, existing.organization_id);
+      if (cycleError) {
+        return res.status(400).json({ error: cycleError });
+      }
+    }
+
+    // Prevent an objective from becoming its own ancestor
+    if (updates.parent_objective_id && await wouldCreateHierarchyCycle(req.params.id, updates.parent_objective_id)) {
+      return res.status(400).json({ error: 'An objective cannot be nested under itself or one of its children' });
+    }
+
+    // The version condition makes the check and the write atomic
+    let updateQuery = supabase
+      .from('objectives')
+      .update(updates)
+      .eq('id', req.params.id);
+    if (precondition.expectedVersion !== null) {
+      updateQuery = updateQuery.eq('version', precondition.expectedVersion);
+    }
+
+    const { data: objective, error } = await updateQuery.select().maybeSingle();
+
+    if (error) throw error;
+    if (!objective) {
+      const current = await dbGet('SELECT * FROM objectives WHERE id = ?', [req.params.id]);
+      if (current && precondition.expectedVersion !== null) {
+        return sendVersionConflict(res, 'Objective', await withObjectiveDetails(current));
+      }
+      return res.status(404).json({ error: 'Objective not found' });
+    }
+
+    // Explicit viewers only apply to restricted objectives and are cleared otherwise
+    if (viewers || (objective.visibility !== 'restricted' && existing.visibility === 'restricted')) {
+      const viewerIds = viewers ? viewers.ids : [];
+      await saveObjectiveViewers(objective.id, objective.visibility, viewerIds);
+    }
+    objective.viewer_ids = objective.visibility === 'restricted'
+      ? await getObjectiveViewerIds(objective.id)
+      : [];
+
+    await recordRevisions({
+      objectiveId: objective.id,
+      changes: diffFields(existing, objective, OBJECTIVE_TRACKED_FIELDS),
+      userId: req.user.id
+    });
+
+    await notifyDependentsOfSlip(existing, objective);
+
+    // Re-roll progress for both the old and new parent when the objective moves
+    if (updates.parent_objective_id !== undefined && existing.parent_objective_id !== objective.parent_objective_id) {
+      if (existing.parent_objective_id) {
+        await calculateObjectiveProgress(existing.parent_objective_id);
+      }
+      if (objective.parent_objective_id) {
+        await calculateObjectiveProgress(objective.parent_objective_id);
+      }
+    }
+
+    // Ensure tags is an array
+    objective.tags = Array.isArray(objective.tags) ? objective.tags : [];
+
+    res.set('ETag', formatETag(objective.version));
+    res.json(objective);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete objective (soft delete - purged after the retention period)
+app.delete('/api/objectives/:id', authenticate, requireObjectivePermission('delete', { allowDeleted: true }), async (req, res) => {
+  try {
+    const objective = req.objective;
+
+    if (!objective.deleted_at) {
+      await supabase
+        .from('objectives')
+        .update({
+          deleted_at: new Date().toISOString(),
+          deleted_by: req.user.id
+        })
+        .eq('id', req.params.id);
+
+      if (objective.parent_objective_id) {
+        await calculateObjectiveProgress(objective.parent_objective_id);
+      }
+    }
+
+    res.json({
+      message: 'Objective deleted successfully',
+      retention_days: OBJECTIVE_RETENTION_DAYS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Archive objective (hidden from listings but kept indefinitely)
+app.post('/api/objectives/:id/archive', authenticate, requireOrganization, requireObjectivePermission('delete'), async (req, res) => {
+  try {
+    const objective = req.objective;
+
+    if (objective.archived_at) {
+      return res.status(400).json({ error: 'Objective is already archived' });
+    }
+
+    const { data: archived, error } = await supabase
+      .from('objectives')
+      .update({ archived_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (objective.parent_objective_id) {
+      await calculateObjectiveProgress(objective.parent_objective_id);
+    }
+
+    archived.tags = Array.isArray(archived.tags) ? archived.tags : [];
+    res.json(archived);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore an archived or soft-deleted objective
+app.post('/api/objectives/:id/restore', authenticate, requireOrganization, requireObjectivePermission('delete', { allowDeleted: true }), async (req, res) => {
+  try {
+    const objective = req.objective;
+
+    if (!objective.archived_at && !objective.deleted_at) {
+      return res.status(400).json({ error: 'Objective is not archived or deleted' });
+    }
+
+    const { data: restored, error } = await supabase
+      .from('objectives')
+      .update({
+        archived_at: null,
+        deleted_at: null,
+        deleted_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (objective.parent_objective_id) {
+      await calculateObjectiveProgress(objective.parent_objective_id);
+    }
+
+    restored.tags = Array.isArray(restored.tags) ? restored.tags : [];
+    res.json(restored);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Permanently purge soft-deleted objectives past the retention period (admin only)
+app.post('/api/objectives/purge', authenticate, authorize('Admin'), requireOrganization, async (req, res) => {
+  try {
+    const purged = await purgeDeletedObjectives(req.organizationId);
+    res.json({ purged, retention_days: OBJECTIVE_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Purge objectives error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End-of-cycle scoring: a final 0.0-1.0 score and retrospective per key result and objective
+const isValidScore = (value) => value !== null && value !== '' && typeof value !== 'boolean' &&
+  Number.isFinite(Number(value)) && Number(value) >= 0 && Number(value) <= 1;
+
+app.post('/api/objectives/:id/score', authenticate, requireOrganization, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const { score, retrospective, key_results: keyResultScores = [] } = req.body;
+
+    const objective = req.objective;
+
+    if (objective.scored_at) {
+      return res.status(409).json({ error: SCORED_OBJECTIVE_ERROR });
+    }
+
+    if (isUnapproved(objective.status)) {
+      return res.status(409).json({ error: 'Only approved objectives can be scored' });
+    }
+
+    if (!Array.isArray(keyResultScores)) {
+      return res.status(400).json({ error: 'key_results must be an array of { id, score, retrospective }' });
+    }
+
+    const keyResults = await dbAll('SELECT * FROM key_results WHERE objective_id = ?', [objective.id]);
+    const scoresById = new Map(keyResultScores.map(kr => [kr?.id, kr]));
+
+    // Every key result is graded before the objective is locked
+    const errors = [];
+    keyResults.forEach(kr => {
+      const submitted = scoresById.get(kr.id);
+      if (!submitted) {
+        errors.push({ key_result_id: kr.id, error: `Missing score for key result "${kr.title}"` });
+      } else if (!isValidScore(submitted.score)) {
+        errors.push({ key_result_id: kr.id, error: 'Score must be between 0.0 and 1.0' });
+      }
+    });
+    scoresById.forEach((_, id) => {
+      if (!keyResults.some(kr => kr.id === id)) {
+        errors.push({ key_result_id: id || null, error: 'Key result does not belong to this objective' });
+      }
+    });
+
+    if (score !== undefined && score !== null && !isValidScore(score)) {
+      errors.push({ error: 'Objective score must be between 0.0 and 1.0' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scores', details: errors });
+    }
+
+    // Without an explicit objective score, use the weighted average of its key result scores
+    let finalScore = score !== undefined && score !== null ? Number(score) : null;
+    if (finalScore === null) {
+      const scored = keyResults.map(kr => ({ value: Number(scoresById.get(kr.id).score), weight: getKeyResultWeight(kr) }));
+      const totalWeight = scored.reduce((sum, s) => sum + s.weight, 0);
+      if (scored.length === 0) {
+        return res.status(400).json({ error: 'Score is required for objectives without key results' });
+      }
+      finalScore = totalWeight > 0 ? scored.reduce((sum, s) => sum + s.value * s.weight, 0) / totalWeight : 0;
+    }
+
+    const now = new Date().toISOString();
+
+    for (const kr of keyResults) {
+      const submitted = scoresById.get(kr.id);
+      const { error } = await supabase
+        .from('key_results')
+        .update({
+          final_score: Number(submitted.score),
+          retrospective: submitted.retrospective || null,
+          updated_at: now
+        })
+        .eq('id', kr.id);
+      if (error) throw error;
+    }
+
+    // Setting scored_at last locks the objective only once every score is stored
+    const { data: scoredObjective, error } = await supabase
+      .from('objectives')
+      .update({
+        final_score: Math.round(finalScore * 100) / 100,
+        retrospective: retrospective || null,
+        scored_at: now,
+        scored_by: req.user.id,
+        updated_at: now
+      })
+      .eq('id', objective.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    scoredObjective.tags = Array.isArray(scoredObjective.tags) ? scoredObjective.tags : [];
+    scoredObjective.key_results = await getKeyResultsWithWeights(objective.id);
+
+    res.json(scoredObjective);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reopen a scored objective so it can be edited and scored again
+app.delete('/api/objectives/:id/score', authenticate, requireAdminOrManager, requireOrganization, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const objective = req.objective;
+
+    if (!objective.scored_at) {
+      return res.status(400).json({ error: 'Objective has not been scored' });
+    }
+
+    // Scores and retrospectives are kept as the starting point for rescoring
+    const { data: reopened, error } = await supabase
+      .from('objectives')
+      .update({ scored_at: null, scored_by: null, updated_at: new Date().toISOString() })
+      .eq('id', objective.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    reopened.tags = Array.isArray(reopened.tags) ? reopened.tags : [];
+    res.json(reopened);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approval workflow (see utils/approvals.js): submit for approval, then approve or reject
+async function transitionObjective(objective, action, userId, extra = {}) {
+  const { data: updated, error } = await supabase
+    .from('objectives')
+    .update({ status: APPROVAL_TRANSITIONS[action].to, updated_at: new Date().toISOString(), ...extra })
+    .eq('id', objective.id)
+    .eq('status', objective.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (updated) {
+    await recordRevisions({
+      objectiveId: objective.id,
+      changes: diffFields(objective, updated, OBJECTIVE_TRACKED_FIELDS),
+      userId
+    });
+  }
+  return updated;
+}
+
+app.post('/api/objectives/:id/submit', authenticate, requireOrganization, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const objective = req.objective;
+    const transitionError = validateApprovalTransition('submit', objective.status);
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError });
+    }
+
+    const approverIds = await getObjectiveApproverIds(objective);
+    if (approverIds.length === 0) {
+      return res.status(400).json({ error: 'Nobody can approve this objective; assign a department manager first' });
+    }
+
+    const updated = await transitionObjective(objective, 'submit', req.user.id, { submitted_at: new Date().toISOString() });
+    if (!updated) {
+      return res.status(409).json({ error: 'Objective status changed; reload and try again' });
+    }
+
+    const approval = await recordApproval({
+      objectiveId: objective.id,
+      action: 'submitted',
+      fromStatus: objective.status,
+      toStatus: updated.status,
+      userId: req.user.id,
+      approverId: approverIds.length === 1 ? approverIds[0] : null,
+      comment: req.body.comment || null
+    });
+
+    await Promise.all(approverIds.filter(id => id !== req.user.id).map(approverId => createNotification(
+      approverId,
+      'approval_requested',
+      `Approval requested for "${objective.title}"`,
+      `${req.user.name || 'Someone'} submitted "${objective.title}" for your approval`,
+      objective.id
+    )));
+
+    updated.tags = Array.isArray(updated.tags) ? updated.tags : [];
+    res.json({ objective: updated, approval });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/objectives/:id/approve', authenticate, requireOrganization, requireObjectivePermission('approve'), async (req, res) => {
+  try {
+    const objective = req.objective;
+    const transitionError = validateApprovalTransition('approve', objective.status);
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError });
+    }
+
+    const now = new Date().toISOString();
+    const updated = await transitionObjective(objective, 'approve', req.user.id, { approved_at: now, approved_by: req.user.id });
+    if (!updated) {
+      return res.status(409).json({ error: 'Objective status changed; reload and try again' });
+    }
+
+    const approval = await recordApproval({
+      objectiveId: objective.id,
+      action: 'approved',
+      fromStatus: objective.status,
+      toStatus: updated.status,
+      userId: req.user.id,
+      approverId: req.user.id,
+      comment: req.body.comment || null
+    });
+
+    await notifyObjectiveStakeholders(
+      objective.id,
+      'objective_approved',
+      `"${objective.title}" was approved`,
+      `${req.user.name || 'Your manager'} approved "${objective.title}"; it is now Active`,
+      req.user.id
+    );
+
+    updated.tags = Array.isArray(updated.tags) ? updated.tags : [];
+    res.json({ objective: updated, approval });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rejections need a reason, which is also posted as a comment on the objective
+app.post('/api/objectives/:id/reject', authenticate, requireOrganization, requireObjectivePermission('approve'), async (req, res) => {
+  try {
+    const objective = req.objective;
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    if (!comment) {
+      return res.status(400).json({ error: 'A comment explaining the rejection is required' });
+    }
+
+    const transitionError = validateApprovalTransition('reject', objective.status);
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError });
+    }
+
+    const updated = await transitionObjective(objective, 'reject', req.user.id);
+    if (!updated) {
+      return res.status(409).json({ error: 'Objective status changed; reload and try again' });
+    }
+
+    const commentId = uuidv4();
+    const { error: commentError } = await supabase
+      .from('comments')
+      .insert({
+        id: commentId,
+        objective_id: objective.id,
+        user_id: req.user.id,
+        content: `Rejected: ${comment}`
+      });
+    if (commentError) throw commentError;
+
+    const approval = await recordApproval({
+      objectiveId: objective.id,
+      action: 'rejected',
+      fromStatus: objective.status,
+      toStatus: updated.status,
+      userId: req.user.id,
+      approverId: req.user.id,
+      comment,
+      commentId
+    });
+
+    await notifyObjectiveStakeholders(
+      objective.id,
+      'objective_rejected',
+      `"${objective.title}" was rejected`,
+      `${req.user.name || 'Your manager'} rejected "${objective.title}": ${comment}`,
+      req.user.id,
+      commentId
+    );
+
+    updated.tags = Array.isArray(updated.tags) ? updated.tags : [];
+    res.json({ objective: updated, approval });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approval audit trail, newest first
+app.get('/api/objectives/:id/approvals', authenticate, requireOrganization, async (req, res) => {
+  try {
+    const objective = await dbGet('SELECT * FROM objectives WHERE id = ?', [req.params.id]);
+    if (!objective || objective.organization_id !== req.organizationId || !canViewObjective(objective, await getViewer(req))) {
+      return res.status(404).json({ error: 'Objective not found' });
+    }
+
+    const { data: approvals, error } = await supabase
+      .from('objective_approvals')
+      .select('*, users!objective_approvals_user_id_fkey(name, email)')
+      .eq('objective_id', objective.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json((approvals || []).map(approval => ({
+      ...approval,
+      user_name: approval.users?.name || 'System',
+      user_email: approval.users?.email || '',
+      users: undefined
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Objectives waiting for the current user's approval
+app.get('/api/approvals/pending', authenticate, requireOrganization, async (req, res) => {
+  try {
+    let queryBuilder = supabase
+      .from('objectives')
+      .select('*, users!objectives_owner_id_fkey(name, email)')
+      .eq('organization_id', req.organizationId)
+      .eq('status', PENDING_APPROVAL_STATUS)
+      .is('deleted_at', null)
+      .order('submitted_at', { ascending: true });
+
+    // Admins see everything pending; department managers see their departments
+    if (req.user.role !== 'Admin') {
+      const { data: departments, error: departmentsError } = await supabase
+        .from('departments')
+        .select('id')
+        .eq('manager_id', req.user.id);
+      if (departmentsError) throw departmentsError;
+      if (!departments || departments.length === 0) {
+        return res.json([]);
+      }
+      queryBuilder = queryBuilder.in('department_id', departments.map(d => d.id));
+    }
+
+    const { data: objectives, error } = await queryBuilder;
+    if (error) throw error;
+
+    res.json((objectives || []).map(obj => ({
+      ...obj,
+      tags: Array.isArray(obj.tags) ? obj.tags : [],
+      owner_name: obj.users?.name || null,
+      owner_email: obj.users?.email || null,
+      users: undefined
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update progress
+app.patch('/api/objectives/:id/progress', authenticate, requireObjectivePermission('progress'), async (req, res) => {
+  try {
+    const { current_value, notes } = req.body;
+    const objectiveId = req.params.id;
+    const objective = req.objective;
+
+    const lockError = await getObjectiveLockError(objective);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    const previousValue = objective.current_value || 0;
+    const targetValue = objective.target_value || 100;
+    const newProgress = targetValue > 0 ? (current_value / targetValue) * 100 : 0;
+    const now = new Date().toISOString();
+    
+    const updateUserId = req.user.id;
+
+    await supabase
+      .from('objectives')
+      .update({ 
+        current_value, 
+        progress_percentage: newProgress, 
+        updated_at: now 
+      })
+      .eq('id', objectiveId);
+
+    // Log progress update
+    const progressUpdateId = uuidv4();
+    await supabase
+      .from('progress_updates')
+      .insert({
+        id: progressUpdateId,
+        objective_id: objectiveId,
+        user_id: updateUserId,
+        previous_value: previousValue,
+        new_value: current_value,
+        notes: notes || ''
+      });
+
+    // Get updater info for notifications
+    const { data: updater } = await supabase.from('users').select('name').eq('id', updateUserId).single();
+    const updaterName = updater?.name || 'Someone';
+    
+    // Notify objective owner and contributors (excluding updater)
+    await notifyObjectiveStakeholders(
+      objectiveId,
+      'progress_update',
+      `Progress updated on "${objective.title}"`,
+      `${updaterName} updated progress on "${objective.title}" from ${previousValue} to ${current_value}`,
+      updateUserId,
+      null,
+      progressUpdateId
+    );
+
+    // Roll the new progress up the ancestor chain
+    if (objective.parent_objective_id) {
+      await calculateObjectiveProgress(objective.parent_objective_id);
+    }
+
+    const updatedObjective = await dbGet('SELECT * FROM objectives WHERE id = ?', [objectiveId]);
+    updatedObjective.tags = Array.isArray(updatedObjective.tags) ? updatedObjective.tags : (updatedObjective.tags ? JSON.parse(updatedObjective.tags) : []);
+    
+    res.json(updatedObjective);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Key Results routes
+app.get('/api/objectives/:id/key-results', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
+  try {
+    const keyResults = await getKeyResultsWithWeights(req.params.id);
+    res.json(keyResults);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/objectives/:id/key-results', authenticate, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const { title, description, target_value, current_value, unit, due_date, auto_update_progress, weight, type = 'increase', start_value, custom_fields = {} } = req.body;
+
+    if (weight !== undefined && !isValidWeight(weight)) {
+      return res.status(400).json({ error: 'Weight must be a non-negative number' });
+    }
+
+    // Boolean key results are simply done (1) or not done (0)
+    const finalStartValue = type === 'boolean' ? 0 : (start_value ?? 0);
+    const finalTargetValue = type === 'boolean' ? 1 : target_value;
+
+    const typeError = validateKeyResultType(type, finalStartValue, finalTargetValue);
+    if (typeError) {
+      return res.status(400).json({ error: typeError });
+    }
+
+    const objective = req.objective;
+
+    const lockError = await getObjectiveLockError(objective);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    const customFields = await validateCustomFields(custom_fields ?? {}, objective.organization_id, 'key_result');
+    if (customFields.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: customFields.errors });
+    }
+
+    const id = uuidv4();
+    const finalCurrentValue = current_value ?? finalStartValue;
+    const progressPercentage = calculateKeyResultProgress({
+      type,
+      start_value: finalStartValue,
+      target_value: finalTargetValue,
+      current_value: finalCurrentValue
+    });
+    const autoUpdate = auto_update_progress !== undefined ? Boolean(auto_update_progress) : true;
+
+    const { data: keyResult, error } = await supabase
+      .from('key_results')
+      .insert({
+        id,
+        objective_id: req.params.id,
+        title,
+        description,
+        type,
+        start_value: finalStartValue,
+        target_value: finalTargetValue,
+        current_value: finalCurrentValue,
+        progress_percentage: progressPercentage,
+        unit,
+        due_date,
+        auto_update_progress: autoUpdate,
+        weight: weight !== undefined ? Number(weight) : 1,
+        custom_fields: customFields.values
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Recalculate objective progress
+    await calculateObjectiveProgress(req.params.id);
+
+    const weighted = await getKeyResultsWithWeights(req.params.id);
+    res.status(201).json(weighted.find(kr => kr.id === keyResult.id) || keyResult);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/key-results/:id', authenticate, requireOrganization, requireObjectivePermission('view', { resolveObjectiveId: keyResultObjectiveId, notFound: 'Key result not found' }), async (req, res) => {
+  try {
+    const keyResult = await dbGet('SELECT * FROM key_results WHERE id = ?', [req.params.id]);
+    if (!keyResult) {
+      return res.status(404).json({ error: 'Key result not found' });
+    }
+
+    const result = await withKeyResultDetails(keyResult);
+    res.set('ETag', formatETag(result.version));
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Changing the definition of a key result is an edit; check-ins (value, status, notes) only need progress permission
+const KEY_RESULT_DEFINITION_FIELDS = ['title', 'description', 'type', 'start_value', 'target_value', 'unit', 'due_date', 'auto_update_progress', 'weight', 'custom_fields'];
+const keyResultUpdateAction = (req) => (
+  KEY_RESULT_DEFINITION_FIELDS.some(field => req.body?.[field] !== undefined) ? 'edit' : 'progress'
+);
+
+app.put('/api/key-results/:id', authenticate, requireObjectivePermission(keyResultUpdateAction, { resolveObjectiveId: keyResultObjectiveId, notFound: 'Key result not found' }), async (req, res) => {
+  try {
+    const { title, description, target_value, current_value, unit, status, due_date, progress_percentage, auto_update_progress, weight, type, start_value, notes, custom_fields } = req.body;
+
+    if (weight !== undefined && !isValidWeight(weight)) {
+      return res.status(400).json({ error: 'Weight must be a non-negative number' });
+    }
+    
+    // Get existing key result to use as fallback values
+    const existing = await dbGet('SELECT * FROM key_results WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Key result not found' });
+    }
+
+    // Reject edits based on an outdated copy (If-Match)
+    const precondition = checkIfMatch(req, existing);
+    if (precondition.stale) {
+      return sendVersionConflict(res, 'Key result', await withKeyResultDetails(existing));
+    }
+
+    const parentObjective = req.objective;
+    const lockError = await getObjectiveLockError(parentObjective);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    // Submitted custom fields are merged over the stored ones; null clears a field
+    let updateCustomFields = existing.custom_fields || {};
+    if (custom_fields !== undefined) {
+      const customFields = await validateCustomFields(custom_fields, parentObjective.organization_id, 'key_result', existing.custom_fields);
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid custom fields', details: customFields.errors });
+      }
+      updateCustomFields = customFields.values;
+    }
+    
+    // Determine type and baseline (use provided, otherwise existing, otherwise increase from 0)
+    const finalType = type !== undefined && type !== null ? type : (existing.type || 'increase');
+    const finalStartValue = finalType === 'boolean'
+      ? 0
+      : (start_value !== undefined && start_value !== null ? start_value : (existing.start_value ?? 0));
+
+    // Determine target_value (use provided, otherwise existing, otherwise 100)
+    const finalTargetValue = finalType === 'boolean'
+      ? 1
+      : (target_value !== undefined && target_value !== null ? target_value : (existing.target_value ?? 100));
+
+    const typeError = validateKeyResultType(finalType, finalStartValue, finalTargetValue);
+    if (typeError) {
+      return res.status(400).json({ error: typeError });
+    }
+
+    const progressBasis = { type: finalType, start_value: finalStartValue, target_value: finalTargetValue };
+    const basisChanged = type !== undefined || start_value !== undefined || target_value !== undefined;
+    
+    // Determine progress_percentage and current_value
+    let progressPercentage, finalCurrentValue;
+    
+    if (progress_percentage !== undefined && progress_percentage !== null) {
+      // If progress_percentage is explicitly provided, use it
+      progressPercentage = progress_percentage;
+      
+      // If current_value is also provided, use it; otherwise calculate from progress_percentage
+      if (current_value !== undefined && current_value !== null) {
+        finalCurrentValue = current_value;
+      } else {
+        finalCurrentValue = valueFromProgress(progressBasis, progressPercentage);
+      }
+    } else if (current_value !== undefined && current_value !== null) {
+      // If only current_value is provided, calculate progress_percentage from it
+      finalCurrentValue = current_value;
+      progressPercentage = calculateKeyResultProgress({ ...progressBasis, current_value });
+    } else if (basisChanged) {
+      // Type, baseline or target changed, so re-derive progress from the existing value
+      finalCurrentValue = existing.current_value || 0;
+      progressPercentage = calculateKeyResultProgress({ ...progressBasis, current_value: finalCurrentValue });
+    } else {
+      // Fallback to existing values
+      progressPercentage = existing.progress_percentage || 0;
+      finalCurrentValue = existing.current_value || 0;
+    }
+
+    // Handle auto_update_progress - convert to boolean for Supabase
+    let autoUpdate = true; // default
+    if (auto_update_progress !== undefined) {
+      autoUpdate = Boolean(auto_update_progress);
+    } else if (existing.auto_update_progress !== undefined && existing.auto_update_progress !== null) {
+      // Handle both boolean and integer (0/1) from database
+      autoUpdate = typeof existing.auto_update_progress === 'boolean' 
+        ? existing.auto_update_progress 
+        : Boolean(existing.auto_update_progress);
+    }
+
+    // Prepare values, handling null/undefined properly
+    const updateTitle = title !== undefined && title !== null ? title : existing.title;
+    const updateDescription = description !== undefined ? description : existing.description;
+    const updateUnit = unit !== undefined && unit !== null ? unit : existing.unit;
+    const updateStatus = status !== undefined && status !== null ? status : existing.status;
+    const updateDueDate = due_date !== undefined ? due_date : existing.due_date;
+    const updateWeight = weight !== undefined ? Number(weight) : (existing.weight ?? 1);
+    const now = new Date().toISOString();
+
+    // Use Supabase directly for complex UPDATE; the version condition makes the check and the write atomic
+    let updateQuery = supabase
+      .from('key_results')
+      .update({
+        title: updateTitle,
+        description: updateDescription,
+        type: finalType,
+        start_value: finalStartValue,
+        target_value: finalTargetValue,
+        current_value: finalCurrentValue,
+        progress_percentage: progressPercentage,
+        unit: updateUnit,
+        status: updateStatus,
+        due_date: updateDueDate,
+        auto_update_progress: autoUpdate,
+        weight: updateWeight,
+        custom_fields: updateCustomFields,
+        updated_at: now
+      })
+      .eq('id', req.params.id);
+    if (precondition.expectedVersion !== null) {
+      updateQuery = updateQuery.eq('version', precondition.expectedVersion);
+    }
+
+    const { data: keyResult, error: updateError } = await updateQuery.select().maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!keyResult) {
+      const current = await dbGet('SELECT * FROM key_results WHERE id = ?', [req.params.id]);
+      if (current && precondition.expectedVersion !== null) {
+        return sendVersionConflict(res, 'Key result', await withKeyResultDetails(current));
+      }
+      return res.status(404).json({ error: 'Key result not found' });
+    }
+    
+    const updateUserId = req.user.id;
+
+    await recordRevisions({
+      objectiveId: keyResult.objective_id,
+      keyResultId: keyResult.id,
+      changes: diffFields(existing, keyResult, KEY_RESULT_TRACKED_FIELDS),
+      userId: updateUserId
+    });
+
+    // Record the check-in and let stakeholders know when the value moved
+    const previousValue = existing.current_value || 0;
+    if (Number(finalCurrentValue) !== Number(previousValue)) {
+      const progressUpdateId = await logKeyResultProgress(keyResult, previousValue, finalCurrentValue, updateUserId, notes);
+
+      const { data: updater } = await supabase.from('users').select('name').eq('id', updateUserId).single();
+      const updaterName = updater?.name || 'Someone';
+
+      await notifyObjectiveStakeholders(
+        keyResult.objective_id,
+        'progress_update',
+        `Key result updated on "${parentObjective?.title}"`,
+        `${updaterName} updated "${keyResult.title}" on "${parentObjective?.title}" from ${previousValue} to ${finalCurrentValue}`,
+        updateUserId,
+        null,
+        progressUpdateId
+      );
+    }
+    
+    // Recalculate objective progress
+    const objectiveId = keyResult.objective_id;
+    await calculateObjectiveProgress(objectiveId);
+
+    const weighted = await getKeyResultsWithWeights(objectiveId);
+    const updated = weighted.find(kr => kr.id === keyResult.id) || keyResult;
+    res.set('ETag', formatETag(updated.version));
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating key result:', error);
+    console.error('Request body:', req.body);
+    console.error('Key result ID:', req.params.id);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/key-results/:id', authenticate, requireObjectivePermission('edit', { resolveObjectiveId: keyResultObjectiveId, notFound: 'Key result not found' }), async (req, res) => {
+  try {
+    const objectiveId = req.objective.id;
+
+    const lockError = await getObjectiveLockError(req.objective);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    await dbRun('DELETE FROM key_results WHERE id = ?', [req.params.id]);
+    await calculateObjectiveProgress(objectiveId);
+
+    res.json({ message: 'Key result deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full-text search across objectives, key results, comments and people (organization-scoped)
+const SEARCH_TYPES = ['objective', 'key_result', 'comment', 'user'];
+
+app.get('/api/search', authenticate, requireOrganization, async (req, res) => {
+  try {
+    // Repeated parameters arrive as arrays
+    for (const param of ['q', 'types', 'limit']) {
+      if (req.query[param] !== undefined && typeof req.query[param] !== 'string') {
+        return res.status(400).json({ error: `${param} must be given once` });
+      }
+    }
+
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    let types = null;
+    if (req.query.types) {
+      types = req.query.types.split(',').map(t => t.trim()).filter(Boolean);
+      const invalid = types.filter(t => !SEARCH_TYPES.includes(t));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid search types: ${invalid.join(', ')}. Allowed: ${SEARCH_TYPES.join(', ')}` });
+      }
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 20, 100));
+
+    // Ranking, <mark> highlighting and visibility happen in Postgres
+    // (see migrations/add_full_text_search.sql, add_objective_visibility.sql and
+    // add_search_snippet_escaping.sql); snippets are escaped HTML, titles plain text
+    const { data: hits, error } = await supabase.rpc('search_organization', {
+      p_organization_id: req.organizationId,
+      p_query: query,
+      p_types: types,
+      p_limit: limit,
+      p_user_id: req.user.id
+    });
+
+    if (error) throw error;
+
+    res.json((hits || []).map(hit => ({
+      type: hit.hit_type,
+      id: hit.hit_id,
+      objective_id: hit.hit_objective_id,
+      title: hit.hit_title,
+      snippet: hit.hit_snippet,
+      rank: hit.hit_rank
+    })));
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all tags for reporting
+app.get('/api/tags', authenticate, requireOrganization, async (req, res) => {
+  try {
+    let queryBuilder = supabase
+      .from('objectives')
+      .select('tags')
+      .not('tags', 'is', null)
+      .is('archived_at', null)
+      .is('deleted_at', null);
+
+    // Tags only used on objectives the requester cannot see stay hidden
+    queryBuilder = scopeVisibleObjectives(queryBuilder, req, await getViewer(req));
+    const { data: objectives } = await queryBuilder;
+    
+    const allTags = new Set();
+    
+    (objectives || []).forEach(obj => {
+      if (obj.tags) {
+        const tags = Array.isArray(obj.tags) ? obj.tags : JSON.parse(obj.tags);
+        if (Array.isArray(tags)) {
+          tags.forEach(tag => allTags.add(tag));
+        }
+      }
+    });
+
+    res.json(Array.from(allTags).sort());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get statistics by tag
+app.get('/api/tags/:tag/stats', authenticate, requireOrganization, async (req, res) => {
+  try {
+    const { tag } = req.params;
+    // Use JSONB containment to find objectives with this tag
+    let queryBuilder = supabase
+      .from('objectives')
+      .select('*')
+      .contains('tags', [tag])
+      .is('archived_at', null)
+      .is('deleted_at', null);
+
+    queryBuilder = excludeUnapproved(scopeVisibleObjectives(queryBuilder, req, await getViewer(req)));
+    const { data: objectives } = await queryBuilder;
+    
+    const stats = {
+      total: (objectives || []).length,
+      byStatus: {},
+      averageProgress: 0,
+      totalProgress: 0
+    };
+
+    (objectives || []).forEach(obj => {
+      stats.byStatus[obj.status] = (stats.byStatus[obj.status] || 0) + 1;
+      stats.totalProgress += obj.progress_percentage || 0;
+    });
+
+    stats.averageProgress = (objectives || []).length > 0 ? stats.totalProgress / (objectives || []).length : 0;
+
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update comment
+app.put('/api/comments/:id', authenticate, requireObjectivePermission('comment', { resolveObjectiveId: commentObjectiveId, notFound: 'Comment not found' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    
+    // Verify comment exists and user owns it
+    const { data: existingComment, error: fetchError } = await supabase
+      .from('comments')
+      .select('user_id')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError) throw fetchError;
+    if (!existingComment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    if (existingComment.user_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        action: 'comment',
+        reason: 'You can only edit your own comments'
+      });
+    }
+    
+    // Update comment
+    const { data: updatedComment, error: updateError } = await supabase
+      .from('comments')
+      .update({
+        content,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (updateError) throw updateError;
+    
+    // Fetch with user details
+    const { data: commentWithUser, error: userError } = await supabase
+      .from('comments')
+      .select('*, users(name, email)')
+      .eq('id', id)
+      .single();
+    
+    if (userError) throw userError;
+    
+    // Format response
+    const formattedComment = {
+      ...commentWithUser,
+      user_name: commentWithUser.users?.name || 'System',
+      user_email: commentWithUser.users?.email || ''
+    };
+    delete formattedComment.users;
+    
+    res.json(formattedComment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete comment
+app.delete('/api/comments/:id', authenticate, requireObjectivePermission('comment', { resolveObjectiveId: commentObjectiveId, notFound: 'Comment not found' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Verify comment exists and user owns it
+    const { data: existingComment, error: fetchError } = await supabase
+      .from('comments')
+      .select('user_id, media_url')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError) throw fetchError;
+    if (!existingComment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    // Authors remove their own comments; whoever can edit the objective can moderate
+    if (existingComment.user_id !== req.user.id && !checkObjectivePermission('edit', req.objectiveRelationships).allowed) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        action: 'comment',
+        reason: 'You can only delete your own comments'
+      });
+    }
+    
+    // Delete media file if exists
+    if (existingComment.media_url) {
+      try {
+        await deleteFile(existingComment.media_url, MEDIA_BUCKET_NAME);
+      } catch (mediaError) {
+        console.warn('Could not delete media file:', mediaError);
+        // Continue with comment deletion even if media deletion fails
+      }
+    }
+    
+    // Delete comment
+    const { error: deleteError } = await supabase
+      .from('comments')
+      .delete()
+      .eq('id', id);
+    
+    if (deleteError) throw deleteError;
+    
+    res.json({ success: true, message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dashboard stats
+app.get('/api/dashboard/stats', authenticate, requireOrganization, async (req, res) => {
+  try {
+    let queryBuilder = supabase
+      .from('objectives')
+      .select('*')
+      .is('archived_at', null)
+      .is('deleted_at', null);
+    
+    // Only the user's organization, and the objectives they can see
+    queryBuilder = scopeVisibleObjectives(queryBuilder, req, await getViewer(req));
+
+    // Drafts and objectives awaiting approval are not part of the picture yet
+    queryBuilder = excludeUnapproved(queryBuilder);
+
+    if (req.query.cycle_id) {
+      queryBuilder = queryBuilder.eq('cycle_id', req.query.cycle_id);
+    }
+    
+    const { data: allObjectives, error } = await queryBuilder;
+    
+    if (error) throw error;
+    
+    const objectives = allObjectives || [];
+    const { byObjective: lastProgress } = await loadLastProgressTimes(objectives.map(obj => obj.id));
+    const stats = {
+      total: objectives.length,
+      byStatus: {},
+      byPriority: {},
+      byHealth: Object.fromEntries(HEALTH_STATUSES.map(status => [status, 0])),
+      averageProgress: 0,
+      totalProgress: 0,
+      completed: 0,
+      active: 0
+    };
+
+    objectives.forEach(obj => {
+      stats.byStatus[obj.status] = (stats.byStatus[obj.status] || 0) + 1;
+      stats.byPriority[obj.priority] = (stats.byPriority[obj.priority] || 0) + 1;
+      stats.byHealth[objectiveHealth(obj, lastProgress.get(obj.id)).status]++;
+      stats.totalProgress += obj.progress_percentage || 0;
+      if (obj.status === 'Completed') stats.completed++;
+      if (obj.status === 'Active') stats.active++;
+    });
+
+    stats.averageProgress = objectives.length > 0 ? stats.totalProgress / objectives.length : 0;
+
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Organization scorecard - average final scores by department and owner
+app.get('/api/dashboard/scorecard', authenticate, requireOrganization, async (req, res) => {
+  try {
+    let queryBuilder = supabase
+      .from('objectives')
+      .select('id, title, final_score, owner_id, department_id, cycle_id, users!objectives_owner_id_fkey(name, email), departments(name)')
+      .eq('organization_id', req.organizationId)
+      .not('scored_at', 'is', null)
+      .is('deleted_at', null);
+    queryBuilder = scopeVisibleObjectives(queryBuilder, req, await getViewer(req));
+
+    if (req.query.cycle_id) {
+      queryBuilder = queryBuilder.eq('cycle_id', req.query.cycle_id);
+    }
+
+    const { data: objectives, error } = await queryBuilder;
+    if (error) throw error;
+
+    const scoredObjectives = objectives || [];
+    let keyResults = [];
+    if (scoredObjectives.length > 0) {
+      const { data, error: keyResultsError } = await supabase
+        .from('key_results')
+        .select('objective_id, final_score')
+        .in('objective_id', scoredObjectives.map(obj => obj.id))
+        .not('final_score', 'is', null);
+      if (keyResultsError) throw keyResultsError;
+      keyResults = data || [];
+    }
+
+    const keyResultScores = new Map();
+    keyResults.forEach(kr => {
+      if (!keyResultScores.has(kr.objective_id)) keyResultScores.set(kr.objective_id, []);
+      keyResultScores.get(kr.objective_id).push(kr.final_score);
+    });
+
+    const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+    const summarize = (keyOf, nameOf) => {
+      const groups = new Map();
+      scoredObjectives.forEach(obj => {
+        const key = keyOf(obj);
+        if (!groups.has(key)) groups.set(key, { name: nameOf(obj), objectiveScores: [], keyResultScores: [] });
+        const group = groups.get(key);
+        group.objectiveScores.push(obj.final_score);
+        group.keyResultScores.push(...(keyResultScores.get(obj.id) || []));
+      });
+      return Array.from(groups.entries()).map(([id, group]) => ({
+        id,
+        name: group.name,
+        objectives: group.objectiveScores.length,
+        average_score: average(group.objectiveScores),
+        key_results: group.keyResultScores.length,
+        average_key_result_score: average(group.keyResultScores)
+      })).sort((a, b) => b.average_score - a.average_score);
+    };
+
+    res.json({
+      cycle_id: req.query.cycle_id || null,
+      scored_objectives: scoredObjectives.length,
+      average_score: average(scoredObjectives.map(obj => obj.final_score)),
+      average_key_result_score: average(keyResults.map(kr => kr.final_score)),
+      by_department: summarize(obj => obj.department_id || null, obj => obj.departments?.name || 'No department'),
+      by_owner: summarize(obj => obj.owner_id || null, obj => obj.users?.name || 'Unassigned')
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manager Actions endpoint - objectives needing attention
+app.get('/api/dashboard/manager-actions', authenticate, requireOrganization, async (req, res) => {
+  try {
+    // Open, approved objectives in the organization that the requester can see
+    const viewer = await getViewer(req);
+    const allObjectives = await fetchAllRows(() => excludeUnapproved(scopeVisibleObjectives(
+      supabase
+        .from('objectives')
+        .select('*')
+        .neq('status', 'Completed')
+        .is('archived_at', null)
+        .is('deleted_at', null),
+      req,
+      viewer
+    )));
+    
+    // Key results and progress update history drive both staleness and forecasts
+    const { keyResultsByObjective, updatesByObjective } = await loadForecastInputs(allObjectives.map(obj => obj.id));
+    const updatesMap = new Map();
+    updatesByObjective.forEach((updates, objectiveId) => {
+      updatesMap.set(objectiveId, updates[updates.length - 1].created_at);
+    });
+
+    const now = new Date();
+    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const noUpdates = [];
+    const pastDue = [];
+    const offTrack = [];
+
+    allObjectives.forEach(obj => {
+      // Parse tags if they're stored as JSON string
+      if (obj.tags && typeof obj.tags === 'string') {
+        try {
+          obj.tags = JSON.parse(obj.tags);
+        } catch (e) {
+          obj.tags = [];
+        }
+      } else if (!obj.tags) {
+        obj.tags = [];
+      }
+
+      const lastUpdate = updatesMap.get(obj.id);
+      const updatedAt = new Date(obj.updated_at);
+      
+      // Check if no update in the last 7 days (or never had a progress update)
+      const hasRecentUpdate = lastUpdate ? new Date(lastUpdate) > sevenDaysAgo : false;
+      const hasRecentActivity = updatedAt > sevenDaysAgo;
+      
+      if (!hasRecentUpdate && !hasRecentActivity && obj.status !== 'Completed') {
+        noUpdates.push(obj);
+      }
+
+      // Check if past due date
+      if (obj.due_date) {
+        const dueDate = new Date(obj.due_date);
+        if (dueDate < now && obj.status !== 'Completed') {
+          pastDue.push(obj);
+        } else if (obj.status !== 'Completed') {
+          // Not due yet, but the current trajectory won't reach the target in time
+          const forecast = forecastObjective(obj, keyResultsByObjective.get(obj.id) || [], updatesByObjective.get(obj.id) || []);
+          if (forecast.off_track) {
+            offTrack.push({ ...obj, forecast });
+          }
+        }
+      }
+    });
+
+    res.json({
+      noUpdates,
+      pastDue,
+      offTrack
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cycles endpoints (OKR quarters/periods, organization-scoped)
+app.get('/api/cycles', authenticate, requireOrganization, async (req, res) => {
+  try {
+    let queryBuilder = supabase
+      .from('cycles')
+      .select('*')
+      .eq('organization_id', req.organizationId);
+
+    if (req.query.status) {
+      queryBuilder = queryBuilder.eq('status', req.query.status);
+    }
+
+    const { data: cycles, error } = await queryBuilder.order('start_date', { ascending: false });
+
+    if (error) throw error;
+
+    res.json(cycles || []);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/cycles/:id', authenticate, requireOrganization, async (req, res) => {
+  try {
+    const cycle = await dbGet('SELECT * FROM cycles WHERE id = ?', [req.params.id]);
+    if (!cycle || cycle.organization_id !== req.organizationId) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    const { count } = await supabase
+      .from('objectives')
+      .select('id', { count: 'exact', head: true })
+      .eq('cycle_id', cycle.id);
+
+    res.json({ ...cycle, objective_count: count || 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/cycles', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+  try {
+    const { name, start_date, end_date, status = 'planning' } = req.body;
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ error: 'Cycle name is required' });
+    }
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'Start date and end date are required' });
+    }
+
+    if (new Date(start_date) > new Date(end_date)) {
+      return res.status(400).json({ error: 'Start date must be before end date' });
+    }
+
+    if (!CYCLE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${CYCLE_STATUSES.join(', ')}` });
+    }
+
+    const now = new Date().toISOString();
+    const { data: cycle, error } = await supabase
+      .from('cycles')
+      .insert({
+        id: uuidv4(),
+        organization_id: req.organizationId,
+        name: name.trim(),
+        start_date,
+        end_date,
+        status,
+        closed_at: status === 'closed' ? now : null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(cycle);
+  } catch (error) {
+    console.error('Create cycle error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/cycles/:id', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+  try {
+    const { name, start_date, end_date, status } = req.body;
+
+    const existing = await dbGet('SELECT * FROM cycles WHERE id = ?', [req.params.id]);
+    if (!existing || existing.organization_id !== req.organizationId) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    const updates = {};
+    const now = new Date().toISOString();
+
+    if (name !== undefined) {
+      if (!name || name.trim() === '') {
+        return res.status(400).json({ error: 'Cycle name cannot be empty' });
+      }
+      updates.name = name.trim();
+    }
+    if (start_date !== undefined) updates.start_date = start_date;
+    if (end_date !== undefined) updates.end_date = end_date;
+    if (status !== undefined) {
+      if (!CYCLE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${CYCLE_STATUSES.join(', ')}` });
+      }
+      updates.status = status;
+      // Closing freezes the cycle's objectives; reopening lifts the freeze
+      updates.closed_at = status === 'closed' ? (existing.closed_at || now) : null;
+    }
+
+    const finalStart = updates.start_date || existing.start_date;
+    const finalEnd = updates.end_date || existing.end_date;
+    if (new Date(finalStart) > new Date(finalEnd)) {
+      return res.status(400).json({ error: 'Start date must be before end date' });
+    }
+
+    updates.updated_at = now;
+
+    const { data: cycle, error } = await supabase
+      .from('cycles')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(cycle);
+  } catch (error) {
+    console.error('Update cycle error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/cycles/:id', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT id, organization_id FROM cycles WHERE id = ?', [req.params.id]);
+    if (!existing || existing.organization_id !== req.organizationId) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    // Objectives are kept and simply unlinked from the cycle (ON DELETE SET NULL)
+    await dbRun('DELETE FROM cycles WHERE id = ?', [req.params.id]);
+    res.json({ message: 'Cycle deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Custom field definitions (organization-scoped); values live on objectives and key results
+app.get('/api/custom-fields', authenticate, requireOrganization, async (req, res) => {
+  try {
+    let queryBuilder = supabase
+      .from('custom_field_definitions')
+      .select('*')
+      .eq('organization_id', req.organizationId);
+
+    if (req.query.entity_type) {
+      if (!CUSTOM_FIELD_ENTITIES.includes(req.query.entity_type)) {
+        return res.status(400).json({ error: `Entity type must be one of: ${CUSTOM_FIELD_ENTITIES.join(', ')}` });
+      }
+      queryBuilder = queryBuilder.eq('entity_type', req.query.entity_type);
+    }
+
+    const { data: definitions, error } = await queryBuilder.order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(definitions || []);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/custom-fields', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+  try {
+    const { key, label, entity_type = 'objective', field_type, options = [], required = false } = req.body;
+
+    const definition = { key, label, entity_type, field_type, options, required };
+    const validationError = validateFieldDefinition(definition);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: created, error } = await supabase
+      .from('custom_field_definitions')
+      .insert({
+        id: uuidv4(),
+        organization_id: req.organizationId,
+        key,
+        label: label.trim(),
+        entity_type,
+        field_type,
+        options: options || [],
+        required,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: `A ${entity_type} field with key "${key}" already exists` });
+      }
+      throw error;
+    }
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Key, entity and type are fixed once values may exist; label, options and required can change
+app.put('/api/custom-fields/:id', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM custom_field_definitions WHERE id = ?', [req.params.id]);
+    if (!existing || existing.organization_id !== req.organizationId) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const immutable = ['key', 'entity_type', 'field_type'].filter(field => req.body[field] !== undefined && req.body[field] !== existing[field]);
+    if (immutable.length > 0) {
+      return res.status(400).json({ error: `Custom field ${immutable.join(', ')} cannot be changed` });
+    }
+
+    const { label, options, required } = req.body;
+    const validationError = validateFieldDefinition(
+      { label, options, required, field_type: existing.field_type },
+      { partial: true }
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (label !== undefined) updates.label = label.trim();
+    if (options !== undefined) updates.options = options || [];
+    if (required !== undefined) updates.required = required;
+
+    const { data: updated, error } = await supabase
+      .from('custom_field_definitions')
+      .update(updates)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deleting a definition also removes its values
+app.delete('/api/custom-fields/:id', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM custom_field_definitions WHERE id = ?', [req.params.id]);
+    if (!existing || existing.organization_id !== req.organizationId) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const { data: cleared, error: clearError } = await supabase.rpc('remove_custom_field_values', {
+      p_organization_id: req.organizationId,
+      p_entity_type: existing.entity_type,
+      p_key: existing.key
+    });
+    if (clearError) throw clearError;
+
+    await dbRun('DELETE FROM custom_field_definitions WHERE id = ?', [existing.id]);
+
+    res.json({ message: 'Custom field deleted successfully', values_removed: cleared || 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Users and Departments
+// Update user role (admin only)
+app.put('/api/users/:id/role', authenticate, authorize('Admin'), requireOrganization, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+    
+    if (!role) {
+      return res.status(400).json({ error: 'Role is required' });
+    }
+    
+    const validRoles = ['Admin', 'Manager', 'Team Member', 'Viewer'];
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+    
+    // Check user exists and is in same organization
+    const user = await dbGet(
+      'SELECT id, organization_id FROM users WHERE id = ?',
+      [id]
+    );
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Cannot modify users from other organizations' });
+    }
+    
+    // Prevent removing last admin
+    if (role !== 'Admin' && user.role === 'Admin') {
+      const adminCount = await dbGet(
+        'SELECT COUNT(*) as count FROM users WHERE organization_id = ? AND role = ?',
+        [req.organizationId, 'Admin']
+      );
+      if (adminCount.count <= 1) {
+        return res.status(400).json({ error: 'Cannot remove last admin' });
+      }
+    }
+    
+    await supabase
+      .from('users')
+      .update({ role })
+      .eq('id', id);
+    
+    const updatedUser = await dbGet('SELECT * FROM users WHERE id = ?', [id]);
+    res.json(updatedUser);
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/users', authenticate, requireOrganization, async (req, res) => {
+  try {
+    // Filter by organization
+    const users = await dbAll(
+      'SELECT id, email, name, role, department, avatar, created_at, last_login FROM users WHERE organization_id = ? ORDER BY name',
+      [req.organizationId]
+    );
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/users/:id', authenticate, requireOrganization, async (req, res) => {
+  try {
+    // Ensure user is in same organization
+    const user = await dbGet(
+      'SELECT id, email, name, role, department, avatar, created_at, last_login FROM users WHERE id = ? AND organization_id = ?',
+      [req.params.id, req.organizationId]
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+  try {
+    const { email, name, role = 'Team Member', department } = req.body;
+    
+    if (!email || !name) {
+      return res.status(400).json({ error: 'Email and name are required' });
+    }
+    
+    // Check if user already exists
+    const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [email.toLowerCase()]);
+    if (existingUser) {
+      return res.status(400).json({ error: 'User with this email already exists' });
+    }
+    
+    // Check if invitation already exists
+    const existingInvitation = await dbGet(
+      'SELECT id FROM invitations WHERE email = ? AND organization_id = ? AND status = ?',
+      [email.toLowerCase(), req.organizationId, 'pending']
+    );
+    if (existingInvitation) {
+      return res.status(400).json({ error: 'Invitation already sent to this email' });
+    }
+    
+    const id = uuidv4();
+
+    // Create user without password (they'll set it via invitation)
+    await dbRun(
+      'INSERT INTO users (id, email, name, role, department, organization_id, email_verified) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, email.toLowerCase(), name, role, department || null, req.organizationId, false]
+    );
+
+    // Create and send invitation for the new user
+    const token = generateRandomToken();
+    const invitationId = uuidv4();
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + 7); // 7 days expiry
+    
+    // Get organization and inviter info for email (before creating invitation)
+    const organization = await dbGet('SELECT name FROM organizations WHERE id = ?', [req.organizationId]);
+    const inviter = await dbGet('SELECT name FROM users WHERE id = ?', [req.user.id]);
+    
+    // Create invitation
+    const { error: invitationError } = await supabase
+      .from('invitations')
+      .insert({
+        id: invitationId,
+        email: email.toLowerCase(),
+        token,
+        organization_id: req.organizationId,
+        invited_by: req.user.id,
+        role: role,
+        status: 'pending',
+        expires_at: expiresAt.toISOString()
+      });
+    
+    if (invitationError) {
+      console.error('Error creating invitation:', invitationError);
+      // Rollback user creation if invitation fails
+      await dbRun('DELETE FROM users WHERE id = ?', [id]);
+      return res.status(500).json({ error: 'Failed to create invitation: ' + invitationError.message });
+    }
+    
+    // Send invitation email
+    const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+    try {
+      await sendInvitationEmail(
+        email,
+        inviter.name,
+        organization.name,
+        role,
+        token,
+        baseUrl
+      );
+      
+      // Create in-app notification for inviter
+      await createNotification(
+        req.user.id,
+        'invitation_sent',
+        'Invitation Sent',
+        `You've invited ${email} to join ${organization.name} as ${role}`,
+        null, // objective_id
+        null, // comment_id
+        null, // progress_update_id
+        invitationId // invitation_id
+      );
+    } catch (emailError) {
+      console.error('Error sending invitation email:', emailError);
+      // Don't fail the request if email fails, but log it
+      // User and invitation are already created, so we continue
+    }
+
+    const user = await dbGet('SELECT id, email, name, role, department, avatar, created_at FROM users WHERE id = ?', [id]);
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      res.status(400).json({ error: 'Email already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+app.put('/api/users/:id', authenticate, requireOrganization, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, name, role, department, avatar } = req.body;
+    
+    // Check user exists and is in same organization
+    const user = await dbGet(
+      'SELECT id, organization_id, role FROM users WHERE id = ?',
+      [id]
+    );
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Cannot modify users from other organizations' });
+    }
+    
+    // Only admins can change roles
+    if (role !== undefined && role !== user.role) {
+      if (req.user.role !== 'Admin') {
+        return res.status(403).json({ error: 'Only admins can change user roles' });
+      }
+      
+      // Prevent removing last admin
+      if (role !== 'Admin' && user.role === 'Admin') {
+        const adminCount = await dbGet(
+          'SELECT COUNT(*) as count FROM users WHERE organization_id = ? AND role = ?',
+          [req.organizationId, 'Admin']
+        );
+        if (adminCount.count <= 1) {
+          return res.status(400).json({ error: 'Cannot remove last admin' });
+        }
+      }
+    }
+    
+    // Users can only update their own profile (except admins)
+    if (req.user.id !== id && req.user.role !== 'Admin') {
+      return res.status(403).json({ error: 'Can only update your own profile' });
+    }
+    
+    const updates = [];
+    const params = [];
+    
+    if (email !== undefined) { 
+      // Check email not taken by another user
+      const emailUser = await dbGet('SELECT id FROM users WHERE email = ? AND id != ?', [email.toLowerCase(), id]);
+      if (emailUser) {
+        return res.status(400).json({ error: 'Email already in use' });
+      }
+      updates.push('email = ?'); 
+      params.push(email.toLowerCase()); 
+    }
+    if (name !== undefined) { updates.push('name = ?'); params.push(name); }
+    if (role !== undefined && req.user.role === 'Admin') { updates.push('role = ?'); params.push(role); }
+    if (department !== undefined) { updates.push('department = ?'); params.push(department || null); }
+    if (avatar !== undefined) { updates.push('avatar = ?'); params.push(avatar); }
+
+    params.push(id);
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const query = `UPDATE users SET ${updates.join(', ')} WHERE id = ?`;
+    await dbRun(query, params);
+
+    const updatedUser = await dbGet('SELECT id, email, name, role, department, avatar, created_at, last_login FROM users WHERE id = ?', [id]);
+    res.json(updatedUser);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      res.status(400).json({ error: 'Email already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Upload user avatar
+app.post('/api/users/me/avatar', authenticate, requireOrganization, upload.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const userId = req.user.id;
+    
+    // Get current user to delete old avatar
+    const user = await dbGet('SELECT avatar FROM users WHERE id = ?', [userId]);
+    if (user && user.avatar) {
+      try {
+        await deleteFile(user.avatar);
+      } catch (deleteError) {
+        console.warn('Could not delete old avatar:', deleteError);
+        // Continue even if deletion fails
+      }
+    }
+    
+    // Upload to Supabase Storage
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(req.file.originalname);
+    const filename = `avatar-${userId}-${uniqueSuffix}${ext}`;
+    
+    let avatarUrl;
+    try {
+      // Read file buffer
+      const fileBuffer = fs.readFileSync(req.file.path);
+      const { url } = await uploadFile(fileBuffer, filename, 'logos', req.file.mimetype);
+      avatarUrl = url;
+      
+      // Delete local temp file
+      fs.unlinkSync(req.file.path);
+    } catch (uploadError) {
+      // Clean up local file
+      if (fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      throw new Error(`Failed to upload to storage: ${uploadError.message}`);
     }
     
-    await supabase
-      .from('users')
-      .update({ role })
-      .eq('id', id);
+    // Update user avatar
+    await dbRun('UPDATE users SET avatar = ? WHERE id = ?', [avatarUrl, userId]);
     
-    const updatedUser = await dbGet('SELECT * FROM users WHERE id = ?', [id]);
-    res.json(updatedUser);
+    res.json({ avatar: avatarUrl });
+  } catch (error) {
+    // Clean up local file if there was an error
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get current user's subscriptions
+app.get('/api/users/me/subscriptions', authenticate, requireOrganization, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    // Get subscriptions with objective details using a JOIN query
+    const subscriptions = await dbAll(`
+      SELECT 
+        os.id,
+        os.objective_id,
+        os.created_at,
+        o.title as objective_title
+      FROM objective_subscriptions os
+      INNER JOIN objectives o ON os.objective_id = o.id
+      WHERE os.user_id = ?
+      ORDER BY os.created_at DESC
+    `, [userId]);
+    
+    res.json(subscriptions || []);
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', authenticate, authorize('Admin'), requireOrganization, async (req, res) => {
+  try {
+    await dbRun('DELETE FROM users WHERE id = ?', [req.params.id]);
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Contributors endpoints
+app.get('/api/objectives/:id/contributors', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
+  try {
+    const contributors = await dbAll(
+      `SELECT u.id, u.name, u.email 
+       FROM objective_contributors oc 
+       JOIN users u ON oc.user_id = u.id 
+       WHERE oc.objective_id = ?`,
+      [req.params.id]
+    );
+    res.json(contributors);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/objectives/:id/contributors', authenticate, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const { user_id } = req.body;
+    const id = uuidv4();
+
+    const member = user_id ? await dbGet('SELECT id, organization_id FROM users WHERE id = ?', [user_id]) : null;
+    if (!member || member.organization_id !== req.objective.organization_id) {
+      return res.status(400).json({ error: 'Contributor must be a user in the organization' });
+    }
+    
+    await dbRun(
+      'INSERT INTO objective_contributors (id, objective_id, user_id) VALUES (?, ?, ?)',
+      [id, req.params.id, user_id]
+    );
+    
+    const contributor = await dbGet(
+      'SELECT u.id, u.name, u.email FROM users u WHERE u.id = ?',
+      [user_id]
+    );
+    
+    res.status(201).json(contributor);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      res.status(400).json({ error: 'User is already a contributor' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Contributors may step down themselves; removing anyone else edits the objective
+app.delete('/api/objectives/:id/contributors/:userId', authenticate, requireObjectivePermission(req => (req.params.userId === req.user.id ? 'comment' : 'edit')), async (req, res) => {
+  try {
+    await dbRun(
+      'DELETE FROM objective_contributors WHERE objective_id = ? AND user_id = ?',
+      [req.params.id, req.params.userId]
+    );
+    res.json({ message: 'Contributor removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Objective dependencies ("blocked by" relations across teams)
+const DEPENDENCY_OBJECTIVE_FIELDS = 'id, organization_id, title, status, priority, due_date, progress_percentage, owner_id, department_id, visibility, users!objectives_owner_id_fkey(name, email)';
+
+const formatDependencyObjective = (objective, dependency) => {
+  const today = new Date().toISOString().split('T')[0];
+  const { users, ...rest } = objective;
+  return {
+    ...rest,
+    owner_name: users?.name || null,
+    owner_email: users?.email || null,
+    is_overdue: !!rest.due_date && String(rest.due_date).substring(0, 10) < today && rest.status !== 'Completed',
+    dependency_id: dependency.id,
+    dependency_created_at: dependency.created_at
+  };
+};
+
+// List what an objective is blocked by and what it is blocking
+app.get('/api/objectives/:id/dependencies', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
+  try {
+    const { data: dependencies, error } = await supabase
+      .from('objective_dependencies')
+      .select('id, objective_id, depends_on_id, created_at')
+      .or(`objective_id.eq.${quoteFilterValue(req.params.id)},depends_on_id.eq.${quoteFilterValue(req.params.id)}`)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const relatedIds = [...new Set((dependencies || []).map(d => (d.objective_id === req.params.id ? d.depends_on_id : d.objective_id)))];
+    let related = [];
+    if (relatedIds.length > 0) {
+      const { data, error: relatedError } = await supabase
+        .from('objectives')
+        .select(DEPENDENCY_OBJECTIVE_FIELDS)
+        .in('id', relatedIds)
+        .is('deleted_at', null);
+      if (relatedError) throw relatedError;
+      // Related objectives the user can't see are left out, as if the dependency weren't there
+      const viewer = await getViewer(req);
+      related = (data || []).filter(obj => canViewObjective(obj, viewer));
+    }
+    const relatedMap = new Map(related.map(obj => [obj.id, obj]));
+
+    const blockedBy = [];
+    const blocking = [];
+    (dependencies || []).forEach(dependency => {
+      if (dependency.objective_id === req.params.id) {
+        const blocker = relatedMap.get(dependency.depends_on_id);
+        if (blocker) blockedBy.push(formatDependencyObjective(blocker, dependency));
+      } else {
+        const dependent = relatedMap.get(dependency.objective_id);
+        if (dependent) blocking.push(formatDependencyObjective(dependent, dependency));
+      }
+    });
+
+    res.json({ blocked_by: blockedBy, blocking });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark an objective as blocked by another objective
+app.post('/api/objectives/:id/dependencies', authenticate, requireOrganization, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const { depends_on_id } = req.body;
+    const objectiveId = req.params.id;
+
+    if (!depends_on_id) {
+      return res.status(400).json({ error: 'depends_on_id is required' });
+    }
+
+    if (depends_on_id === objectiveId) {
+      return res.status(400).json({ error: 'An objective cannot depend on itself' });
+    }
+
+    const { data: objectives, error: fetchError } = await supabase
+      .from('objectives')
+      .select('id, organization_id, owner_id, department_id, visibility')
+      .in('id', [objectiveId, depends_on_id])
+      .eq('organization_id', req.organizationId)
+      .is('deleted_at', null);
+
+    if (fetchError) throw fetchError;
+
+    // A blocker the user can't see is reported the same as one that doesn't exist
+    const viewer = await getViewer(req);
+    const found = new Set((objectives || []).filter(obj => canViewObjective(obj, viewer)).map(obj => obj.id));
+    if (!found.has(objectiveId)) {
+      return res.status(404).json({ error: 'Objective not found' });
+    }
+    if (!found.has(depends_on_id)) {
+      return res.status(400).json({ error: 'Blocking objective not found' });
+    }
+
+    const { data: existing } = await supabase
+      .from('objective_dependencies')
+      .select('id')
+      .eq('objective_id', objectiveId)
+      .eq('depends_on_id', depends_on_id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(400).json({ error: 'Objective already depends on this objective' });
+    }
+
+    if (await wouldCreateDependencyCycle(objectiveId, depends_on_id)) {
+      return res.status(400).json({ error: 'This dependency would create a cycle' });
+    }
+
+    const { data: dependency, error } = await supabase
+      .from('objective_dependencies')
+      .insert({
+        id: uuidv4(),
+        objective_id: objectiveId,
+        depends_on_id,
+        created_by: req.user.id
+      })
+      .select('id, objective_id, depends_on_id, created_at')
+      .single();
+
+    if (error) throw error;
+
+    const { data: blocker } = await supabase
+      .from('objectives')
+      .select(DEPENDENCY_OBJECTIVE_FIELDS)
+      .eq('id', depends_on_id)
+      .single();
+
+    res.status(201).json({
+      ...dependency,
+      depends_on: blocker ? formatDependencyObjective(blocker, dependency) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a dependency
+app.delete('/api/objectives/:id/dependencies/:dependsOnId', authenticate, requireOrganization, requireObjectivePermission('edit'), async (req, res) => {
+  try {
+    const { data: removed, error } = await supabase
+      .from('objective_dependencies')
+      .delete()
+      .eq('objective_id', req.params.id)
+      .eq('depends_on_id', req.params.dependsOnId)
+      .select('id');
+
+    if (error) throw error;
+    if (!removed || removed.length === 0) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+
+    res.json({ message: 'Dependency removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/departments', optionalAuthenticate, async (req, res) => {
+  try {
+    // If user is authenticated but has no organization, return empty array
+    if (req.user && !req.user.organizationId) {
+      return res.json([]);
+    }
+    
+    // If user is authenticated, filter departments by organization (via users)
+    if (req.user && req.user.organizationId) {
+      // Get department IDs from users in this organization
+      const { data: orgUsers, error: usersError } = await supabase
+        .from('users')
+        .select('department')
+        .eq('organization_id', req.user.organizationId)
+        .not('department', 'is', null);
+      
+      if (usersError) throw usersError;
+      
+      const departmentIds = [...new Set((orgUsers || []).map(u => u.department).filter(Boolean))];
+      
+      if (departmentIds.length > 0) {
+        const { data: departments, error } = await supabase
+          .from('departments')
+          .select('*')
+          .in('id', departmentIds)
+          .order('name');
+        
+        if (error) throw error;
+        return res.json(departments || []);
+      } else {
+        return res.json([]);
+      }
+    }
+    
+    // No authentication - return all (for backwards compatibility, but should require auth)
+    const departments = await dbAll('SELECT * FROM departments ORDER BY name');
+    res.json(departments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/departments/:id', async (req, res) => {
+  try {
+    const department = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
+    if (!department) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+    res.json(department);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/departments', async (req, res) => {
+  try {
+    const { name, description, manager_id } = req.body;
+    const id = uuidv4();
+
+    await dbRun(
+      'INSERT INTO departments (id, name, description, manager_id) VALUES (?, ?, ?, ?)',
+      [id, name, description || null, manager_id || null]
+    );
+
+    const department = await dbGet('SELECT * FROM departments WHERE id = ?', [id]);
+    res.status(201).json(department);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/departments/:id', async (req, res) => {
+  try {
+    const { name, description, manager_id } = req.body;
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) { updates.push('name = ?'); params.push(name); }
+    if (description !== undefined) { updates.push('description = ?'); params.push(description); }
+    if (manager_id !== undefined) { updates.push('manager_id = ?'); params.push(manager_id || null); }
+
+    params.push(req.params.id);
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const query = `UPDATE departments SET ${updates.join(', ')} WHERE id = ?`;
+    await dbRun(query, params);
+
+    const department = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
+    res.json(department);
   } catch (error) {
-    console.error('Update user role error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/users', authenticate, requireOrganization, async (req, res) => {
+app.delete('/api/departments/:id', async (req, res) => {
   try {
-    // Filter by organization
-    const users = await dbAll(
-      'SELECT id, email, name, role, department, avatar, created_at, last_login FROM users WHERE organization_id = ? ORDER BY name',
-      [req.organizationId]
-    );
-    res.json(users);
+    await dbRun('DELETE FROM departments WHERE id = ?', [req.params.id]);
+    res.json({ message: 'Department deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/users/:id', authenticate, requireOrganization, async (req, res) => {
+// Teams endpoints (aliases for departments for backward compatibility)
+app.get('/api/teams', async (req, res) => {
   try {
-    // Ensure user is in same organization
-    const user = await dbGet(
-      'SELECT id, email, name, role, department, avatar, created_at, last_login FROM users WHERE id = ? AND organization_id = ?',
-      [req.params.id, req.organizationId]
-    );
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    res.json(user);
+    const teams = await dbAll('SELECT * FROM departments ORDER BY name');
+    res.json(teams);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/users', authenticate, requireAdminOrManager, requireOrganization, async (req, res) => {
+app.get('/api/teams/:id', async (req, res) => {
   try {
-    const { email, name, role = 'Team Member', department } = req.body;
-    
-    if (!email || !name) {
-      return res.status(400).json({ error: 'Email and name are required' });
-    }
-    
-    // Check if user already exists
-    const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [email.toLowerCase()]);
-    if (existingUser) {
-      return res.status(400).json({ error: 'User with this email already exists' });
-    }
-    
-    // Check if invitation already exists
-    const existingInvitation = await dbGet(
-      'SELECT id FROM invitations WHERE email = ? AND organization_id = ? AND status = ?',
-      [email.toLowerCase(), req.organizationId, 'pending']
-    );
-    if (existingInvitation) {
-      return res.status(400).json({ error: 'Invitation already sent to this email' });
+    const team = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
     }
-    
+    res.json(team);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/teams', async (req, res) => {
+  try {
+    const { name, description, manager_id } = req.body;
     const id = uuidv4();
 
-    // Create user without password (they'll set it via invitation)
     await dbRun(
-      'INSERT INTO users (id, email, name, role, department, organization_id, email_verified) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [id, email.toLowerCase(), name, role, department || null, req.organizationId, false]
+      'INSERT INTO departments (id, name, description, manager_id) VALUES (?, ?, ?, ?)',
+      [id, name, description || null, manager_id || null]
     );
 
-    // Create and send invitation for the new user
-    const token = generateRandomToken();
-    const invitationId = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 days expiry
-    
-    // Get organization and inviter info for email (before creating invitation)
-    const organization = await dbGet('SELECT name FROM organizations WHERE id = ?', [req.organizationId]);
-    const inviter = await dbGet('SELECT name FROM users WHERE id = ?', [req.user.id]);
-    
-    // Create invitation
-    const { error: invitationError } = await supabase
-      .from('invitations')
-      .insert({
-        id: invitationId,
-        email: email.toLowerCase(),
-        token,
-        organization_id: req.organizationId,
-        invited_by: req.user.id,
-        role: role,
-        status: 'pending',
-        expires_at: expiresAt.toISOString()
-      });
-    
-    if (invitationError) {
-      console.error('Error creating invitation:', invitationError);
-      // Rollback user creation if invitation fails
-      await dbRun('DELETE FROM users WHERE id = ?', [id]);
-      return res.status(500).json({ error: 'Failed to create invitation: ' + invitationError.message });
+    const team = await dbGet('SELECT * FROM departments WHERE id = ?', [id]);
+    res.status(201).json(team);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/teams/:id', async (req, res) => {
+  try {
+    const { name, description, manager_id } = req.body;
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) { updates.push('name = ?'); params.push(name); }
+    if (description !== undefined) { updates.push('description = ?'); params.push(description); }
+    if (manager_id !== undefined) { updates.push('manager_id = ?'); params.push(manager_id || null); }
+
+    params.push(req.params.id);
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const query = `UPDATE departments SET ${updates.join(', ')} WHERE id = ?`;
+    await dbRun(query, params);
+
+    const team = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
+    res.json(team);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/teams/:id', async (req, res) => {
+  try {
+    await dbRun('DELETE FROM departments WHERE id = ?', [req.params.id]);
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Company endpoints
+app.get('/api/company', async (req, res) => {
+  try {
+    const companies = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
+    if (companies.length === 0) {
+      return res.json(null);
     }
     
-    // Send invitation email
-    const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
-    try {
-      await sendInvitationEmail(
-        email,
-        inviter.name,
-        organization.name,
-        role,
-        token,
-        baseUrl
-      );
-      
-      // Create in-app notification for inviter
-      await createNotification(
-        req.user.id,
-        'invitation_sent',
-        'Invitation Sent',
-        `You've invited ${email} to join ${organization.name} as ${role}`,
-        null, // objective_id
-        null, // comment_id
-        null, // progress_update_id
-        invitationId // invitation_id
-      );
-    } catch (emailError) {
-      console.error('Error sending invitation email:', emailError);
-      // Don't fail the request if email fails, but log it
-      // User and invitation are already created, so we continue
+    // Ensure logo_url is a full URL (convert old local paths to Supabase URLs if needed)
+    const company = companies[0];
+    if (company.logo_url && company.logo_url.startsWith('/uploads/')) {
+      // Old local path - try to get public URL from Supabase Storage
+      try {
+        company.logo_url = getPublicUrl(company.logo_url);
+      } catch (error) {
+        console.warn('Could not convert logo URL:', error);
+        // Keep original URL or set to null
+        company.logo_url = null;
+      }
     }
-
-    const user = await dbGet('SELECT id, email, name, role, department, avatar, created_at FROM users WHERE id = ?', [id]);
-    res.status(201).json(user);
+    
+    res.json(company);
   } catch (error) {
-    if (error.message.includes('UNIQUE constraint')) {
-      res.status(400).json({ error: 'Email already exists' });
+    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
+      res.status(500).json({ 
+        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
+      });
     } else {
       res.status(500).json({ error: error.message });
     }
   }
 });
 
-app.put('/api/users/:id', authenticate, requireOrganization, async (req, res) => {
+app.post('/api/company', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { email, name, role, department, avatar } = req.body;
+    const { name, description, logo_url } = req.body;
     
-    // Check user exists and is in same organization
-    const user = await dbGet(
-      'SELECT id, organization_id, role FROM users WHERE id = ?',
-      [id]
-    );
+    // Check if company already exists
+    const existing = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
     
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (existing.length > 0) {
+      // Update existing company
+      const updates = [];
+      const params = [];
+      
+      if (name !== undefined) { updates.push('name = ?'); params.push(name); }
+      if (description !== undefined) { updates.push('description = ?'); params.push(description); }
+      if (logo_url !== undefined) { updates.push('logo_url = ?'); params.push(logo_url); }
+      
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+      
+      updates.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(existing[0].id);
+      
+      const query = `UPDATE companies SET ${updates.join(', ')} WHERE id = ?`;
+      await dbRun(query, params);
+      
+      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [existing[0].id]);
+      res.json(company);
+    } else {
+      // Create new company
+      const id = uuidv4();
+      await dbRun(
+        'INSERT INTO companies (id, name, description, logo_url) VALUES (?, ?, ?, ?)',
+        [id, name, description || null, logo_url || null]
+      );
+      
+      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [id]);
+      res.status(201).json(company);
+    }
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
+      res.status(500).json({ 
+        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
+      });
+    } else {
+      res.status(500).json({ error: error.message });
     }
+  }
+});
+
+app.put('/api/company', async (req, res) => {
+  try {
+    const { name, description, logo_url } = req.body;
     
-    if (user.organization_id !== req.organizationId) {
-      return res.status(403).json({ error: 'Cannot modify users from other organizations' });
-    }
+    // Get existing company
+    const existing = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
     
-    // Only admins can change roles
-    if (role !== undefined && role !== user.role) {
-      if (req.user.role !== 'Admin') {
-        return res.status(403).json({ error: 'Only admins can change user roles' });
-      }
+    if (existing.length === 0) {
+      // Create new if doesn't exist
+      const id = uuidv4();
+      await dbRun(
+        'INSERT INTO companies (id, name, description, logo_url) VALUES (?, ?, ?, ?)',
+        [id, name, description || null, logo_url || null]
+      );
       
-      // Prevent removing last admin
-      if (role !== 'Admin' && user.role === 'Admin') {
-        const adminCount = await dbGet(
-          'SELECT COUNT(*) as count FROM users WHERE organization_id = ? AND role = ?',
-          [req.organizationId, 'Admin']
-        );
-        if (adminCount.count <= 1) {
-          return res.status(400).json({ error: 'Cannot remove last admin' });
-        }
-      }
-    }
-    
-    // Users can only update their own profile (except admins)
-    if (req.user.id !== id && req.user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Can only update your own profile' });
+      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [id]);
+      return res.json(company);
     }
     
+    // Update existing
     const updates = [];
     const params = [];
     
-    if (email !== undefined) { 
-      // Check email not taken by another user
-      const emailUser = await dbGet('SELECT id FROM users WHERE email = ? AND id != ?', [email.toLowerCase(), id]);
-      if (emailUser) {
-        return res.status(400).json({ error: 'Email already in use' });
-      }
-      updates.push('email = ?'); 
-      params.push(email.toLowerCase()); 
-    }
     if (name !== undefined) { updates.push('name = ?'); params.push(name); }
-    if (role !== undefined && req.user.role === 'Admin') { updates.push('role = ?'); params.push(role); }
-    if (department !== undefined) { updates.push('department = ?'); params.push(department || null); }
-    if (avatar !== undefined) { updates.push('avatar = ?'); params.push(avatar); }
-
-    params.push(id);
-
+    if (description !== undefined) { updates.push('description = ?'); params.push(description); }
+    if (logo_url !== undefined) { updates.push('logo_url = ?'); params.push(logo_url); }
+    
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
-
-    const query = `UPDATE users SET ${updates.join(', ')} WHERE id = ?`;
+    
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(existing[0].id);
+    
+    const query = `UPDATE companies SET ${updates.join(', ')} WHERE id = ?`;
     await dbRun(query, params);
-
-    const updatedUser = await dbGet('SELECT id, email, name, role, department, avatar, created_at, last_login FROM users WHERE id = ?', [id]);
-    res.json(updatedUser);
+    
+    const company = await dbGet('SELECT * FROM companies WHERE id = ?', [existing[0].id]);
+    res.json(company);
   } catch (error) {
-    if (error.message.includes('UNIQUE constraint')) {
-      res.status(400).json({ error: 'Email already exists' });
+    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
+      res.status(500).json({ 
+        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
+      });
     } else {
       res.status(500).json({ error: error.message });
     }
   }
 });
 
-// Upload user avatar
-app.post('/api/users/me/avatar', authenticate, requireOrganization, upload.single('avatar'), async (req, res) => {
+// Logo upload endpoint - using Supabase Storage
+app.post('/api/company/logo', upload.single('logo'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const userId = req.user.id;
+    // Get existing company to update, or create new one
+    const existing = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
     
-    // Get current user to delete old avatar
-    const user = await dbGet('SELECT avatar FROM users WHERE id = ?', [userId]);
-    if (user && user.avatar) {
+    // Delete old logo if exists (from Supabase Storage)
+    if (existing.length > 0 && existing[0].logo_url) {
       try {
-        await deleteFile(user.avatar);
+        await deleteFile(existing[0].logo_url);
       } catch (deleteError) {
-        console.warn('Could not delete old avatar:', deleteError);
+        console.warn('Could not delete old logo:', deleteError);
         // Continue even if deletion fails
       }
     }
@@ -1427,14 +4696,14 @@ app.post('/api/users/me/avatar', authenticate, requireOrganization, upload.singl
     // Upload to Supabase Storage
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const ext = path.extname(req.file.originalname);
-    const filename = `avatar-${userId}-${uniqueSuffix}${ext}`;
+    const filename = `logo-${uniqueSuffix}${ext}`;
     
-    let avatarUrl;
+    let logoUrl;
     try {
       // Read file buffer
       const fileBuffer = fs.readFileSync(req.file.path);
-      const { url } = await uploadFile(fileBuffer, filename, 'logos', req.file.mimetype);
-      avatarUrl = url;
+      const { url } = await uploadFile(fileBuffer, filename);
+      logoUrl = url;
       
       // Delete local temp file
       fs.unlinkSync(req.file.path);
@@ -1446,641 +4715,1015 @@ app.post('/api/users/me/avatar', authenticate, requireOrganization, upload.singl
       throw new Error(`Failed to upload to storage: ${uploadError.message}`);
     }
     
-    // Update user avatar
-    await dbRun('UPDATE users SET avatar = ? WHERE id = ?', [avatarUrl, userId]);
-    
-    res.json({ avatar: avatarUrl });
+    if (existing.length > 0) {
+      // Update existing company
+      await dbRun(
+        'UPDATE companies SET logo_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [logoUrl, existing[0].id]
+      );
+      
+      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [existing[0].id]);
+      res.json({ logo_url: company.logo_url });
+    } else {
+      // Create new company with logo (no default name - will be set during onboarding)
+      const id = uuidv4();
+      await dbRun(
+        'INSERT INTO companies (id, name, logo_url) VALUES (?, ?, ?)',
+        [id, null, logoUrl] // No default name
+      );
+      
+      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [id]);
+      res.json({ logo_url: company.logo_url });
+    }
   } catch (error) {
-    // Clean up local file if there was an error
+    // Delete uploaded file if there was an error
     if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get current user's subscriptions
-app.get('/api/users/me/subscriptions', authenticate, requireOrganization, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    // Get subscriptions with objective details using a JOIN query
-    const subscriptions = await dbAll(`
-      SELECT 
-        os.id,
-        os.objective_id,
-        os.created_at,
-        o.title as objective_title
-      FROM objective_subscriptions os
-      INNER JOIN objectives o ON os.objective_id = o.id
-      WHERE os.user_id = ?
-      ORDER BY os.created_at DESC
-    `, [userId]);
+    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
+      res.status(500).json({ 
+        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
+      });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Media upload endpoint
+app.post('/api/media/upload', mediaUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const mediaType = req.body.type || (req.file.mimetype.startsWith('audio') ? 'audio' : 'video');
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(req.file.originalname) || (mediaType === 'audio' ? '.webm' : '.webm');
+    const filename = `${mediaType}-${uniqueSuffix}${ext}`;
+    
+    // Upload to Supabase Storage
+    const fileBuffer = Buffer.from(req.file.buffer);
+    const { url } = await uploadFile(fileBuffer, filename, MEDIA_BUCKET_NAME, req.file.mimetype);
+    
+    res.json({ 
+      url,
+      type: mediaType,
+      filename
+    });
+  } catch (error) {
+    console.error('Error uploading media:', error);
+    res.status(500).json({ error: error.message || 'Failed to upload media' });
+  }
+});
+
+// Comments endpoints
+app.get('/api/objectives/:id/comments', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const [{ data: rows, error }, { count: total }] = await Promise.all([
+      applyCursor(
+        supabase.from('comments').select('*, users(name, email)').eq('objective_id', req.params.id),
+        { sortField: 'created_at', cursor: pagination.cursor, limit: pagination.limit }
+      ),
+      supabase.from('comments').select('id', { count: 'exact', head: true }).eq('objective_id', req.params.id)
+    ]);
+    
+    if (error) throw error;
+
+    const { data: comments, nextCursor } = buildPage(rows, { sortField: 'created_at', limit: pagination.limit });
+    setPaginationHeaders(res, { total, nextCursor });
+    
+    // Set default values for system comments (null user_id)
+    const commentsWithDefaults = (comments || []).map(c => ({
+      ...c,
+      user_name: c.users?.name || 'System',
+      user_email: c.users?.email || '',
+      users: undefined // Remove nested users object
+    }));
+    
+    res.json(commentsWithDefaults);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/objectives/:id/comments', authenticate, requireObjectivePermission('comment'), async (req, res) => {
+  try {
+    const { content, media_url, media_type } = req.body;
+    const user_id = req.user.id;
+    const objectiveId = req.params.id;
+    const id = uuidv4();
+    
+    // Get objective and commenter info for notifications
+    const objective = req.objective;
+    const { data: commenter } = await supabase.from('users').select('name').eq('id', user_id).single();
+    const commenterName = commenter?.name || 'Someone';
+    
+    const { data: comment, error: insertError } = await supabase
+      .from('comments')
+      .insert({
+        id,
+        objective_id: objectiveId,
+        user_id,
+        content: content || (media_url ? (media_type === 'audio' ? 'Voice note' : 'Video note') : ''),
+        media_url: media_url || null,
+        media_type: media_type || null
+      })
+      .select()
+      .single();
+    
+    if (insertError) throw insertError;
+    
+    // Fetch with user details
+    const { data: commentWithUser, error: fetchError } = await supabase
+      .from('comments')
+      .select('*, users(name, email)')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError) throw fetchError;
+    
+    // Format response
+    const formattedComment = {
+      ...commentWithUser,
+      user_name: commentWithUser.users?.name || 'System',
+      user_email: commentWithUser.users?.email || ''
+    };
+    delete formattedComment.users; // Remove nested users object
+    
+    // Create notifications
+    if (objective) {
+      // Notify mentioned users
+      const mentions = await parseMentions(content);
+      if (mentions.length > 0) {
+        // Users who cannot see the objective are not told about the comment
+        const mentionedUserIds = await filterUsersWhoCanView(objective, await getUserIdsFromMentions(mentions));
+        for (const mentionedUserId of mentionedUserIds) {
+          if (mentionedUserId !== user_id) {
+            await createNotification(
+              mentionedUserId,
+              'mention',
+              `You were mentioned in a comment`,
+              `${commenterName} mentioned you in a comment on "${objective.title}"`,
+              objectiveId,
+              id
+            );
+          }
+        }
+      }
+      
+      // Notify objective owner and contributors (excluding commenter)
+      await notifyObjectiveStakeholders(
+        objectiveId,
+        'comment',
+        `New comment on "${objective.title}"`,
+        `${commenterName} commented on "${objective.title}"`,
+        user_id,
+        id
+      );
+    }
     
-    res.json(subscriptions || []);
+    res.status(201).json(formattedComment);
   } catch (error) {
-    console.error('Get subscriptions error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/users/:id', authenticate, authorize('Admin'), requireOrganization, async (req, res) => {
+// Progress updates endpoint
+app.get('/api/objectives/:id/progress-updates', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    await dbRun('DELETE FROM users WHERE id = ?', [req.params.id]);
-    res.json({ message: 'User deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
-// Contributors endpoints
-app.get('/api/objectives/:id/contributors', async (req, res) => {
-  try {
-    const contributors = await dbAll(
-      `SELECT u.id, u.name, u.email 
-       FROM objective_contributors oc 
-       JOIN users u ON oc.user_id = u.id 
-       WHERE oc.objective_id = ?`,
-      [req.params.id]
-    );
-    res.json(contributors);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+    const [{ data: rows, error }, { count: total }] = await Promise.all([
+      applyCursor(
+        supabase.from('progress_updates').select('*, users(name, email)').eq('objective_id', req.params.id),
+        { sortField: 'created_at', cursor: pagination.cursor, limit: pagination.limit }
+      ),
+      supabase.from('progress_updates').select('id', { count: 'exact', head: true }).eq('objective_id', req.params.id)
+    ]);
 
-app.post('/api/objectives/:id/contributors', async (req, res) => {
-  try {
-    const { user_id } = req.body;
-    const id = uuidv4();
-    
-    await dbRun(
-      'INSERT INTO objective_contributors (id, objective_id, user_id) VALUES (?, ?, ?)',
-      [id, req.params.id, user_id]
-    );
-    
-    const contributor = await dbGet(
-      'SELECT u.id, u.name, u.email FROM users u WHERE u.id = ?',
-      [user_id]
-    );
-    
-    res.status(201).json(contributor);
-  } catch (error) {
-    if (error.message.includes('UNIQUE constraint')) {
-      res.status(400).json({ error: 'User is already a contributor' });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
-  }
-});
+    if (error) throw error;
 
-app.delete('/api/objectives/:id/contributors/:userId', async (req, res) => {
-  try {
-    await dbRun(
-      'DELETE FROM objective_contributors WHERE objective_id = ? AND user_id = ?',
-      [req.params.id, req.params.userId]
-    );
-    res.json({ message: 'Contributor removed successfully' });
+    const { data: updates, nextCursor } = buildPage(rows, { sortField: 'created_at', limit: pagination.limit });
+    setPaginationHeaders(res, { total, nextCursor });
+
+    // System updates (e.g. webhooks) have no user
+    res.json(updates.map(u => ({
+      ...u,
+      user_name: u.users?.name || 'System',
+      user_email: u.users?.email || '',
+      users: undefined // Remove nested users object
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/departments', optionalAuthenticate, async (req, res) => {
+// Key result check-in history
+app.get('/api/key-results/:id/progress-updates', authenticate, requireOrganization, requireObjectivePermission('view', { resolveObjectiveId: keyResultObjectiveId, notFound: 'Key result not found' }), async (req, res) => {
   try {
-    // If user is authenticated but has no organization, return empty array
-    if (req.user && !req.user.organizationId) {
-      return res.json([]);
+    const keyResult = await dbGet('SELECT id FROM key_results WHERE id = ?', [req.params.id]);
+    if (!keyResult) {
+      return res.status(404).json({ error: 'Key result not found' });
     }
-    
-    // If user is authenticated, filter departments by organization (via users)
-    if (req.user && req.user.organizationId) {
-      // Get department IDs from users in this organization
-      const { data: orgUsers, error: usersError } = await supabase
-        .from('users')
-        .select('department')
-        .eq('organization_id', req.user.organizationId)
-        .not('department', 'is', null);
-      
-      if (usersError) throw usersError;
-      
-      const departmentIds = [...new Set((orgUsers || []).map(u => u.department).filter(Boolean))];
-      
-      if (departmentIds.length > 0) {
-        const { data: departments, error } = await supabase
-          .from('departments')
-          .select('*')
-          .in('id', departmentIds)
-          .order('name');
-        
-        if (error) throw error;
-        return res.json(departments || []);
-      } else {
-        return res.json([]);
-      }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
     }
-    
-    // No authentication - return all (for backwards compatibility, but should require auth)
-    const departments = await dbAll('SELECT * FROM departments ORDER BY name');
-    res.json(departments);
+
+    const [{ data: rows, error }, { count: total }] = await Promise.all([
+      applyCursor(
+        supabase.from('progress_updates').select('*, users(name, email)').eq('key_result_id', req.params.id),
+        { sortField: 'created_at', cursor: pagination.cursor, limit: pagination.limit }
+      ),
+      supabase.from('progress_updates').select('id', { count: 'exact', head: true }).eq('key_result_id', req.params.id)
+    ]);
+
+    if (error) throw error;
+
+    const { data: updates, nextCursor } = buildPage(rows, { sortField: 'created_at', limit: pagination.limit });
+    setPaginationHeaders(res, { total, nextCursor });
+
+    // System updates (e.g. webhooks) have no user
+    const formattedUpdates = updates.map(u => ({
+      ...u,
+      user_name: u.users?.name || 'System',
+      user_email: u.users?.email || '',
+      users: undefined // Remove nested users object
+    }));
+
+    res.json(formattedUpdates);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/departments/:id', async (req, res) => {
+// Load the key results and progress updates needed to forecast a set of objectives
+async function loadForecastInputs(objectiveIds) {
+  if (objectiveIds.length === 0) {
+    return { keyResultsByObjective: new Map(), updatesByObjective: new Map() };
+  }
+
+  // Oldest first within each batch of objectives, so each objective's history is in order
+  const [keyResults, updates] = await Promise.all([
+    fetchRowsInBatches(() => supabase.from('key_results').select('*'), 'objective_id', objectiveIds),
+    fetchRowsInBatches(
+      () => supabase.from('progress_updates').select('id, objective_id, key_result_id, previous_value, new_value, created_at'),
+      'objective_id',
+      objectiveIds
+    )
+  ]);
+
+  const group = (rows) => {
+    const map = new Map();
+    (rows || []).forEach(row => {
+      if (!map.has(row.objective_id)) map.set(row.objective_id, []);
+      map.get(row.objective_id).push(row);
+    });
+    return map;
+  };
+
+  return { keyResultsByObjective: group(keyResults), updatesByObjective: group(updates) };
+}
+
+// Forecast an objective's completion from its progress update history
+app.get('/api/objectives/:id/forecast', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    const department = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
-    if (!department) {
-      return res.status(404).json({ error: 'Department not found' });
-    }
-    res.json(department);
+    const objective = req.objective;
+
+    const { keyResultsByObjective, updatesByObjective } = await loadForecastInputs([objective.id]);
+
+    res.json(forecastObjective(
+      objective,
+      keyResultsByObjective.get(objective.id) || [],
+      updatesByObjective.get(objective.id) || []
+    ));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/departments', async (req, res) => {
+// Forecast a key result's value at its due date from its check-in history
+app.get('/api/key-results/:id/forecast', authenticate, requireOrganization, requireObjectivePermission('view', { resolveObjectiveId: keyResultObjectiveId, notFound: 'Key result not found' }), async (req, res) => {
   try {
-    const { name, description, manager_id } = req.body;
-    const id = uuidv4();
+    const keyResult = await dbGet('SELECT * FROM key_results WHERE id = ?', [req.params.id]);
+    if (!keyResult) {
+      return res.status(404).json({ error: 'Key result not found' });
+    }
 
-    await dbRun(
-      'INSERT INTO departments (id, name, description, manager_id) VALUES (?, ?, ?, ?)',
-      [id, name, description || null, manager_id || null]
+    const updates = await fetchAllRows(
+      () => supabase.from('progress_updates').select('id, previous_value, new_value, created_at').eq('key_result_id', keyResult.id)
     );
 
-    const department = await dbGet('SELECT * FROM departments WHERE id = ?', [id]);
-    res.status(201).json(department);
+    res.json(forecastKeyResult(keyResult, updates, { dueDate: req.objective.due_date }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/departments/:id', async (req, res) => {
-  try {
-    const { name, description, manager_id } = req.body;
-    const updates = [];
-    const params = [];
+// Latest progress update time per objective and per key result, for staleness
+async function loadLastProgressTimes(objectiveIds) {
+  const byObjective = new Map();
+  const byKeyResult = new Map();
+  if (objectiveIds.length === 0) return { byObjective, byKeyResult };
+
+  const updates = await fetchRowsInBatches(
+    () => supabase.from('progress_updates').select('id, objective_id, key_result_id, created_at'),
+    'objective_id',
+    objectiveIds,
+    { ascending: false }
+  );
 
-    if (name !== undefined) { updates.push('name = ?'); params.push(name); }
-    if (description !== undefined) { updates.push('description = ?'); params.push(description); }
-    if (manager_id !== undefined) { updates.push('manager_id = ?'); params.push(manager_id || null); }
+  // Newest first within each batch of objectives, so the first row seen for each ID is the latest
+  updates.forEach(update => {
+    if (!byObjective.has(update.objective_id)) byObjective.set(update.objective_id, update.created_at);
+    if (update.key_result_id && !byKeyResult.has(update.key_result_id)) byKeyResult.set(update.key_result_id, update.created_at);
+  });
 
-    params.push(req.params.id);
+  return { byObjective, byKeyResult };
+}
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
+// Record a confidence check-in and keep the latest values on the objective or key result
+async function recordConfidenceCheckIn({ objectiveId, keyResultId = null, status, score, notes, userId }) {
+  const now = new Date().toISOString();
+  const { data: checkIn, error } = await supabase
+    .from('confidence_check_ins')
+    .insert({
+      id: uuidv4(),
+      objective_id: objectiveId,
+      key_result_id: keyResultId,
+      user_id: userId,
+      status,
+      score: Number(score),
+      notes: notes || ''
+    })
+    .select()
+    .single();
 
-    const query = `UPDATE departments SET ${updates.join(', ')} WHERE id = ?`;
-    await dbRun(query, params);
+  if (error) throw error;
 
-    const department = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
-    res.json(department);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  const { error: updateError } = await supabase
+    .from(keyResultId ? 'key_results' : 'objectives')
+    .update({
+      confidence_status: status,
+      confidence_score: Number(score),
+      confidence_updated_at: checkIn.created_at || now
+    })
+    .eq('id', keyResultId || objectiveId);
 
-app.delete('/api/departments/:id', async (req, res) => {
-  try {
-    await dbRun('DELETE FROM departments WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Department deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (updateError) throw updateError;
+
+  return checkIn;
+}
+
+// Confidence check-in history, newest first
+async function listConfidenceCheckIns(req, res, column, id) {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    return res.status(400).json({ error: pagination.error });
   }
-});
 
-// Teams endpoints (aliases for departments for backward compatibility)
-app.get('/api/teams', async (req, res) => {
-  try {
-    const teams = await dbAll('SELECT * FROM departments ORDER BY name');
-    res.json(teams);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  let queryBuilder = supabase.from('confidence_check_ins').select('*, users(name, email)').eq(column, id);
+  let countBuilder = supabase.from('confidence_check_ins').select('id', { count: 'exact', head: true }).eq(column, id);
+
+  // Objective history covers the objective's own check-ins unless include_key_results=true
+  if (column === 'objective_id' && req.query.include_key_results !== 'true') {
+    queryBuilder = queryBuilder.is('key_result_id', null);
+    countBuilder = countBuilder.is('key_result_id', null);
   }
-});
 
-app.get('/api/teams/:id', async (req, res) => {
+  const [{ data: rows, error }, { count: total }] = await Promise.all([
+    applyCursor(queryBuilder, { sortField: 'created_at', cursor: pagination.cursor, limit: pagination.limit }),
+    countBuilder
+  ]);
+
+  if (error) throw error;
+
+  const { data: checkIns, nextCursor } = buildPage(rows, { sortField: 'created_at', limit: pagination.limit });
+  setPaginationHeaders(res, { total, nextCursor });
+
+  res.json(checkIns.map(c => ({
+    ...c,
+    user_name: c.users?.name || 'System',
+    user_email: c.users?.email || '',
+    users: undefined // Remove nested users object
+  })));
+}
+
+// Confidence check-in on an objective
+app.post('/api/objectives/:id/confidence', authenticate, requireOrganization, requireObjectivePermission('progress'), async (req, res) => {
   try {
-    const team = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
-    if (!team) {
-      return res.status(404).json({ error: 'Team not found' });
+    const { status, score, notes } = req.body;
+
+    const objective = req.objective;
+
+    const validationError = validateConfidence(status, score);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
-    res.json(team);
+
+    const lockError = await getObjectiveLockError(objective);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    const checkIn = await recordConfidenceCheckIn({
+      objectiveId: objective.id,
+      status,
+      score,
+      notes,
+      userId: req.user.id
+    });
+
+    const { byObjective } = await loadLastProgressTimes([objective.id]);
+    const health = objectiveHealth(
+      { ...objective, confidence_status: status, confidence_score: Number(score), confidence_updated_at: checkIn.created_at },
+      byObjective.get(objective.id)
+    );
+
+    res.status(201).json({ ...checkIn, health });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/teams', async (req, res) => {
+app.get('/api/objectives/:id/confidence', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    const { name, description, manager_id } = req.body;
-    const id = uuidv4();
-
-    await dbRun(
-      'INSERT INTO departments (id, name, description, manager_id) VALUES (?, ?, ?, ?)',
-      [id, name, description || null, manager_id || null]
-    );
-
-    const team = await dbGet('SELECT * FROM departments WHERE id = ?', [id]);
-    res.status(201).json(team);
+    await listConfidenceCheckIns(req, res, 'objective_id', req.params.id);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/teams/:id', async (req, res) => {
+// Confidence check-in on a key result
+app.post('/api/key-results/:id/confidence', authenticate, requireOrganization, requireObjectivePermission('progress', { resolveObjectiveId: keyResultObjectiveId, notFound: 'Key result not found' }), async (req, res) => {
   try {
-    const { name, description, manager_id } = req.body;
-    const updates = [];
-    const params = [];
+    const { status, score, notes } = req.body;
 
-    if (name !== undefined) { updates.push('name = ?'); params.push(name); }
-    if (description !== undefined) { updates.push('description = ?'); params.push(description); }
-    if (manager_id !== undefined) { updates.push('manager_id = ?'); params.push(manager_id || null); }
+    const keyResult = await dbGet('SELECT * FROM key_results WHERE id = ?', [req.params.id]);
+    const objective = req.objective;
+    if (!keyResult) {
+      return res.status(404).json({ error: 'Key result not found' });
+    }
 
-    params.push(req.params.id);
+    const validationError = validateConfidence(status, score);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
+    const lockError = await getObjectiveLockError(objective);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
     }
 
-    const query = `UPDATE departments SET ${updates.join(', ')} WHERE id = ?`;
-    await dbRun(query, params);
+    const checkIn = await recordConfidenceCheckIn({
+      objectiveId: objective.id,
+      keyResultId: keyResult.id,
+      status,
+      score,
+      notes,
+      userId: req.user.id
+    });
 
-    const team = await dbGet('SELECT * FROM departments WHERE id = ?', [req.params.id]);
-    res.json(team);
+    const { byKeyResult } = await loadLastProgressTimes([objective.id]);
+    const health = keyResultHealth(
+      { ...keyResult, confidence_status: status, confidence_score: Number(score), confidence_updated_at: checkIn.created_at },
+      objective,
+      byKeyResult.get(keyResult.id)
+    );
+
+    res.status(201).json({ ...checkIn, health });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/key-results/:id/confidence', authenticate, requireOrganization, requireObjectivePermission('view', { resolveObjectiveId: keyResultObjectiveId, notFound: 'Key result not found' }), async (req, res) => {
+  try {
+    await listConfidenceCheckIns(req, res, 'key_result_id', req.params.id);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/teams/:id', async (req, res) => {
+// Computed health of an objective and each of its key results
+app.get('/api/objectives/:id/health', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    await dbRun('DELETE FROM departments WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Team deleted successfully' });
+    const objective = req.objective;
+
+    const [keyResults, { byObjective, byKeyResult }] = await Promise.all([
+      dbAll('SELECT * FROM key_results WHERE objective_id = ? ORDER BY created_at ASC', [objective.id]),
+      loadLastProgressTimes([objective.id])
+    ]);
+
+    res.json({
+      objective_id: objective.id,
+      ...objectiveHealth(objective, byObjective.get(objective.id)),
+      key_results: keyResults.map(kr => ({
+        key_result_id: kr.id,
+        title: kr.title,
+        ...keyResultHealth(kr, objective, byKeyResult.get(kr.id))
+      }))
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Company endpoints
-app.get('/api/company', async (req, res) => {
+// Structured check-ins - several key result values plus what moved, what's blocked and next steps
+async function getLastCheckInAt(objectiveId) {
+  const { data: last } = await supabase
+    .from('check_ins')
+    .select('created_at')
+    .eq('objective_id', objectiveId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return last?.created_at || null;
+}
+
+app.post('/api/objectives/:id/check-ins', authenticate, requireOrganization, requireObjectivePermission('progress'), async (req, res) => {
   try {
-    const companies = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-    if (companies.length === 0) {
-      return res.json(null);
+    const { what_moved, blocked, next_steps, key_results: keyResultValues = [] } = req.body;
+
+    const objective = req.objective;
+
+    const lockError = await getObjectiveLockError(objective);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
     }
-    
-    // Ensure logo_url is a full URL (convert old local paths to Supabase URLs if needed)
-    const company = companies[0];
-    if (company.logo_url && company.logo_url.startsWith('/uploads/')) {
-      // Old local path - try to get public URL from Supabase Storage
-      try {
-        company.logo_url = getPublicUrl(company.logo_url);
-      } catch (error) {
-        console.warn('Could not convert logo URL:', error);
-        // Keep original URL or set to null
-        company.logo_url = null;
-      }
+
+    if (!Array.isArray(keyResultValues)) {
+      return res.status(400).json({ error: 'key_results must be an array of { id, current_value, notes }' });
     }
-    
-    res.json(company);
-  } catch (error) {
-    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
-      res.status(500).json({ 
-        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
-      });
-    } else {
-      res.status(500).json({ error: error.message });
+
+    if (keyResultValues.length === 0 && !what_moved && !blocked && !next_steps) {
+      return res.status(400).json({ error: 'A check-in needs key result values or at least one of what_moved, blocked or next_steps' });
     }
-  }
-});
 
-app.post('/api/company', async (req, res) => {
-  try {
-    const { name, description, logo_url } = req.body;
-    
-    // Check if company already exists
-    const existing = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-    
-    if (existing.length > 0) {
-      // Update existing company
-      const updates = [];
-      const params = [];
-      
-      if (name !== undefined) { updates.push('name = ?'); params.push(name); }
-      if (description !== undefined) { updates.push('description = ?'); params.push(description); }
-      if (logo_url !== undefined) { updates.push('logo_url = ?'); params.push(logo_url); }
-      
-      if (updates.length === 0) {
-        return res.status(400).json({ error: 'No fields to update' });
+    // Validate every value before anything is written
+    const keyResults = await dbAll('SELECT * FROM key_results WHERE objective_id = ?', [objective.id]);
+    const keyResultMap = new Map(keyResults.map(kr => [kr.id, kr]));
+    const seen = new Set();
+    const errors = [];
+    keyResultValues.forEach(entry => {
+      if (!entry?.id || !keyResultMap.has(entry.id)) {
+        errors.push({ key_result_id: entry?.id || null, error: 'Key result does not belong to this objective' });
+      } else if (seen.has(entry.id)) {
+        errors.push({ key_result_id: entry.id, error: 'Key result listed more than once' });
+      } else if (typeof entry.current_value !== 'boolean' && !Number.isFinite(Number(entry.current_value ?? NaN))) {
+        errors.push({ key_result_id: entry.id, error: 'current_value must be a number' });
       }
-      
-      updates.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(existing[0].id);
-      
-      const query = `UPDATE companies SET ${updates.join(', ')} WHERE id = ?`;
-      await dbRun(query, params);
-      
-      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [existing[0].id]);
-      res.json(company);
-    } else {
-      // Create new company
-      const id = uuidv4();
-      await dbRun(
-        'INSERT INTO companies (id, name, description, logo_url) VALUES (?, ?, ?, ?)',
-        [id, name, description || null, logo_url || null]
-      );
-      
-      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [id]);
-      res.status(201).json(company);
-    }
-  } catch (error) {
-    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
-      res.status(500).json({ 
-        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
+      if (entry?.id) seen.add(entry.id);
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid check-in', details: errors });
+    }
+
+    // The check-in and every key result value are written in one transaction
+    const values = keyResultValues.map(entry => {
+      const existing = keyResultMap.get(entry.id);
+      const newValue = typeof entry.current_value === 'boolean' ? (entry.current_value ? 1 : 0) : Number(entry.current_value);
+      return {
+        id: existing.id,
+        current_value: newValue,
+        progress_percentage: calculateKeyResultProgress({ ...existing, current_value: newValue }),
+        previous_value: existing.current_value || 0,
+        progress_update_id: uuidv4(),
+        notes: entry.notes || ''
+      };
+    });
+
+    const { data: checkIn, error } = await supabase.rpc('submit_check_in', {
+      p_check_in: {
+        id: uuidv4(),
+        objective_id: objective.id,
+        user_id: req.user.id,
+        what_moved: what_moved || null,
+        blocked: blocked || null,
+        next_steps: next_steps || null
+      },
+      p_key_results: values
+    });
+
+    if (error) throw error;
+
+    let updatedKeyResults = [];
+    if (values.length > 0) {
+      const { data, error: fetchError } = await supabase
+        .from('key_results')
+        .select('*')
+        .in('id', values.map(value => value.id));
+      if (fetchError) throw fetchError;
+      updatedKeyResults = data || [];
+    }
+    const updatedMap = new Map(updatedKeyResults.map(kr => [kr.id, kr]));
+
+    // Unchanged values are still a check-in, so every submitted value was logged
+    const progressUpdates = [];
+    for (const value of values) {
+      const keyResult = updatedMap.get(value.id) || { ...keyResultMap.get(value.id), ...value };
+      await recordRevisions({
+        objectiveId: objective.id,
+        keyResultId: value.id,
+        changes: diffFields(keyResultMap.get(value.id), keyResult, KEY_RESULT_TRACKED_FIELDS),
+        userId: req.user.id
       });
-    } else {
-      res.status(500).json({ error: error.message });
+      progressUpdates.push({
+        id: value.progress_update_id,
+        key_result_id: value.id,
+        key_result_title: keyResult.title,
+        previous_value: value.previous_value,
+        new_value: value.current_value,
+        progress_percentage: keyResult.progress_percentage
+      });
+    }
+
+    if (progressUpdates.length > 0) {
+      await calculateObjectiveProgress(objective.id);
     }
+
+    // One summary notification instead of one per key result
+    const { data: author } = await supabase.from('users').select('name').eq('id', req.user.id).single();
+    const authorName = author?.name || 'Someone';
+    const summary = [
+      progressUpdates.length > 0
+        ? `updated ${progressUpdates.map(u => `"${u.key_result_title}" to ${u.new_value}`).join(', ')}`
+        : 'posted an update',
+      blocked ? `Blocked: ${blocked}` : null
+    ].filter(Boolean).join('. ');
+
+    await notifyObjectiveStakeholders(
+      objective.id,
+      'check_in',
+      `Check-in on "${objective.title}"`,
+      `${authorName} checked in on "${objective.title}" and ${summary}`,
+      req.user.id
+    );
+
+    res.status(201).json({
+      ...checkIn,
+      progress_updates: progressUpdates,
+      schedule: checkInSchedule(objective, checkIn.created_at)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/company', async (req, res) => {
+app.get('/api/objectives/:id/check-ins', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    const { name, description, logo_url } = req.body;
-    
-    // Get existing company
-    const existing = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-    
-    if (existing.length === 0) {
-      // Create new if doesn't exist
-      const id = uuidv4();
-      await dbRun(
-        'INSERT INTO companies (id, name, description, logo_url) VALUES (?, ?, ?, ?)',
-        [id, name, description || null, logo_url || null]
-      );
-      
-      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [id]);
-      return res.json(company);
-    }
-    
-    // Update existing
-    const updates = [];
-    const params = [];
-    
-    if (name !== undefined) { updates.push('name = ?'); params.push(name); }
-    if (description !== undefined) { updates.push('description = ?'); params.push(description); }
-    if (logo_url !== undefined) { updates.push('logo_url = ?'); params.push(logo_url); }
-    
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
-    
-    updates.push('updated_at = CURRENT_TIMESTAMP');
-    params.push(existing[0].id);
-    
-    const query = `UPDATE companies SET ${updates.join(', ')} WHERE id = ?`;
-    await dbRun(query, params);
-    
-    const company = await dbGet('SELECT * FROM companies WHERE id = ?', [existing[0].id]);
-    res.json(company);
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const [{ data: rows, error }, { count: total }] = await Promise.all([
+      applyCursor(
+        supabase
+          .from('check_ins')
+          .select('*, users(name, email), progress_updates(id, key_result_id, previous_value, new_value, notes, key_results(title))')
+          .eq('objective_id', req.params.id),
+        { sortField: 'created_at', cursor: pagination.cursor, limit: pagination.limit }
+      ),
+      supabase.from('check_ins').select('id', { count: 'exact', head: true }).eq('objective_id', req.params.id)
+    ]);
+
+    if (error) throw error;
+
+    const { data: checkIns, nextCursor } = buildPage(rows, { sortField: 'created_at', limit: pagination.limit });
+    setPaginationHeaders(res, { total, nextCursor });
+
+    res.json(checkIns.map(c => ({
+      ...c,
+      user_name: c.users?.name || 'System',
+      user_email: c.users?.email || '',
+      progress_updates: (c.progress_updates || []).map(u => ({
+        ...u,
+        key_result_title: u.key_results?.title || null,
+        key_results: undefined
+      })),
+      users: undefined // Remove nested users object
+    })));
   } catch (error) {
-    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
-      res.status(500).json({ 
-        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
-      });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Logo upload endpoint - using Supabase Storage
-app.post('/api/company/logo', upload.single('logo'), async (req, res) => {
+// Expected cadence and when the next check-in is due
+app.get('/api/objectives/:id/check-ins/schedule', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-    
-    // Get existing company to update, or create new one
-    const existing = await dbAll('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-    
-    // Delete old logo if exists (from Supabase Storage)
-    if (existing.length > 0 && existing[0].logo_url) {
-      try {
-        await deleteFile(existing[0].logo_url);
-      } catch (deleteError) {
-        console.warn('Could not delete old logo:', deleteError);
-        // Continue even if deletion fails
-      }
-    }
-    
-    // Upload to Supabase Storage
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(req.file.originalname);
-    const filename = `logo-${uniqueSuffix}${ext}`;
-    
-    let logoUrl;
-    try {
-      // Read file buffer
-      const fileBuffer = fs.readFileSync(req.file.path);
-      const { url } = await uploadFile(fileBuffer, filename);
-      logoUrl = url;
-      
-      // Delete local temp file
-      fs.unlinkSync(req.file.path);
-    } catch (uploadError) {
-      // Clean up local file
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      throw new Error(`Failed to upload to storage: ${uploadError.message}`);
-    }
-    
-    if (existing.length > 0) {
-      // Update existing company
-      await dbRun(
-        'UPDATE companies SET logo_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [logoUrl, existing[0].id]
-      );
-      
-      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [existing[0].id]);
-      res.json({ logo_url: company.logo_url });
-    } else {
-      // Create new company with logo (no default name - will be set during onboarding)
-      const id = uuidv4();
-      await dbRun(
-        'INSERT INTO companies (id, name, logo_url) VALUES (?, ?, ?)',
-        [id, null, logoUrl] // No default name
-      );
-      
-      const company = await dbGet('SELECT * FROM companies WHERE id = ?', [id]);
-      res.json({ logo_url: company.logo_url });
-    }
+    const objective = req.objective;
+
+    res.json(checkInSchedule(objective, await getLastCheckInAt(objective.id)));
   } catch (error) {
-    // Delete uploaded file if there was an error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    if (error.code === 'PGRST116' || error.message.includes('companies') || error.message.includes('relation') || error.message.includes('table')) {
-      res.status(500).json({ 
-        error: 'Companies table does not exist. Please run the migration: backend/migrations/add_company_table.sql in your Supabase SQL editor' 
-      });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Media upload endpoint
-app.post('/api/media/upload', mediaUpload.single('file'), async (req, res) => {
+// All occurrences of a recurring objective, oldest first, with key result values per period for trends
+app.get('/api/objectives/:id/occurrences', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-    
-    const mediaType = req.body.type || (req.file.mimetype.startsWith('audio') ? 'audio' : 'video');
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(req.file.originalname) || (mediaType === 'audio' ? '.webm' : '.webm');
-    const filename = `${mediaType}-${uniqueSuffix}${ext}`;
-    
-    // Upload to Supabase Storage
-    const fileBuffer = Buffer.from(req.file.buffer);
-    const { url } = await uploadFile(fileBuffer, filename, MEDIA_BUCKET_NAME, req.file.mimetype);
-    
-    res.json({ 
-      url,
-      type: mediaType,
-      filename
+    const objective = req.objective;
+
+    // Visibility can differ between occurrences, so the series only lists the ones the user can see
+    const seriesId = objective.recurrence_series_id || objective.id;
+    const { data: occurrences, error } = await scopeVisibleObjectives(supabase
+      .from('objectives')
+      .select('id, title, status, start_date, due_date, completed_at, progress_percentage, final_score, previous_occurrence_id')
+      .or(`recurrence_series_id.eq.${quoteFilterValue(seriesId)},id.eq.${quoteFilterValue(seriesId)}`)
+      .is('deleted_at', null), req, await getViewer(req))
+      .order('due_date', { ascending: true });
+
+    if (error) throw error;
+
+    const occurrenceIds = (occurrences || []).map(o => o.id);
+    let keyResults = [];
+    if (occurrenceIds.length > 0) {
+      const { data, error: keyResultsError } = await supabase
+        .from('key_results')
+        .select('id, objective_id, title, unit, recurrence_series_id, current_value, target_value, progress_percentage, final_score')
+        .in('objective_id', occurrenceIds);
+      if (keyResultsError) throw keyResultsError;
+      keyResults = data || [];
+    }
+
+    // One row per key result series, with its value in each occurrence
+    const series = new Map();
+    const order = new Map(occurrenceIds.map((id, index) => [id, index]));
+    keyResults
+      .sort((a, b) => order.get(a.objective_id) - order.get(b.objective_id))
+      .forEach(kr => {
+        const key = kr.recurrence_series_id || kr.id;
+        if (!series.has(key)) series.set(key, { series_id: key, title: kr.title, unit: kr.unit, occurrences: [] });
+        series.get(key).occurrences.push({
+          objective_id: kr.objective_id,
+          key_result_id: kr.id,
+          current_value: kr.current_value,
+          target_value: kr.target_value,
+          progress_percentage: kr.progress_percentage,
+          final_score: kr.final_score
+        });
+      });
+
+    res.json({
+      series_id: seriesId,
+      recurrence: objective.recurrence,
+      occurrences: occurrences || [],
+      key_results: Array.from(series.values())
     });
   } catch (error) {
-    console.error('Error uploading media:', error);
-    res.status(500).json({ error: error.message || 'Failed to upload media' });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Comments endpoints
-app.get('/api/objectives/:id/comments', async (req, res) => {
+// Revision history for an objective and its key results
+app.get('/api/objectives/:id/history', authenticate, requireOrganization, requireObjectivePermission('view'), async (req, res) => {
   try {
-    const { data: comments, error } = await supabase
-      .from('comments')
-      .select('*, users(name, email)')
+    let queryBuilder = supabase
+      .from('objective_revisions')
+      .select('*, users(name, email), key_results(title)')
       .eq('objective_id', req.params.id)
       .order('created_at', { ascending: false });
-    
+
+    if (req.query.field) {
+      queryBuilder = queryBuilder.eq('field', req.query.field);
+    }
+
+    if (req.query.key_result_id) {
+      queryBuilder = queryBuilder.eq('key_result_id', req.query.key_result_id);
+    }
+
+    const { data: revisions, error } = await queryBuilder;
+
     if (error) throw error;
-    
-    // Set default values for system comments (null user_id)
-    const commentsWithDefaults = (comments || []).map(c => ({
-      ...c,
-      user_name: c.users?.name || 'System',
-      user_email: c.users?.email || '',
-      users: undefined // Remove nested users object
+
+    const formattedRevisions = (revisions || []).map(r => ({
+      ...r,
+      user_name: r.users?.name || 'System',
+      user_email: r.users?.email || '',
+      key_result_title: r.key_results?.title || null,
+      users: undefined, // Remove nested objects
+      key_results: undefined
     }));
-    
-    res.json(commentsWithDefaults);
+
+    res.json(formattedRevisions);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/objectives/:id/comments', async (req, res) => {
+// Revert a single field to the value it had before a revision
+// The old value goes through the same checks as an edit. Reverting visibility to restricted
+// takes viewer_ids in the body, as PUT does; explicit viewers aren't kept in the history.
+app.post('/api/objectives/:id/history/:revisionId/revert', authenticate, requireOrganization, requireObjectivePermission('edit'), async (req, res) => {
   try {
-    const { user_id, content, media_url, media_type } = req.body;
-    const objectiveId = req.params.id;
-    const id = uuidv4();
-    
-    // Get objective and commenter info for notifications
-    const objective = await dbGet('SELECT title, owner_id FROM objectives WHERE id = ?', [objectiveId]);
-    const { data: commenter } = await supabase.from('users').select('name').eq('id', user_id).single();
-    const commenterName = commenter?.name || 'Someone';
-    
-    const { data: comment, error: insertError } = await supabase
-      .from('comments')
-      .insert({
-        id,
-        objective_id: objectiveId,
-        user_id,
-        content: content || (media_url ? (media_type === 'audio' ? 'Voice note' : 'Video note') : ''),
-        media_url: media_url || null,
-        media_type: media_type || null
-      })
-      .select()
-      .single();
-    
-    if (insertError) throw insertError;
-    
-    // Fetch with user details
-    const { data: commentWithUser, error: fetchError } = await supabase
-      .from('comments')
-      .select('*, users(name, email)')
+    const { id, revisionId } = req.params;
+    const objective = req.objective;
+
+    const revision = await dbGet('SELECT * FROM objective_revisions WHERE id = ?', [revisionId]);
+    if (!revision || revision.objective_id !== id) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const now = new Date().toISOString();
+    const progressFields = ['type', 'start_value', 'target_value', 'current_value'];
+
+    if (objective.scored_at) {
+      return res.status(409).json({ error: SCORED_OBJECTIVE_ERROR });
+    }
+
+    if ((progressFields.includes(revision.field) || revision.field === 'cycle_id') && await isObjectiveFrozen(objective)) {
+      return res.status(409).json({ error: FROZEN_OBJECTIVE_ERROR });
+    }
+
+    if (revision.key_result_id) {
+      const existing = await dbGet('SELECT * FROM key_results WHERE id = ?', [revision.key_result_id]);
+      if (!existing) {
+        return res.status(404).json({ error: 'Key result not found' });
+      }
+
+      const updates = { [revision.field]: revision.old_value, updated_at: now };
+      if (revision.field === 'custom_fields') {
+        const customFields = await validateCustomFields(revision.old_value || {}, objective.organization_id, 'key_result');
+        if (customFields.errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid custom fields', details: customFields.errors });
+        }
+        updates.custom_fields = customFields.values;
+      }
+      if (progressFields.includes(revision.field)) {
+        const basis = { ...existing, ...updates };
+        const typeError = validateKeyResultType(basis.type || 'increase', basis.start_value ?? 0, basis.target_value);
+        if (typeError) {
+          return res.status(400).json({ error: typeError });
+        }
+        updates.progress_percentage = calculateKeyResultProgress(basis);
+      }
+
+      const { data: keyResult, error } = await supabase
+        .from('key_results')
+        .update(updates)
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await recordRevisions({
+        objectiveId: id,
+        keyResultId: keyResult.id,
+        changes: diffFields(existing, keyResult, KEY_RESULT_TRACKED_FIELDS),
+        userId: req.user.id
+      });
+
+      if (revision.field === 'current_value') {
+        await logKeyResultProgress(keyResult, existing.current_value || 0, keyResult.current_value, req.user.id, 'Reverted to an earlier value');
+      }
+
+      await calculateObjectiveProgress(id);
+
+      return res.json(keyResult);
+    }
+
+    const updates = { [revision.field]: revision.old_value, updated_at: now };
+    if (revision.field === 'custom_fields') {
+      const customFields = await validateCustomFields(revision.old_value || {}, objective.organization_id, 'objective');
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid custom fields', details: customFields.errors });
+      }
+      updates.custom_fields = customFields.values;
+    }
+
+    if (revision.field === 'check_in_cadence') {
+      const cadenceError = validateCheckInCadence(revision.old_value);
+      if (cadenceError) {
+        return res.status(400).json({ error: cadenceError });
+      }
+    }
+
+    if (revision.field === 'recurrence' || (revision.field === 'due_date' && objective.recurrence)) {
+      const finalRecurrence = revision.field === 'recurrence' ? revision.old_value : objective.recurrence;
+      const recurrenceError = validateRecurrence(finalRecurrence, revision.field === 'due_date' ? revision.old_value : objective.due_date);
+      if (recurrenceError) {
+        return res.status(400).json({ error: recurrenceError });
+      }
+      // A newly recurring objective starts its own series
+      if (finalRecurrence && !objective.recurrence_series_id) {
+        updates.recurrence_series_id = objective.id;
+      }
+    }
+
+    let viewers = null;
+    if (revision.field === 'visibility') {
+      const visibilityError = validateVisibility(revision.old_value);
+      if (visibilityError) {
+        return res.status(400).json({ error: visibilityError });
+      }
+      viewers = await validateViewerIds(req.body?.viewer_ids ?? [], objective.organization_id);
+      if (viewers.error) {
+        return res.status(400).json({ error: viewers.error });
+      }
+    }
+
+    if (revision.field === 'parent_objective_id' && revision.old_value &&
+        await wouldCreateHierarchyCycle(id, revision.old_value)) {
+      return res.status(400).json({ error: 'An objective cannot be nested under itself or one of its children' });
+    }
+
+    if (revision.field === 'cycle_id' && revision.old_value) {
+      const cycleError = await validateObjectiveCycle(revision.old_value, objective.organization_id);
+      if (cycleError) {
+        return res.status(400).json({ error: cycleError });
+      }
+    }
+
+    // Objectives without key results or children track progress from their own values, as PATCH /progress does
+    const valueReverted = revision.field === 'current_value' || revision.field === 'target_value';
+    if (valueReverted) {
+      const basis = { ...objective, ...updates };
+      const targetValue = basis.target_value || 100;
+      updates.progress_percentage = targetValue > 0 ? ((basis.current_value || 0) / targetValue) * 100 : 0;
+    }
+
+    if (revision.field === 'status') {
+      const approvalError = approvalStatusChangeError(objective.status, revision.old_value);
+      if (approvalError) {
+        return res.status(409).json({ error: approvalError });
+      }
+      updates.completed_at = revision.old_value === 'Completed' ? now : null;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('objectives')
+      .update(updates)
       .eq('id', id)
+      .select()
       .single();
-    
-    if (fetchError) throw fetchError;
-    
-    // Format response
-    const formattedComment = {
-      ...commentWithUser,
-      user_name: commentWithUser.users?.name || 'System',
-      user_email: commentWithUser.users?.email || ''
-    };
-    delete formattedComment.users; // Remove nested users object
-    
-    // Create notifications
-    if (objective) {
-      // Notify mentioned users
-      const mentions = await parseMentions(content);
-      if (mentions.length > 0) {
-        const mentionedUserIds = await getUserIdsFromMentions(mentions);
-        for (const mentionedUserId of mentionedUserIds) {
-          if (mentionedUserId !== user_id) {
-            await createNotification(
-              mentionedUserId,
-              'mention',
-              `You were mentioned in a comment`,
-              `${commenterName} mentioned you in a comment on "${objective.title}"`,
-              objectiveId,
-              id
-            );
-          }
-        }
+
+    if (error) throw error;
+
+    // Explicit viewers only apply to restricted objectives and are cleared otherwise
+    if (viewers) {
+      await saveObjectiveViewers(updated.id, updated.visibility, viewers.ids);
+    }
+    updated.viewer_ids = updated.visibility === 'restricted'
+      ? await getObjectiveViewerIds(updated.id)
+      : [];
+
+    await recordRevisions({
+      objectiveId: id,
+      changes: diffFields(objective, updated, OBJECTIVE_TRACKED_FIELDS),
+      userId: req.user.id
+    });
+
+    await notifyDependentsOfSlip(objective, updated);
+
+    if (revision.field === 'parent_objective_id') {
+      if (objective.parent_objective_id) {
+        await calculateObjectiveProgress(objective.parent_objective_id);
+      }
+      if (updated.parent_objective_id) {
+        await calculateObjectiveProgress(updated.parent_objective_id);
       }
-      
-      // Notify objective owner and contributors (excluding commenter)
-      await notifyObjectiveStakeholders(
-        objectiveId,
-        'comment',
-        `New comment on "${objective.title}"`,
-        `${commenterName} commented on "${objective.title}"`,
-        user_id,
-        id
-      );
     }
-    
-    res.status(201).json(formattedComment);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
 
-// Progress updates endpoint
-app.get('/api/objectives/:id/progress-updates', async (req, res) => {
-  try {
-    const updates = await dbAll(
-      `SELECT pu.*, u.name as user_name, u.email as user_email 
-       FROM progress_updates pu 
-       JOIN users u ON pu.user_id = u.id 
-       WHERE pu.objective_id = ? 
-       ORDER BY pu.created_at DESC`,
-      [req.params.id]
-    );
-    res.json(updates);
+    if (valueReverted) {
+      // Rolled-up objectives recompute from their key results and children; either way the
+      // new progress moves up the ancestor chain
+      const [keyResults, { count: childCount, error: childError }] = await Promise.all([
+        dbAll('SELECT id FROM key_results WHERE objective_id = ?', [id]),
+        supabase
+          .from('objectives')
+          .select('id', { count: 'exact', head: true })
+          .eq('parent_objective_id', id)
+          .is('archived_at', null)
+          .is('deleted_at', null)
+      ]);
+      if (childError) throw childError;
+
+      if (keyResults.length > 0 || childCount > 0) {
+        await calculateObjectiveProgress(id);
+        Object.assign(updated, await dbGet('SELECT * FROM objectives WHERE id = ?', [id]));
+      } else if (updated.parent_objective_id) {
+        await calculateObjectiveProgress(updated.parent_objective_id);
+      }
+    }
+
+    updated.tags = Array.isArray(updated.tags) ? updated.tags : [];
+    res.json(updated);
   } catch (error) {
+    console.error('Revert revision error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -3028,7 +6671,9 @@ app.get('/api/objectives/subscribed', authenticate, requireOrganization, async (
       .from('objectives')
       .select('*')
       .in('id', objectiveIds)
-      .eq('organization_id', req.organizationId);
+      .eq('organization_id', req.organizationId)
+      .is('archived_at', null)
+      .is('deleted_at', null);
     
     // Apply filters if provided
     if (req.query.status) {
@@ -3057,34 +6702,48 @@ app.get('/api/objectives/subscribed', authenticate, requireOrganization, async (
   }
 });
 
-// Notifications endpoints
-app.get('/api/notifications', async (req, res) => {
+// Notifications endpoints (always the signed-in user's own notifications)
+app.get('/api/notifications', authenticate, async (req, res) => {
   try {
-    const userId = req.query.user_id;
-    if (!userId) {
-      return res.status(400).json({ error: 'user_id is required' });
+    const userId = req.user.id;
+
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
     }
-    
-    const limit = parseInt(req.query.limit) || 50;
+
     const unreadOnly = req.query.unread_only === 'true';
     
+    // Notifications about objectives the user has since lost access to are left out
+    // (see migrations/add_notification_visibility.sql), so pages and the total agree
     let query = supabase
       .from('notifications')
       .select('*, objectives(title)')
       .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
+      .eq('visible_to_recipient', true);
+    let countQuery = supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('visible_to_recipient', true);
     
     if (unreadOnly) {
       query = query.eq('read', false);
+      countQuery = countQuery.eq('read', false);
     }
     
-    const { data: notifications, error } = await query;
+    const [{ data: rows, error }, { count: total }] = await Promise.all([
+      applyCursor(query, { sortField: 'created_at', cursor: pagination.cursor, limit: pagination.limit }),
+      countQuery
+    ]);
     
     if (error) throw error;
-    
+
+    const { data: notifications, nextCursor } = buildPage(rows, { sortField: 'created_at', limit: pagination.limit });
+    setPaginationHeaders(res, { total, nextCursor });
+
     // Format notifications
-    const formattedNotifications = (notifications || []).map(n => ({
+    const formattedNotifications = notifications.map(n => ({
       ...n,
       objective_title: n.objectives?.title || null,
       objectives: undefined // Remove nested object
@@ -3096,18 +6755,16 @@ app.get('/api/notifications', async (req, res) => {
   }
 });
 
-app.get('/api/notifications/unread-count', async (req, res) => {
+app.get('/api/notifications/unread-count', authenticate, async (req, res) => {
   try {
-    const userId = req.query.user_id;
-    if (!userId) {
-      return res.status(400).json({ error: 'user_id is required' });
-    }
-    
+    const userId = req.user.id;
+
     const { count, error } = await supabase
       .from('notifications')
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId)
-      .eq('read', false);
+      .eq('read', false)
+      .eq('visible_to_recipient', true);
     
     if (error) throw error;
     
@@ -3117,16 +6774,21 @@ app.get('/api/notifications/unread-count', async (req, res) => {
   }
 });
 
-app.patch('/api/notifications/:id/read', async (req, res) => {
+app.patch('/api/notifications/:id/read', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const { error } = await supabase
+    const { data: updated, error } = await supabase
       .from('notifications')
       .update({ read: true })
-      .eq('id', id);
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
     
     if (error) throw error;
+    if (!updated || updated.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
     
     res.json({ message: 'Notification marked as read' });
   } catch (error) {
@@ -3134,13 +6796,10 @@ app.patch('/api/notifications/:id/read', async (req, res) => {
   }
 });
 
-app.patch('/api/notifications/mark-all-read', async (req, res) => {
+app.patch('/api/notifications/mark-all-read', authenticate, async (req, res) => {
   try {
-    const userId = req.body.user_id;
-    if (!userId) {
-      return res.status(400).json({ error: 'user_id is required' });
-    }
-    
+    const userId = req.user.id;
+
     const { error } = await supabase
       .from('notifications')
       .update({ read: true })
@@ -3155,16 +6814,21 @@ app.patch('/api/notifications/mark-all-read', async (req, res) => {
   }
 });
 
-app.delete('/api/notifications/:id', async (req, res) => {
+app.delete('/api/notifications/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('notifications')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
     
     if (error) throw error;
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
     
     res.json({ message: 'Notification deleted successfully' });
   } catch (error) {
@@ -3514,6 +7178,70 @@ app.delete('/api/invitations/:id', authenticate, requireAdminOrManager, requireO
   }
 });
 
+// Reminder settings for the current organization
+const REMINDER_DAY_FIELDS = { stale_after_days: 1, due_soon_days: 0, repeat_after_days: 1 };
+const REMINDER_FLAG_FIELDS = ['enabled', 'email_enabled', 'overdue_reminders'];
+
+app.get('/api/reminder-settings', authenticate, requireOrganization, async (req, res) => {
+  try {
+    const row = await dbGet('SELECT * FROM reminder_settings WHERE organization_id = ?', [req.organizationId]);
+    res.json({ organization_id: req.organizationId, ...withReminderDefaults(row) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/reminder-settings', authenticate, authorize('Admin'), requireOrganization, async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const [field, min] of Object.entries(REMINDER_DAY_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+      const value = Number(req.body[field]);
+      if (!Number.isInteger(value) || value < min) {
+        return res.status(400).json({ error: `${field} must be a whole number of at least ${min}` });
+      }
+      updates[field] = value;
+    }
+
+    for (const field of REMINDER_FLAG_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== 'boolean') {
+        return res.status(400).json({ error: `${field} must be true or false` });
+      }
+      updates[field] = req.body[field];
+    }
+
+    const existing = await dbGet('SELECT * FROM reminder_settings WHERE organization_id = ?', [req.organizationId]);
+
+    const { data: saved, error } = await supabase
+      .from('reminder_settings')
+      .upsert({
+        ...withReminderDefaults(existing),
+        ...updates,
+        organization_id: req.organizationId,
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ organization_id: req.organizationId, ...withReminderDefaults(saved) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scheduled job state (last run, status, next run)
+app.get('/api/jobs', authenticate, authorize('Admin'), requireOrganization, async (req, res) => {
+  try {
+    res.json(await listJobs());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Organization endpoints
 // Get user's organization
 app.get('/api/organizations', authenticate, requireOrganization, async (req, res) => {
@@ -3725,6 +7453,15 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
       );
       return res.status(404).json({ error: 'Objective not found' });
     }
+
+    const lockError = await getObjectiveLockError(objective);
+    if (lockError) {
+      await dbRun(
+        'UPDATE webhook_events SET processed = 1, error_message = ? WHERE id = ?',
+        [lockError, eventId]
+      );
+      return res.status(409).json({ error: lockError });
+    }
     
     // Apply field mapping
     const mappedData = applyFieldMapping(payload, webhookIntegration.field_mapping);
@@ -3741,13 +7478,35 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
       webhookComment = payload.note || payload.notes;
     }
     
-    // Update objective based on mapped data
+    // Webhooks linked to a key result update it using the key result's type and baseline;
+    // otherwise the objective itself is treated as an increase from 0
+    let keyResult = null;
+    if (webhookIntegration.key_result_id) {
+      keyResult = await dbGet('SELECT * FROM key_results WHERE id = ?', [webhookIntegration.key_result_id]);
+      if (!keyResult) {
+        await dbRun(
+          'UPDATE webhook_events SET processed = 1, error_message = ? WHERE id = ?',
+          ['Key result not found', eventId]
+        );
+        return res.status(404).json({ error: 'Key result not found' });
+      }
+    }
+    
+    const updateTarget = keyResult || objective;
+    const progressBasis = {
+      type: keyResult?.type || 'increase',
+      start_value: keyResult?.start_value || 0,
+      target_value: updateTarget.target_value
+    };
+    const hasTarget = (basis) => basis.type === 'boolean' || (basis.target_value !== null && basis.target_value !== undefined);
+    
+    // Update objective or key result based on mapped data
     const updates = {};
     // Track previous values for all fields that might change
     const previousValues = {
-      current_value: objective.current_value || 0,
-      target_value: objective.target_value || 0,
-      progress_percentage: objective.progress_percentage || 0
+      current_value: updateTarget.current_value || 0,
+      target_value: updateTarget.target_value || 0,
+      progress_percentage: updateTarget.progress_percentage || 0
     };
     
     let valueBefore = previousValues.current_value;
@@ -3757,8 +7516,8 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
       updates.progress_percentage = Math.max(0, Math.min(100, mappedData.progress_percentage));
       
       // If only progress_percentage is provided, calculate current_value from it
-      if (mappedData.current_value === undefined && objective.target_value > 0) {
-        const calculatedCurrent = (updates.progress_percentage / 100) * objective.target_value;
+      if (mappedData.current_value === undefined && hasTarget(progressBasis)) {
+        const calculatedCurrent = valueFromProgress(progressBasis, updates.progress_percentage);
         valueAfter = calculatedCurrent;
         updates.current_value = calculatedCurrent;
       }
@@ -3769,17 +7528,18 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
       updates.current_value = valueAfter;
       
       // Recalculate progress if target_value exists
-      if (objective.target_value > 0) {
-        updates.progress_percentage = Math.min(100, (valueAfter / objective.target_value) * 100);
+      if (hasTarget(progressBasis)) {
+        updates.progress_percentage = Math.min(100, calculateKeyResultProgress({ ...progressBasis, current_value: valueAfter }));
       }
     }
     
-    if (mappedData.target_value !== undefined) {
+    if (mappedData.target_value !== undefined && progressBasis.type !== 'boolean') {
       updates.target_value = mappedData.target_value;
       // Recalculate progress
-      const current = updates.current_value !== undefined ? updates.current_value : objective.current_value || 0;
-      if (mappedData.target_value > 0) {
-        updates.progress_percentage = Math.min(100, (current / mappedData.target_value) * 100);
+      const current = updates.current_value !== undefined ? updates.current_value : updateTarget.current_value || 0;
+      const newBasis = { ...progressBasis, target_value: mappedData.target_value };
+      if (hasTarget(newBasis)) {
+        updates.progress_percentage = Math.min(100, calculateKeyResultProgress({ ...newBasis, current_value: current }));
       }
     }
     
@@ -3789,9 +7549,9 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
       
       // Use Supabase client directly for UPDATE to avoid parsing issues
       const { error: updateError } = await supabase
-        .from('objectives')
+        .from(keyResult ? 'key_results' : 'objectives')
         .update(updates)
-        .eq('id', webhookIntegration.objective_id);
+        .eq('id', updateTarget.id);
       
       if (updateError) {
         throw updateError;
@@ -3805,6 +7565,7 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
           .insert({
             id: progressUpdateId,
             objective_id: webhookIntegration.objective_id,
+            key_result_id: keyResult?.id || null,
             user_id: null, // System update
             previous_value: valueBefore,
             new_value: valueAfter,
@@ -3846,7 +7607,7 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
       } else {
         // Default comment format with all changes
         if (changedFields.length > 0) {
-          commentContent = `Progress updated via webhook:\n${changedFields.join('\n')}`;
+          commentContent = `${keyResult ? `Key result "${keyResult.title}"` : 'Progress'} updated via webhook:\n${changedFields.join('\n')}`;
         } else {
           commentContent = `Progress updated via webhook: ${valueBefore} → ${valueAfter}${updates.progress_percentage !== undefined ? ` (${Math.round(updates.progress_percentage)}% complete)` : ''}`;
         }
@@ -3872,8 +7633,10 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
         // Don't fail the whole webhook if comment creation fails
       }
       
-      // Recalculate parent objective progress if applicable
-      if (objective.parent_objective_id) {
+      // Recalculate objective progress from its key results, or the parent's if the objective changed
+      if (keyResult) {
+        await calculateObjectiveProgress(objective.id);
+      } else if (objective.parent_objective_id) {
         await calculateObjectiveProgress(objective.parent_objective_id);
       }
     }
@@ -3917,6 +7680,7 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
       success: true, 
       message: 'Webhook processed successfully',
       objective_id: objective.id,
+      key_result_id: keyResult?.id || null,
       updates: updates
     });
   } catch (error) {
@@ -3957,11 +7721,18 @@ app.post('/api/webhooks/:webhook_id', async (req, res) => {
 // Create webhook integration
 app.post('/api/webhooks', async (req, res) => {
   try {
-    const { integration_id, objective_id, field_mapping, webhook_secret } = req.body;
+    const { integration_id, objective_id, key_result_id, field_mapping, webhook_secret } = req.body;
     
     if (!objective_id) {
       return res.status(400).json({ error: 'objective_id is required' });
     }
+
+    if (key_result_id) {
+      const keyResult = await dbGet('SELECT id, objective_id FROM key_results WHERE id = ?', [key_result_id]);
+      if (!keyResult || keyResult.objective_id !== objective_id) {
+        return res.status(400).json({ error: 'Key result does not belong to this objective' });
+      }
+    }
     
     const id = uuidv4();
     const secret = webhook_secret || crypto.randomBytes(32).toString('hex');
@@ -3972,9 +7743,9 @@ app.post('/api/webhooks', async (req, res) => {
     
     await dbRun(
       `INSERT INTO webhook_integrations 
-       (id, integration_id, objective_id, webhook_secret, field_mapping, status)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [id, integration_id || null, objective_id, secret, fieldMappingJson, 'active']
+       (id, integration_id, objective_id, key_result_id, webhook_secret, field_mapping, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, integration_id || null, objective_id, key_result_id || null, secret, fieldMappingJson, 'active']
     );
     
     const webhook = await dbGet('SELECT * FROM webhook_integrations WHERE id = ?', [id]);
@@ -4183,5 +7954,24 @@ app.get('/api/webhooks/:id/events', async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+
+  // Background jobs; state is kept in scheduled_jobs so restarts don't re-run them early
+  registerJob('purge-deleted-objectives', {
+    intervalMinutes: 24 * 60,
+    run: async () => ({ purged: await purgeDeletedObjectives() })
+  });
+  registerJob('overdue-blocking-objectives', {
+    intervalMinutes: 24 * 60,
+    run: async () => ({ blockers: await notifyOverdueBlockers() })
+  });
+  registerJob('recurring-objectives', {
+    intervalMinutes: 60,
+    run: async () => ({ created: await generateRecurringObjectives() })
+  });
+  registerJob('objective-reminders', {
+    intervalMinutes: 60,
+    run: () => sendObjectiveReminders()
+  });
+  startScheduler();
 });
 
@@ -0,0 +1,91 @@
+// Approval workflow for team-level objectives
+//
+//   Draft -> Pending Approval -> Active (approved)
+//                            \-> Rejected -> Pending Approval (resubmitted)
+//
+// Objectives in a department with a manager start as drafts and are approved by
+// that manager (or an admin). Unapproved objectives stay out of dashboards.
+
+import { quoteFilterValue } from './pagination.js';
+
+export const DRAFT_STATUS = 'Draft';
+export const PENDING_APPROVAL_STATUS = 'Pending Approval';
+export const REJECTED_STATUS = 'Rejected';
+export const APPROVED_STATUS = 'Active';
+
+export const UNAPPROVED_STATUSES = [DRAFT_STATUS, PENDING_APPROVAL_STATUS, REJECTED_STATUS];
+
+// Workflow actions with the statuses they start from and lead to
+export const APPROVAL_TRANSITIONS = {
+  submit: { from: [DRAFT_STATUS, REJECTED_STATUS], to: PENDING_APPROVAL_STATUS },
+  approve: { from: [PENDING_APPROVAL_STATUS], to: APPROVED_STATUS },
+  reject: { from: [PENDING_APPROVAL_STATUS], to: REJECTED_STATUS }
+};
+
+/**
+ * Check whether an objective is still going through approval
+ * @param {string} status - Objective status
+ * @returns {boolean} True for drafts, pending and rejected objectives
+ */
+export function isUnapproved(status) {
+  return UNAPPROVED_STATUSES.includes(status);
+}
+
+/**
+ * Check whether a workflow action can be taken from the current status
+ * @param {string} action - Key of APPROVAL_TRANSITIONS
+ * @param {string} status - Current objective status
+ * @returns {string|null} Error message, or null if the transition is allowed
+ */
+export function validateApprovalTransition(action, status) {
+  const transition = APPROVAL_TRANSITIONS[action];
+  if (!transition.from.includes(status)) {
+    return `Cannot ${action} an objective that is ${status || 'unset'}; it must be ${transition.from.join(' or ')}`;
+  }
+  return null;
+}
+
+/**
+ * Reject direct status edits that would skip the approval workflow
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {string|null} Error message, or null if the edit is allowed
+ */
+export function approvalStatusChangeError(fromStatus, toStatus) {
+  if (toStatus === undefined || toStatus === fromStatus) return null;
+  if (isUnapproved(fromStatus) || isUnapproved(toStatus)) {
+    return `${UNAPPROVED_STATUSES.join(', ')} objectives change status through the submit, approve and reject endpoints`;
+  }
+  return null;
+}
+
+/**
+ * Decide the approval state of a new objective
+ * Team-level objectives start as drafts for the department manager to approve;
+ * the manager's and admins' own objectives count as approved on creation.
+ * @param {string} status - Requested status
+ * @param {string|null} departmentManagerId - Manager of the objective's department
+ * @param {Object} user - req.user of the creator
+ * @returns {Object} { status, approved_at, approved_by }, or { error }
+ */
+export function initialApproval(status, departmentManagerId, user) {
+  if (isUnapproved(status) && status !== DRAFT_STATUS) {
+    return { error: 'New objectives can start as Draft but are submitted for approval separately' };
+  }
+  if (departmentManagerId && departmentManagerId !== user.id && user.role !== 'Admin') {
+    return { status: DRAFT_STATUS, approved_at: null, approved_by: null };
+  }
+  if (departmentManagerId && status !== DRAFT_STATUS) {
+    return { status, approved_at: new Date().toISOString(), approved_by: user.id };
+  }
+  return { status, approved_at: null, approved_by: null };
+}
+
+/**
+ * Leave unapproved objectives out of a Supabase query on objectives
+ * @param {Object} queryBuilder - Supabase query builder
+ * @returns {Object} Query builder
+ */
+export function excludeUnapproved(queryBuilder) {
+  return queryBuilder.not('status', 'in', `(${UNAPPROVED_STATUSES.map(quoteFilterValue).join(',')})`);
+}
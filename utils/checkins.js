@@ -0,0 +1,53 @@
+// Check-in cadence helpers for structured objective check-ins
+
+// Supported cadences and the number of days each allows between check-ins
+export const CHECK_IN_CADENCES = {
+  weekly: 7,
+  biweekly: 14,
+  monthly: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a check-in cadence; null clears the cadence
+ * @param {string|null} cadence - Cadence name
+ * @returns {string|null} Error message, or null if the cadence is valid
+ */
+export function validateCheckInCadence(cadence) {
+  if (cadence === null || cadence === '') return null;
+  if (!Object.prototype.hasOwnProperty.call(CHECK_IN_CADENCES, cadence)) {
+    return `Check-in cadence must be one of: ${Object.keys(CHECK_IN_CADENCES).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Work out when an objective's next check-in is expected
+ * Objectives that have never checked in are due one cadence after they were created
+ * @param {Object} objective - Objective with check_in_cadence and created_at
+ * @param {string|null} lastCheckInAt - Timestamp of the latest check-in
+ * @param {Object} options - { now }
+ * @returns {Object} { cadence, last_check_in_at, next_check_in_due, overdue, days_overdue }
+ */
+export function checkInSchedule(objective, lastCheckInAt = null, { now = Date.now() } = {}) {
+  const cadence = objective.check_in_cadence || null;
+  const schedule = {
+    cadence,
+    last_check_in_at: lastCheckInAt,
+    next_check_in_due: null,
+    overdue: false,
+    days_overdue: 0
+  };
+
+  const days = cadence ? CHECK_IN_CADENCES[cadence] : null;
+  const from = new Date(lastCheckInAt || objective.created_at).getTime();
+  if (!days || Number.isNaN(from)) return schedule;
+
+  const due = from + days * DAY_MS;
+  schedule.next_check_in_due = new Date(due).toISOString();
+  schedule.overdue = now > due;
+  schedule.days_overdue = schedule.overdue ? Math.floor((now - due) / DAY_MS) : 0;
+
+  return schedule;
+}
@@ -0,0 +1,68 @@
+// Optimistic concurrency helpers: row versions exposed as ETags and checked via If-Match
+
+/**
+ * Format a row version as a strong ETag
+ * @param {number} version - Row version
+ * @returns {string} ETag header value, e.g. "7"
+ */
+export function formatETag(version) {
+  return `"${version ?? 1}"`;
+}
+
+/**
+ * Read the version a client expects from its If-Match header
+ * Accepts "7", W/"7" and lists of them; "*" matches any version
+ * @param {Object} req - Express request
+ * @returns {Object|null} { any, versions }, or null if the header is absent
+ */
+export function parseIfMatch(req) {
+  const header = req.get('If-Match');
+  if (!header) return null;
+
+  if (header.trim() === '*') {
+    return { any: true, versions: [] };
+  }
+
+  const versions = header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+    .map(Number)
+    .filter(Number.isInteger);
+
+  return { any: false, versions };
+}
+
+/**
+ * Work out which version an update must apply to
+ * @param {Object} req - Express request
+ * @param {Object} current - Current row with its version
+ * @returns {Object} { stale, expectedVersion } - expectedVersion is null when the client sent no precondition
+ */
+export function checkIfMatch(req, current) {
+  const ifMatch = parseIfMatch(req);
+  if (!ifMatch || ifMatch.any) {
+    return { stale: false, expectedVersion: null };
+  }
+
+  const currentVersion = current.version ?? 1;
+  if (!ifMatch.versions.includes(currentVersion)) {
+    return { stale: true, expectedVersion: null };
+  }
+
+  return { stale: false, expectedVersion: currentVersion };
+}
+
+/**
+ * Reject a stale write with 409 and the current server state
+ * @param {Object} res - Express response
+ * @param {string} resource - Resource name for the message, e.g. 'Objective'
+ * @param {Object} current - Current row
+ */
+export function sendVersionConflict(res, resource, current) {
+  res.set('ETag', formatETag(current.version));
+  res.status(409).json({
+    error: `${resource} was changed by someone else. Reload it and try again.`,
+    current_version: current.version ?? 1,
+    current
+  });
+}
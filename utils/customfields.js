@@ -0,0 +1,243 @@
+// Organization-defined custom fields on objectives and key results
+//
+// Definitions live in custom_field_definitions; values are stored in the
+// custom_fields JSONB column of each objective or key result, keyed by the
+// definition's key. Filters use the cf query parameter:
+//
+//   cf[budget_code]=BC-12            exact match (text, single select, user)
+//   cf[segment]=smb,enterprise       any of several values
+//   cf[regions]=emea                 multi select containing a value (any of several with commas)
+//   cf[budget][gte]=10000            comparison (number, date), op is one of gt, gte, lt, lte
+
+import { parseList } from './filters.js';
+import { quoteFilterValue } from './pagination.js';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'single_select', 'multi_select', 'user'];
+export const CUSTOM_FIELD_ENTITIES = ['objective', 'key_result'];
+
+const SELECT_TYPES = ['single_select', 'multi_select'];
+const RANGE_TYPES = ['number', 'date'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_TEXT_LENGTH = 2000;
+
+// Calendar dates only; the round trip rejects rolled-over dates such as 2026-02-30
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+/**
+ * Validate a custom field definition
+ * @param {Object} definition - { key, label, entity_type, field_type, options, required }
+ * @param {Object} options - { partial } - partial validates only the fields present (updates)
+ * @returns {string|null} Error message, or null if the definition is valid
+ */
+export function validateFieldDefinition(definition, { partial = false } = {}) {
+  const has = (field) => !partial || definition[field] !== undefined;
+
+  if (has('key') && (typeof definition.key !== 'string' || !KEY_PATTERN.test(definition.key))) {
+    return 'Key must start with a lowercase letter and contain only lowercase letters, digits and underscores (max 50)';
+  }
+  if (has('label') && (typeof definition.label !== 'string' || definition.label.trim() === '')) {
+    return 'Label is required';
+  }
+  if (has('entity_type') && !CUSTOM_FIELD_ENTITIES.includes(definition.entity_type)) {
+    return `Entity type must be one of: ${CUSTOM_FIELD_ENTITIES.join(', ')}`;
+  }
+  if (has('field_type') && !CUSTOM_FIELD_TYPES.includes(definition.field_type)) {
+    return `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`;
+  }
+  if (definition.required !== undefined && typeof definition.required !== 'boolean') {
+    return 'Required must be true or false';
+  }
+
+  const options = definition.options;
+  if (SELECT_TYPES.includes(definition.field_type)) {
+    if (has('options') && (!Array.isArray(options) || options.length === 0 ||
+        options.some(option => typeof option !== 'string' || option.trim() === ''))) {
+      return 'Select fields need a non-empty list of options';
+    }
+    if (Array.isArray(options) && new Set(options).size !== options.length) {
+      return 'Options must be unique';
+    }
+  } else if (options !== undefined && options !== null && !(Array.isArray(options) && options.length === 0)) {
+    return 'Only select fields have options';
+  }
+
+  return null;
+}
+
+function validateValue(definition, value, orgUserIds) {
+  switch (definition.field_type) {
+    case 'text':
+      if (typeof value !== 'string') return { error: 'must be text' };
+      if (value.length > MAX_TEXT_LENGTH) return { error: `must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { value };
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+      return { value: number };
+    }
+    case 'date':
+      if (!isDate(value)) return { error: 'must be a date (YYYY-MM-DD)' };
+      return { value };
+    case 'single_select':
+      if (!(definition.options || []).includes(value)) {
+        return { error: `must be one of: ${(definition.options || []).join(', ')}` };
+      }
+      return { value };
+    case 'multi_select': {
+      if (!Array.isArray(value)) return { error: 'must be a list of options' };
+      const invalid = value.filter(option => !(definition.options || []).includes(option));
+      if (invalid.length > 0) return { error: `has unknown options: ${invalid.join(', ')}` };
+      return { value: [...new Set(value)] };
+    }
+    case 'user':
+      if (typeof value !== 'string' || !orgUserIds.has(value)) return { error: 'must be a user in the organization' };
+      return { value };
+    default:
+      return { error: 'has an unknown field type' };
+  }
+}
+
+/**
+ * User IDs referenced by user fields, so callers can check they belong to the organization
+ * @param {Object} values - Submitted custom field values
+ * @param {Array<Object>} definitions - Definitions for the entity type
+ * @returns {Array<string>} User IDs
+ */
+export function referencedUserIds(values, definitions) {
+  if (!values || typeof values !== 'object') return [];
+  return definitions
+    .filter(definition => definition.field_type === 'user' && typeof values[definition.key] === 'string')
+    .map(definition => values[definition.key]);
+}
+
+/**
+ * Validate submitted custom field values and merge them over the stored ones
+ * A null or empty value removes the field.
+ * @param {Object} values - Submitted values keyed by field key
+ * @param {Array<Object>} definitions - Definitions for the entity type
+ * @param {Object} options - { existing, orgUserIds } - existing are the stored values
+ * @returns {Object} { values, errors } - errors is a list of { field, error }
+ */
+export function validateCustomFieldValues(values, definitions, { existing = {}, orgUserIds = new Set() } = {}) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: existing, errors: [{ field: null, error: 'custom_fields must be an object keyed by field key' }] };
+  }
+
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+  const merged = { ...(existing || {}) };
+  const errors = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push({ field: key, error: `Unknown custom field "${key}"` });
+      return;
+    }
+
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete merged[key];
+      return;
+    }
+
+    const result = validateValue(definition, value, orgUserIds);
+    if (result.error) {
+      errors.push({ field: key, error: `${definition.label} ${result.error}` });
+    } else {
+      merged[key] = result.value;
+    }
+  });
+
+  definitions
+    .filter(definition => definition.required && merged[definition.key] === undefined)
+    .forEach(definition => {
+      if (!errors.some(e => e.field === definition.key)) {
+        errors.push({ field: definition.key, error: `${definition.label} is required` });
+      }
+    });
+
+  return { values: merged, errors };
+}
+
+/**
+ * Parse cf[...] filters against the organization's definitions
+ * @param {Object} query - Express req.query
+ * @param {Array<Object>} definitions - Objective field definitions
+ * @returns {Object} { filters, error } - filters is a list of { definition, op, value }
+ */
+export function parseCustomFieldFilters(query, definitions) {
+  const filters = [];
+  if (query.cf === undefined) return { filters };
+  if (!query.cf || typeof query.cf !== 'object' || Array.isArray(query.cf)) {
+    return { error: 'Custom field filters use cf[field_key]=value' };
+  }
+
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  for (const [key, raw] of Object.entries(query.cf)) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      return { error: `Unknown custom field: ${key}` };
+    }
+
+    if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+      if (!RANGE_TYPES.includes(definition.field_type)) {
+        return { error: `Custom field ${key} does not support comparisons` };
+      }
+      for (const [op, opValue] of Object.entries(raw)) {
+        if (!RANGE_OPERATORS.includes(op)) {
+          return { error: `Invalid operator for ${key}: ${op}. Allowed: ${RANGE_OPERATORS.join(', ')}` };
+        }
+        const value = definition.field_type === 'number' ? Number(opValue) : opValue;
+        if (definition.field_type === 'number' ? (opValue === '' || !Number.isFinite(value)) : !isDate(value)) {
+          return { error: `Invalid ${definition.field_type} for cf[${key}][${op}]: ${opValue}` };
+        }
+        filters.push({ definition, op, value });
+      }
+      continue;
+    }
+
+    const values = parseList(raw);
+    if (values.length === 0) continue;
+    if (definition.field_type === 'number' && values.some(value => !Number.isFinite(Number(value)))) {
+      return { error: `Invalid number for cf[${key}]` };
+    }
+
+    if (definition.field_type === 'multi_select') {
+      filters.push({ definition, op: 'contains_any', value: values });
+    } else {
+      filters.push({ definition, op: values.length === 1 ? 'eq' : 'in', value: values.length === 1 ? values[0] : values });
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * Apply parsed custom field filters to a Supabase query
+ * @param {Object} queryBuilder - Supabase query builder on objectives or key_results
+ * @param {Array<Object>} filters - Filters from parseCustomFieldFilters
+ * @returns {Object} Query builder
+ */
+export function applyCustomFieldFilters(queryBuilder, filters) {
+  filters.forEach(({ definition, op, value }) => {
+    const { key, field_type: type } = definition;
+
+    if (op === 'contains_any') {
+      queryBuilder = queryBuilder.or(
+        value.map(option => `custom_fields.cs.${quoteFilterValue(JSON.stringify({ [key]: [option] }))}`).join(',')
+      );
+    } else if (type === 'number') {
+      // JSON path comparison keeps numbers numeric; text extraction would compare '9' > '10'
+      const path = `custom_fields->${key}`;
+      queryBuilder = op === 'in'
+        ? queryBuilder.in(path, value.map(Number))
+        : queryBuilder[op](path, Number(value));
+    } else {
+      queryBuilder = queryBuilder[op](`custom_fields->>${key}`, value);
+    }
+  });
+
+  return queryBuilder;
+}
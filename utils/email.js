@@ -7,6 +7,14 @@ const resend = new Resend(process.env.RESEND_API_KEY);
 // Get the from email address (defaults to noreply@yourdomain.com if not set)
 const FROM_EMAIL = process.env.FROM_EMAIL || 'onboarding@resend.dev';
 
+// Escape user-provided text (names, objective titles) for an HTML email body
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Send an email using Resend
  * @param {Object} options - Email options
@@ -271,3 +279,55 @@ export async function sendPasswordResetEmail(email, name, token, baseUrl) {
   });
 }
 
+
+/**
+ * Send a digest of objective reminders (stale objectives, key results due soon, overdue objectives)
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {Array<Object>} reminders - Reminders as { title, message, objectiveId }
+ * @param {string} baseUrl - Application base URL
+ */
+export async function sendReminderEmail(email, name, reminders, baseUrl) {
+  const items = reminders.map(reminder => ({
+    ...reminder,
+    url: `${baseUrl}/objectives/${reminder.objectiveId}`
+  }));
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Objectives Needing Your Attention</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #4F46E5;">Objectives Needing Your Attention</h1>
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Here's what needs an update:</p>
+        <ul style="padding-left: 20px;">
+          ${items.map(item => `<li style="margin-bottom: 12px;"><a href="${escapeHtml(item.url)}" style="color: #4F46E5;"><strong>${escapeHtml(item.title)}</strong></a><br>${escapeHtml(item.message)}</li>`).join('')}
+        </ul>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${baseUrl}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Open Objectives</a>
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+    Hi ${name},
+    
+    Here's what needs an update:
+    
+    ${items.map(item => `- ${item.title}: ${item.message} (${item.url})`).join('\n    ')}
+  `;
+
+  await sendEmail({
+    to: email,
+    subject: `${reminders.length} objective reminder${reminders.length === 1 ? '' : 's'}`,
+    html,
+    text
+  });
+}
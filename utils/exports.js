@@ -0,0 +1,121 @@
+// Spreadsheet export of objectives, key results and progress updates
+//
+// An export has one sheet per entity. Owners, departments, cycles, parents and
+// authors are written as names next to their IDs. Custom fields get a column
+// each, headed cf:<key> (objectives) and kr_cf:<key> (key results) like the import.
+
+export const EXPORT_SHEETS = ['objectives', 'key_results', 'progress_updates'];
+
+const SHEET_NAMES = {
+  objectives: 'Objectives',
+  key_results: 'Key Results',
+  progress_updates: 'Progress Updates'
+};
+
+const OBJECTIVE_COLUMNS = [
+  'id', 'title', 'description', 'status', 'priority', 'owner_name', 'owner_email', 'department', 'cycle',
+  'parent_id', 'parent', 'start_date', 'due_date', 'target_value', 'current_value', 'progress_percentage',
+  'confidence_status', 'confidence_score', 'final_score', 'visibility', 'tags',
+  'created_at', 'updated_at', 'completed_at', 'archived_at'
+];
+
+const KEY_RESULT_COLUMNS = [
+  'id', 'objective_id', 'objective', 'title', 'description', 'type', 'start_value', 'target_value',
+  'current_value', 'progress_percentage', 'unit', 'weight', 'status', 'due_date',
+  'confidence_status', 'confidence_score', 'final_score', 'created_at', 'updated_at'
+];
+
+const PROGRESS_UPDATE_COLUMNS = [
+  'id', 'created_at', 'objective_id', 'objective', 'key_result_id', 'key_result',
+  'user_name', 'user_email', 'previous_value', 'new_value', 'notes'
+];
+
+const joinList = (values) => (Array.isArray(values) ? values.join('; ') : null);
+
+// Custom field values as a person would type them: option lists joined, users as emails
+function customFieldCell(definition, value, usersById) {
+  if (value === undefined || value === null) return null;
+  if (definition.field_type === 'multi_select') return joinList(value);
+  if (definition.field_type === 'user') return usersById.get(value)?.email || value;
+  return value;
+}
+
+/**
+ * Lay out exported rows as sheets
+ * @param {Object} data - { objectives, keyResults, progressUpdates } rows; omit an entity to leave its sheet out
+ * @param {Object} lookups - { users, departments, cycles, parents, definitions } for the organization;
+ *   parents are objectives outside the export that exported objectives point to
+ * @returns {Array<Object>} Sheets of { key, name, headers, rows }
+ */
+export function buildExportSheets({ objectives = [], keyResults, progressUpdates }, lookups) {
+  const usersById = new Map(lookups.users.map(u => [u.id, u]));
+  const departmentsById = new Map(lookups.departments.map(d => [d.id, d]));
+  const cyclesById = new Map(lookups.cycles.map(c => [c.id, c]));
+  const objectivesById = new Map([...(lookups.parents || []), ...objectives].map(o => [o.id, o]));
+  const keyResultsById = new Map((keyResults || []).map(kr => [kr.id, kr]));
+  const objectiveFields = lookups.definitions.objective;
+  const keyResultFields = lookups.definitions.key_result;
+  const sheets = [];
+
+  sheets.push({
+    key: 'objectives',
+    name: SHEET_NAMES.objectives,
+    headers: [...OBJECTIVE_COLUMNS, ...objectiveFields.map(definition => `cf:${definition.key}`)],
+    rows: objectives.map(objective => {
+      const owner = usersById.get(objective.owner_id);
+      const cells = {
+        ...objective,
+        owner_name: owner?.name || null,
+        owner_email: owner?.email || null,
+        department: departmentsById.get(objective.department_id)?.name || null,
+        cycle: cyclesById.get(objective.cycle_id)?.name || null,
+        parent_id: objective.parent_objective_id,
+        parent: objectivesById.get(objective.parent_objective_id)?.title || null,
+        tags: joinList(objective.tags)
+      };
+      return [
+        ...OBJECTIVE_COLUMNS.map(column => cells[column] ?? null),
+        ...objectiveFields.map(definition => customFieldCell(definition, objective.custom_fields?.[definition.key], usersById))
+      ];
+    })
+  });
+
+  if (keyResults) {
+    sheets.push({
+      key: 'key_results',
+      name: SHEET_NAMES.key_results,
+      headers: [...KEY_RESULT_COLUMNS, ...keyResultFields.map(definition => `kr_cf:${definition.key}`)],
+      rows: keyResults.map(keyResult => {
+        const cells = {
+          ...keyResult,
+          objective: objectivesById.get(keyResult.objective_id)?.title || null
+        };
+        return [
+          ...KEY_RESULT_COLUMNS.map(column => cells[column] ?? null),
+          ...keyResultFields.map(definition => customFieldCell(definition, keyResult.custom_fields?.[definition.key], usersById))
+        ];
+      })
+    });
+  }
+
+  if (progressUpdates) {
+    sheets.push({
+      key: 'progress_updates',
+      name: SHEET_NAMES.progress_updates,
+      headers: PROGRESS_UPDATE_COLUMNS,
+      rows: progressUpdates.map(update => {
+        const user = usersById.get(update.user_id);
+        const cells = {
+          ...update,
+          objective: objectivesById.get(update.objective_id)?.title || null,
+          key_result: keyResultsById.get(update.key_result_id)?.title || null,
+          user_name: user?.name || (update.user_id ? null : 'System'),
+          user_email: user?.email || null
+        };
+        return PROGRESS_UPDATE_COLUMNS.map(column => cells[column] ?? null);
+      })
+    });
+  }
+
+  return sheets;
+}
@@ -0,0 +1,133 @@
+// Filter grammar for objective listings
+//
+//   field=value            exact match
+//   field=a,b              any of several values (also field=a&field=b)
+//   field[op]=value        comparison, op is one of gt, gte, lt, lte
+//   tags=a,b&tags_mode=any objectives tagged a OR b (default); tags_mode=all for a AND b
+//
+// Examples:
+//   ?priority=High,Critical&due_date[lt]=2026-11-30&progress_percentage[lt]=40
+//   ?tags=growth,retention&owner_department_id=<sales department id>
+
+import { quoteFilterValue } from './pagination.js';
+
+// Fields that accept one or more exact values
+export const MULTI_VALUE_FIELDS = ['status', 'priority', 'owner_id', 'department_id', 'cycle_id'];
+
+// Fields that accept range comparisons, with the type of value they take
+export const RANGE_FIELDS = {
+  due_date: 'date',
+  start_date: 'date',
+  created_at: 'date',
+  updated_at: 'date',
+  progress_percentage: 'number'
+};
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Split a query value into a list, accepting repeated params and comma-separated values
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} Non-empty values
+ */
+export function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => (typeof v === 'string' ? v.split(',') : []))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function parseRangeValue(raw, type) {
+  if (type === 'number') {
+    const number = Number(raw);
+    return raw !== '' && Number.isFinite(number) ? number : undefined;
+  }
+  return isNaN(Date.parse(raw)) ? undefined : raw;
+}
+
+/**
+ * Parse the objective filter grammar from a query string object
+ * @param {Object} query - Express req.query
+ * @returns {Object} { filters, error } - filters is a list of { field, op, value }
+ */
+export function parseObjectiveFilters(query) {
+  const filters = [];
+
+  for (const field of MULTI_VALUE_FIELDS) {
+    if (query[field] === undefined) continue;
+    const values = parseList(query[field]);
+    if (values.length === 1) {
+      filters.push({ field, op: 'eq', value: values[0] });
+    } else if (values.length > 1) {
+      filters.push({ field, op: 'in', value: values });
+    }
+  }
+
+  for (const [field, type] of Object.entries(RANGE_FIELDS)) {
+    const raw = query[field];
+    if (raw === undefined) continue;
+
+    if (typeof raw === 'string') {
+      const value = parseRangeValue(raw, type);
+      if (value === undefined) {
+        return { error: `Invalid ${type} for ${field}: ${raw}` };
+      }
+      filters.push({ field, op: 'eq', value });
+      continue;
+    }
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      return { error: `Invalid filter for ${field}` };
+    }
+
+    for (const [op, opValue] of Object.entries(raw)) {
+      if (!RANGE_OPERATORS.includes(op)) {
+        return { error: `Invalid operator for ${field}: ${op}. Allowed: ${RANGE_OPERATORS.join(', ')}` };
+      }
+      const value = parseRangeValue(opValue, type);
+      if (value === undefined) {
+        return { error: `Invalid ${type} for ${field}[${op}]: ${opValue}` };
+      }
+      filters.push({ field, op, value });
+    }
+  }
+
+  if (query.tags !== undefined) {
+    const tags = parseList(query.tags);
+    const mode = query.tags_mode || 'any';
+    if (!['any', 'all'].includes(mode)) {
+      return { error: 'tags_mode must be "any" or "all"' };
+    }
+    if (tags.length > 0) {
+      filters.push({ field: 'tags', op: mode === 'all' ? 'contains' : 'overlaps', value: tags });
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * Apply parsed objective filters to a Supabase query
+ * @param {Object} queryBuilder - Supabase query builder on objectives
+ * @param {Array<Object>} filters - Filters from parseObjectiveFilters
+ * @returns {Object} Query builder
+ */
+export function applyObjectiveFilters(queryBuilder, filters) {
+  filters.forEach(({ field, op, value }) => {
+    if (op === 'in') {
+      queryBuilder = queryBuilder.in(field, value);
+    } else if (op === 'contains') {
+      queryBuilder = queryBuilder.contains(field, value);
+    } else if (op === 'overlaps') {
+      // JSONB has no overlap operator in PostgREST, so OR together single-tag containment
+      queryBuilder = queryBuilder.or(
+        value.map(tag => `${field}.cs.${quoteFilterValue(JSON.stringify([tag]))}`).join(',')
+      );
+    } else {
+      queryBuilder = queryBuilder[op](field, value);
+    }
+  });
+
+  return queryBuilder;
+}
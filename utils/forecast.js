@@ -0,0 +1,223 @@
+// Progress forecasting from the progress_updates time series
+//
+// Forecasts work in progress-percentage space so increase, decrease, boolean and
+// milestone key results are projected the same way. The trend is a least-squares
+// fit of progress over time, projected forward from the latest observed value.
+
+import { calculateKeyResultProgress, valueFromProgress, getKeyResultWeight } from './progress.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fewer points than this cannot describe a trajectory
+export const MIN_FORECAST_POINTS = 2;
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const toDateString = (time) => new Date(time).toISOString().split('T')[0];
+
+/**
+ * Fit a least-squares line through progress points
+ * @param {Array<Object>} points - Points as { time, progress }
+ * @returns {number|null} Progress change per day, or null if every point shares one timestamp
+ */
+export function progressRatePerDay(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.time, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.progress, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  points.forEach(p => {
+    numerator += (p.time - meanX) * (p.progress - meanY);
+    denominator += (p.time - meanX) ** 2;
+  });
+
+  return denominator === 0 ? null : (numerator / denominator) * DAY_MS;
+}
+
+/**
+ * Project a progress series to its due date and completion date
+ * @param {Array<Object>} points - Points as { time, progress }, in any order
+ * @param {Object} options - { dueDate, now }
+ * @returns {Object} Forecast in progress-percentage space
+ */
+export function forecastProgress(points, { dueDate = null, now = Date.now() } = {}) {
+  const series = points
+    .filter(p => p.time !== null && Number.isFinite(p.progress))
+    .sort((a, b) => a.time - b.time);
+
+  const dueTime = toTime(dueDate);
+  const latest = series[series.length - 1] || null;
+  const forecast = {
+    data_points: series.length,
+    current_progress: latest ? latest.progress : null,
+    rate_per_day: null,
+    projected_progress_at_due: null,
+    projected_completion_date: null,
+    will_meet_target: null,
+    off_track: false,
+    status: 'insufficient_data'
+  };
+
+  if (latest && latest.progress >= 100) {
+    return {
+      ...forecast,
+      projected_progress_at_due: latest.progress,
+      projected_completion_date: toDateString(latest.time),
+      will_meet_target: true,
+      status: 'completed'
+    };
+  }
+
+  const rate = series.length >= MIN_FORECAST_POINTS ? progressRatePerDay(series) : null;
+  if (rate === null) {
+    return forecast;
+  }
+
+  forecast.rate_per_day = rate;
+
+  // Project from the latest value rather than the fitted line so the forecast never contradicts reality
+  if (rate > 0) {
+    forecast.projected_completion_date = toDateString(latest.time + ((100 - latest.progress) / rate) * DAY_MS);
+  }
+
+  if (dueTime === null) {
+    forecast.status = 'no_due_date';
+    return forecast;
+  }
+
+  const daysToDue = Math.max(0, (dueTime - Math.max(latest.time, now)) / DAY_MS);
+  const daysSinceLatest = Math.max(0, (Math.max(latest.time, now) - latest.time) / DAY_MS);
+  forecast.projected_progress_at_due = Math.max(0, latest.progress + rate * (daysSinceLatest + daysToDue));
+  forecast.will_meet_target = forecast.projected_progress_at_due >= 100;
+  forecast.off_track = !forecast.will_meet_target;
+  forecast.status = forecast.off_track ? 'off_track' : 'on_track';
+
+  return forecast;
+}
+
+/**
+ * Build a key result's progress series from its check-ins
+ * The first check-in's previous value is used as a starting point at the key result's creation
+ * @param {Object} keyResult - Key result row
+ * @param {Array<Object>} updates - progress_updates rows for the key result
+ * @returns {Array<Object>} Points as { time, progress }
+ */
+export function keyResultProgressPoints(keyResult, updates = []) {
+  const ordered = [...updates].sort((a, b) => toTime(a.created_at) - toTime(b.created_at));
+  const points = ordered.map(u => ({
+    time: toTime(u.created_at),
+    progress: calculateKeyResultProgress({ ...keyResult, current_value: u.new_value })
+  }));
+
+  const first = ordered[0];
+  const createdTime = toTime(keyResult.created_at);
+  if (first && first.previous_value !== null && first.previous_value !== undefined &&
+      createdTime !== null && createdTime < toTime(first.created_at)) {
+    points.unshift({
+      time: createdTime,
+      progress: calculateKeyResultProgress({ ...keyResult, current_value: first.previous_value })
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Forecast a key result, including the expected value at its due date
+ * Key results without their own due date use the objective's
+ * @param {Object} keyResult - Key result row
+ * @param {Array<Object>} updates - progress_updates rows for the key result
+ * @param {Object} options - { dueDate, now }
+ * @returns {Object} Forecast with projected_value_at_due in the key result's unit
+ */
+export function forecastKeyResult(keyResult, updates = [], { dueDate = null, now = Date.now() } = {}) {
+  const effectiveDueDate = keyResult.due_date || dueDate;
+  const forecast = forecastProgress(keyResultProgressPoints(keyResult, updates), { dueDate: effectiveDueDate, now });
+
+  return {
+    key_result_id: keyResult.id,
+    title: keyResult.title,
+    due_date: effectiveDueDate || null,
+    target_value: keyResult.target_value,
+    current_value: keyResult.current_value,
+    projected_value_at_due: forecast.projected_progress_at_due === null
+      ? null
+      : valueFromProgress(keyResult, forecast.projected_progress_at_due),
+    ...forecast
+  };
+}
+
+/**
+ * Forecast an objective
+ * Objectives with key results combine their key result forecasts by weight; objectives
+ * without key results are forecast from their own progress updates against target_value
+ * @param {Object} objective - Objective row
+ * @param {Array<Object>} keyResults - The objective's key results
+ * @param {Array<Object>} updates - All progress_updates rows for the objective
+ * @param {Object} options - { now }
+ * @returns {Object} Forecast with per key result forecasts
+ */
+export function forecastObjective(objective, keyResults = [], updates = [], { now = Date.now() } = {}) {
+  const base = {
+    objective_id: objective.id,
+    title: objective.title,
+    due_date: objective.due_date || null
+  };
+
+  if (keyResults.length === 0) {
+    const targetValue = Number(objective.target_value) || 100;
+    const points = updates
+      .filter(u => !u.key_result_id)
+      .map(u => ({ time: toTime(u.created_at), progress: (Number(u.new_value) / targetValue) * 100 }));
+
+    return {
+      ...base,
+      ...forecastProgress(points, { dueDate: objective.due_date, now }),
+      key_results: []
+    };
+  }
+
+  const keyResultForecasts = keyResults.map(kr => forecastKeyResult(
+    kr,
+    updates.filter(u => u.key_result_id === kr.id),
+    { dueDate: objective.due_date, now }
+  ));
+
+  const totalWeight = keyResults.reduce((sum, kr) => sum + getKeyResultWeight(kr), 0);
+  const weighted = (field) => {
+    if (keyResultForecasts.some(f => f[field] === null)) return null;
+    if (totalWeight === 0) return 0;
+    return keyResultForecasts.reduce((sum, f, i) => sum + Math.min(100, f[field]) * getKeyResultWeight(keyResults[i]), 0) / totalWeight;
+  };
+
+  const projected = weighted('projected_progress_at_due');
+  const completionDates = keyResultForecasts.map(f => f.projected_completion_date);
+  const allCompleted = keyResultForecasts.every(f => f.status === 'completed');
+  const insufficient = keyResultForecasts.some(f => f.status === 'insufficient_data');
+  const offTrack = keyResultForecasts.some(f => f.off_track);
+
+  let status = 'on_track';
+  if (allCompleted) status = 'completed';
+  else if (offTrack) status = 'off_track';
+  else if (insufficient) status = 'insufficient_data';
+  else if (!objective.due_date && keyResultForecasts.some(f => f.status === 'no_due_date')) status = 'no_due_date';
+
+  return {
+    ...base,
+    data_points: keyResultForecasts.reduce((sum, f) => sum + f.data_points, 0),
+    current_progress: weighted('current_progress'),
+    rate_per_day: null,
+    projected_progress_at_due: projected,
+    // The objective completes when its slowest key result does
+    projected_completion_date: completionDates.includes(null) ? null : completionDates.sort().pop(),
+    will_meet_target: status === 'completed' ? true : (projected === null ? null : !offTrack),
+    off_track: offTrack,
+    status,
+    key_results: keyResultForecasts
+  };
+}
@@ -0,0 +1,173 @@
+// Confidence check-ins and computed health for objectives and key results
+//
+// Health combines three signals, and the worst one wins:
+//   confidence - the owner's latest check-in (status and 1-10 score)
+//   staleness  - days since the last check-in or progress update
+//   pace       - progress compared with the share of the time window already elapsed
+
+export const CONFIDENCE_STATUSES = ['on_track', 'at_risk', 'off_track'];
+export const HEALTH_STATUSES = ['healthy', 'at_risk', 'off_track', 'completed'];
+
+export const MIN_CONFIDENCE_SCORE = 1;
+export const MAX_CONFIDENCE_SCORE = 10;
+
+// Days without a check-in before an item counts as stale / very stale
+export const STALE_AFTER_DAYS = 14;
+export const VERY_STALE_AFTER_DAYS = 30;
+
+// Percentage points progress may lag behind elapsed time before it's a concern
+const PACE_WARNING_GAP = 10;
+const PACE_CRITICAL_GAP = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEVELS = ['healthy', 'at_risk', 'off_track'];
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Validate a confidence check-in
+ * @param {string} status - Confidence status
+ * @param {number} score - Confidence score
+ * @returns {string|null} Error message, or null if the check-in is valid
+ */
+export function validateConfidence(status, score) {
+  if (!CONFIDENCE_STATUSES.includes(status)) {
+    return `Status must be one of: ${CONFIDENCE_STATUSES.join(', ')}`;
+  }
+
+  const value = Number(score);
+  if (score === null || score === undefined || score === '' || !Number.isInteger(value) ||
+      value < MIN_CONFIDENCE_SCORE || value > MAX_CONFIDENCE_SCORE) {
+    return `Score must be a whole number from ${MIN_CONFIDENCE_SCORE} to ${MAX_CONFIDENCE_SCORE}`;
+  }
+
+  return null;
+}
+
+/**
+ * Compute the health of an objective or key result
+ * @param {Object} item - { progress, completed, confidence_status, confidence_score, last_check_in_at, start_date, due_date }
+ * @param {Object} options - { now }
+ * @returns {Object} { status, reasons, signals }
+ */
+export function computeHealth(item, { now = Date.now() } = {}) {
+  const progress = Number(item.progress) || 0;
+
+  if (item.completed || progress >= 100) {
+    return { status: 'completed', reasons: [], signals: {} };
+  }
+
+  const reasons = [];
+  let level = 0;
+  const raise = (to, reason) => {
+    level = Math.max(level, to);
+    reasons.push(reason);
+  };
+
+  const score = item.confidence_score ?? null;
+  const signals = {
+    confidence_status: item.confidence_status || null,
+    confidence_score: score,
+    days_since_check_in: null,
+    expected_progress: null,
+    progress
+  };
+
+  // Confidence
+  if (item.confidence_status === 'off_track' || (score !== null && score <= 3)) {
+    raise(2, 'Owner reports low confidence');
+  } else if (item.confidence_status === 'at_risk' || (score !== null && score <= 6)) {
+    raise(1, 'Owner reports moderate confidence');
+  }
+
+  // Staleness
+  const lastCheckIn = toTime(item.last_check_in_at);
+  if (lastCheckIn === null) {
+    raise(1, 'No check-ins yet');
+  } else {
+    const days = Math.floor((now - lastCheckIn) / DAY_MS);
+    signals.days_since_check_in = days;
+    if (days > VERY_STALE_AFTER_DAYS) {
+      raise(2, `No check-in for ${days} days`);
+    } else if (days > STALE_AFTER_DAYS) {
+      raise(1, `No check-in for ${days} days`);
+    }
+  }
+
+  // Time elapsed versus progress
+  const start = toTime(item.start_date);
+  let due = toTime(item.due_date);
+  if (due !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(item.due_date))) {
+    due += DAY_MS; // A date-only due date lasts until the end of that day
+  }
+  if (due !== null) {
+    if (now > due) {
+      raise(2, 'Past due date');
+    } else if (start !== null && due > start) {
+      const expected = Math.min(100, Math.max(0, ((now - start) / (due - start)) * 100));
+      signals.expected_progress = expected;
+      const gap = expected - progress;
+      if (gap >= PACE_CRITICAL_GAP) {
+        raise(2, `Progress is ${Math.round(gap)} points behind schedule`);
+      } else if (gap >= PACE_WARNING_GAP) {
+        raise(1, `Progress is ${Math.round(gap)} points behind schedule`);
+      }
+    }
+  }
+
+  return { status: LEVELS[level], reasons, signals };
+}
+
+/**
+ * Compute an objective's health
+ * @param {Object} objective - Objective row, including the latest confidence columns
+ * @param {string|null} lastProgressAt - Timestamp of the latest progress update
+ * @param {Object} options - { now }
+ * @returns {Object} Health from computeHealth
+ */
+export function objectiveHealth(objective, lastProgressAt = null, options = {}) {
+  return computeHealth({
+    progress: objective.progress_percentage,
+    completed: objective.status === 'Completed',
+    confidence_status: objective.confidence_status,
+    confidence_score: objective.confidence_score,
+    last_check_in_at: latestTimestamp(objective.confidence_updated_at, lastProgressAt),
+    start_date: objective.start_date || objective.created_at,
+    due_date: objective.due_date
+  }, options);
+}
+
+/**
+ * Compute a key result's health, falling back to its objective's dates
+ * @param {Object} keyResult - Key result row, including the latest confidence columns
+ * @param {Object} objective - Parent objective (start_date, due_date)
+ * @param {string|null} lastProgressAt - Timestamp of the latest check-in in progress_updates
+ * @param {Object} options - { now }
+ * @returns {Object} Health from computeHealth
+ */
+export function keyResultHealth(keyResult, objective = {}, lastProgressAt = null, options = {}) {
+  return computeHealth({
+    progress: keyResult.progress_percentage,
+    completed: keyResult.status === 'Completed',
+    confidence_status: keyResult.confidence_status,
+    confidence_score: keyResult.confidence_score,
+    last_check_in_at: latestTimestamp(keyResult.confidence_updated_at, lastProgressAt),
+    start_date: objective.start_date || keyResult.created_at,
+    due_date: keyResult.due_date || objective.due_date
+  }, options);
+}
+
+/**
+ * Pick the most recent of several timestamps
+ * @param {...string} values - Timestamps, any of which may be empty
+ * @returns {string|null} The latest timestamp
+ */
+export function latestTimestamp(...values) {
+  return values
+    .filter(value => toTime(value) !== null)
+    .sort((a, b) => toTime(b) - toTime(a))[0] || null;
+}
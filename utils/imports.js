@@ -0,0 +1,528 @@
+// Spreadsheet import of objectives and key results
+//
+// Each row describes an objective and, optionally, one of its key results. Rows
+// with the same ref (or, without refs, the same title) belong to one objective,
+// so an objective with three key results takes three rows:
+//
+//   ref | title          | owner_email   | department | parent_ref | kr_title         | kr_target_value
+//   o1  | Grow revenue   | ana@acme.com  | Sales      |            | Close 40 deals   | 40
+//   o1  |                |               |            |            | Sign 5 partners  | 5
+//   o2  | Expand to EMEA | li@acme.com   | Sales      | o1         |                  |
+//
+// Columns map to IMPORT_FIELDS by name or alias unless the caller supplies a
+// mapping. Custom fields use cf:<key> (objective) and kr_cf:<key> (key result).
+// Owners are matched by email, departments and cycles by name, parent_ref points
+// at another objective in the file and parent at an existing one (ID or title).
+// Problems are reported per row as { row, field, error }; row is null for
+// problems with the file as a whole.
+
+import { parseList } from './filters.js';
+import { validateKeyResultType, calculateKeyResultProgress, isValidWeight } from './progress.js';
+import { validateCustomFieldValues } from './customfields.js';
+import { initialApproval } from './approvals.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Columns an import can fill, with the header names that map to them automatically
+export const IMPORT_FIELDS = {
+  ref: { target: 'objective', type: 'text', aliases: ['objective_ref', 'objective_key'] },
+  title: { target: 'objective', type: 'text', aliases: ['objective', 'objective_title'] },
+  description: { target: 'objective', type: 'text', aliases: ['objective_description'] },
+  owner_email: { target: 'objective', type: 'text', aliases: ['owner', 'owner_e_mail', 'email'] },
+  department: { target: 'objective', type: 'text', aliases: ['department_name', 'team', 'team_name'] },
+  parent_ref: { target: 'objective', type: 'text', aliases: ['parent_key'] },
+  parent: { target: 'objective', type: 'text', aliases: ['parent_objective', 'parent_title', 'parent_objective_id'] },
+  cycle: { target: 'objective', type: 'text', aliases: ['cycle_name'] },
+  status: { target: 'objective', type: 'text', aliases: [] },
+  priority: { target: 'objective', type: 'text', aliases: [] },
+  start_date: { target: 'objective', type: 'date', aliases: ['start'] },
+  due_date: { target: 'objective', type: 'date', aliases: ['due', 'deadline'] },
+  target_value: { target: 'objective', type: 'number', aliases: [] },
+  tags: { target: 'objective', type: 'list', aliases: ['labels'] },
+  kr_title: { target: 'key_result', type: 'text', aliases: ['key_result', 'key_result_title'] },
+  kr_description: { target: 'key_result', type: 'text', aliases: ['key_result_description'] },
+  kr_type: { target: 'key_result', type: 'text', aliases: ['key_result_type'] },
+  kr_start_value: { target: 'key_result', type: 'number', aliases: ['key_result_start_value'] },
+  kr_target_value: { target: 'key_result', type: 'number', aliases: ['key_result_target_value'] },
+  kr_current_value: { target: 'key_result', type: 'number', aliases: ['key_result_current_value'] },
+  kr_unit: { target: 'key_result', type: 'text', aliases: ['key_result_unit'] },
+  kr_due_date: { target: 'key_result', type: 'date', aliases: ['key_result_due_date'] },
+  kr_weight: { target: 'key_result', type: 'number', aliases: ['key_result_weight'] }
+};
+
+const OBJECTIVE_CUSTOM_PREFIX = 'cf:';
+const KEY_RESULT_CUSTOM_PREFIX = 'kr_cf:';
+
+// Spelling used when a status or priority matches one of these ignoring case
+const KNOWN_STATUSES = ['Active', 'At Risk', 'Completed', 'Draft'];
+const KNOWN_PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+const lookupKey = (value) => String(value).trim().toLowerCase();
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+const AUTO_MATCH = new Map(
+  Object.entries(IMPORT_FIELDS).flatMap(([field, { aliases }]) => [field, ...aliases].map(name => [name, field]))
+);
+
+/**
+ * Split a mapped field name into its target and custom field key
+ * @param {string} field - An IMPORT_FIELDS key, cf:<key> or kr_cf:<key>
+ * @returns {Object|null} { target, customKey } or null if the field is unknown
+ */
+function describeField(field) {
+  if (IMPORT_FIELDS[field]) return { target: IMPORT_FIELDS[field].target, customKey: null };
+  if (field.startsWith(KEY_RESULT_CUSTOM_PREFIX)) {
+    return { target: 'key_result', customKey: field.slice(KEY_RESULT_CUSTOM_PREFIX.length) };
+  }
+  if (field.startsWith(OBJECTIVE_CUSTOM_PREFIX)) {
+    return { target: 'objective', customKey: field.slice(OBJECTIVE_CUSTOM_PREFIX.length) };
+  }
+  return null;
+}
+
+/**
+ * Decide which field each column fills
+ * @param {Array<string>} headers - Column headers from the file
+ * @param {Object|undefined} mapping - { header: field }; a null or empty field skips the column
+ * @param {Object} definitions - { objective, key_result } custom field definitions
+ * @returns {Object} { columns, ignored, errors } - columns maps header to field
+ */
+export function buildColumnMapping(headers, mapping, definitions) {
+  const columns = new Map();
+  const ignored = [];
+  const errors = [];
+  const customKeys = {
+    objective: new Set(definitions.objective.map(definition => definition.key)),
+    key_result: new Set(definitions.key_result.map(definition => definition.key))
+  };
+
+  if (mapping !== undefined && (!mapping || typeof mapping !== 'object' || Array.isArray(mapping))) {
+    return { columns, ignored, errors: [{ row: null, field: null, error: 'Mapping must be an object of column header to field' }] };
+  }
+
+  Object.keys(mapping || {}).forEach(header => {
+    if (!headers.includes(header)) {
+      errors.push({ row: null, field: null, error: `Mapped column "${header}" is not in the file` });
+    }
+  });
+
+  headers.forEach(header => {
+    const explicit = mapping && Object.prototype.hasOwnProperty.call(mapping, header);
+    let field = explicit ? mapping[header] : null;
+
+    if (!explicit) {
+      const raw = header.trim().toLowerCase();
+      field = raw.startsWith(KEY_RESULT_CUSTOM_PREFIX) || raw.startsWith(OBJECTIVE_CUSTOM_PREFIX)
+        ? raw
+        : AUTO_MATCH.get(normalizeHeader(header)) || null;
+    }
+
+    if (field === null || field === undefined || field === '') {
+      ignored.push(header);
+      return;
+    }
+
+    const described = typeof field === 'string' ? describeField(field) : null;
+    if (!described) {
+      errors.push({ row: null, field: String(field), error: `Column "${header}" is mapped to an unknown field` });
+      return;
+    }
+    if (described.customKey !== null && !customKeys[described.target].has(described.customKey)) {
+      errors.push({ row: null, field, error: `Column "${header}" refers to unknown custom field "${described.customKey}"` });
+      return;
+    }
+
+    const duplicate = [...columns.entries()].find(([, mapped]) => mapped === field);
+    if (duplicate) {
+      errors.push({ row: null, field, error: `Columns "${duplicate[0]}" and "${header}" are both mapped to ${field}` });
+      return;
+    }
+
+    columns.set(header, field);
+  });
+
+  if (![...columns.values()].includes('title')) {
+    errors.push({ row: null, field: 'title', error: 'No column is mapped to title' });
+  }
+
+  return { columns, ignored, errors };
+}
+
+// Convert a cell to the field's type; returns { value } or { error }
+function coerceCell(field, raw) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  if (text === '' || text === null || text === undefined) return { value: null };
+
+  switch (IMPORT_FIELDS[field]?.type) {
+    case 'number': {
+      const number = typeof text === 'number' ? text : Number(String(text).replace(/,/g, ''));
+      return Number.isFinite(number) ? { value: number } : { error: `"${text}" is not a number` };
+    }
+    case 'date': {
+      const value = String(text);
+      return isDate(value) ? { value } : { error: `"${value}" is not a date (YYYY-MM-DD)` };
+    }
+    case 'list':
+      return { value: parseList(String(text).replace(/;/g, ',')) };
+    default:
+      return { value: String(text) };
+  }
+}
+
+/**
+ * Read the mapped cells of each row and group rows into objectives
+ * @param {Array<Object>} rows - { row, values } from readSpreadsheet
+ * @param {Map} columns - Header to field, from buildColumnMapping
+ * @returns {Object} { groups, errors } - groups are { key, row, rows, fields, customFields, keyResults }
+ */
+export function groupImportRows(rows, columns) {
+  const groups = new Map();
+  const errors = [];
+
+  rows.forEach(({ row, values }) => {
+    const objective = {};
+    const objectiveCustom = {};
+    const keyResult = {};
+    const keyResultCustom = {};
+
+    columns.forEach((field, header) => {
+      const { target, customKey } = describeField(field);
+      if (customKey !== null) {
+        const text = typeof values[header] === 'string' ? values[header].trim() : values[header];
+        if (text !== '' && text !== null && text !== undefined) {
+          (target === 'objective' ? objectiveCustom : keyResultCustom)[customKey] = text;
+        }
+        return;
+      }
+
+      const { value, error } = coerceCell(field, values[header]);
+      if (error) {
+        errors.push({ row, field, error });
+      } else if (value !== null) {
+        (target === 'objective' ? objective : keyResult)[field] = value;
+      }
+    });
+
+    const key = objective.ref !== undefined ? `ref:${lookupKey(objective.ref)}`
+      : objective.title !== undefined ? `title:${lookupKey(objective.title)}`
+      : null;
+    if (!key) {
+      errors.push({ row, field: 'title', error: 'Title is required' });
+      return;
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, row, rows: [], fields: {}, customFields: {}, keyResults: [] });
+    }
+    const group = groups.get(key);
+    group.rows.push(row);
+
+    // Objective columns may be repeated on every row of the objective, but must agree
+    const merge = (target, incoming, label) => Object.entries(incoming).forEach(([field, value]) => {
+      if (target[field] === undefined) {
+        target[field] = value;
+      } else if (JSON.stringify(target[field]) !== JSON.stringify(value)) {
+        errors.push({ row, field: label(field), error: `Conflicts with the value given for this objective on row ${group.row}` });
+      }
+    });
+    merge(group.fields, objective, field => field);
+    merge(group.customFields, objectiveCustom, key => `${OBJECTIVE_CUSTOM_PREFIX}${key}`);
+
+    if (Object.keys(keyResult).length > 0 || Object.keys(keyResultCustom).length > 0) {
+      if (keyResult.kr_title === undefined) {
+        errors.push({ row, field: 'kr_title', error: 'Key result title is required when key result columns are filled in' });
+      } else {
+        group.keyResults.push({ row, fields: keyResult, customFields: keyResultCustom });
+      }
+    }
+  });
+
+  groups.forEach(group => {
+    if (group.fields.title === undefined) {
+      errors.push({ row: group.row, field: 'title', error: 'Title is required' });
+    }
+  });
+
+  return { groups: [...groups.values()], errors };
+}
+
+// Index rows by a case-insensitive name, remembering names used more than once
+function indexByName(items, name) {
+  const index = new Map();
+  items.forEach(item => {
+    if (!item[name]) return;
+    const key = lookupKey(item[name]);
+    index.set(key, index.has(key) ? null : item);
+  });
+  return index;
+}
+
+const canonical = (value, known) => known.find(option => option.toLowerCase() === lookupKey(value)) || value;
+
+// Spreadsheet cells hold user custom fields as emails and multi selects as lists
+function convertCustomFields(values, definitions, usersByEmail) {
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+  const converted = {};
+  Object.entries(values).forEach(([key, raw]) => {
+    const definition = byKey.get(key);
+    if (definition?.field_type === 'multi_select') {
+      converted[key] = parseList(String(raw).replace(/;/g, ','));
+    } else if (definition?.field_type === 'user') {
+      converted[key] = usersByEmail.get(lookupKey(raw))?.id || String(raw);
+    } else if (definition?.field_type === 'number') {
+      converted[key] = raw;
+    } else {
+      converted[key] = String(raw);
+    }
+  });
+  return converted;
+}
+
+/**
+ * Resolve names to IDs and validate each objective and key result
+ * @param {Array<Object>} groups - From groupImportRows
+ * @param {Object} lookups - { users, departments, cycles, objectives, definitions } for the organization;
+ *   objectives are the existing ones the importer can see
+ * @param {Object} user - req.user of the importer
+ * @returns {Object} { objectives, errors } - objectives are { key, row, rows, parentKey, data, keyResults }
+ */
+export function resolveImport(groups, lookups, user) {
+  const errors = [];
+  const usersByEmail = indexByName(lookups.users, 'email');
+  const departmentsByName = indexByName(lookups.departments, 'name');
+  const cyclesByName = indexByName(lookups.cycles, 'name');
+  const objectivesByTitle = indexByName(lookups.objectives, 'title');
+  const objectivesById = new Map(lookups.objectives.map(objective => [objective.id, objective]));
+  const orgUserIds = new Set(lookups.users.map(u => u.id));
+  const groupsByKey = new Map(groups.map(group => [group.key, group]));
+
+  // parent_ref may name another objective's ref, or its title when the file has no refs
+  const findGroup = (ref) => groupsByKey.get(`ref:${lookupKey(ref)}`) || groupsByKey.get(`title:${lookupKey(ref)}`);
+
+  const lookup = (index, value, label) => {
+    const match = index.get(lookupKey(value));
+    if (match === null) return { error: `More than one ${label} is named "${value}"` };
+    if (!match) return { error: `No ${label} named "${value}"` };
+    return { match };
+  };
+
+  const objectives = groups.map(group => {
+    const { fields } = group;
+    const fail = (field, error) => errors.push({ row: group.row, field, error });
+
+    const data = {
+      title: fields.title || '',
+      description: fields.description || null,
+      owner_id: null,
+      department_id: null,
+      parent_objective_id: null,
+      cycle_id: null,
+      status: fields.status ? canonical(fields.status, KNOWN_STATUSES) : 'Active',
+      priority: fields.priority ? canonical(fields.priority, KNOWN_PRIORITIES) : 'Medium',
+      start_date: fields.start_date || null,
+      due_date: fields.due_date || null,
+      target_value: fields.target_value ?? null,
+      tags: fields.tags || [],
+      custom_fields: {},
+      approved_at: null,
+      approved_by: null
+    };
+
+    if (fields.owner_email) {
+      const owner = usersByEmail.get(lookupKey(fields.owner_email));
+      if (owner) data.owner_id = owner.id;
+      else fail('owner_email', `No user in the organization has the email ${fields.owner_email}`);
+    }
+
+    let departmentManagerId = null;
+    if (fields.department) {
+      const { match, error } = lookup(departmentsByName, fields.department, 'department');
+      if (error) fail('department', error);
+      else {
+        data.department_id = match.id;
+        departmentManagerId = match.manager_id || null;
+      }
+    }
+
+    if (fields.cycle) {
+      const { match, error } = lookup(cyclesByName, fields.cycle, 'cycle');
+      if (error) fail('cycle', error);
+      else if (match.status === 'closed') fail('cycle', 'Cannot add objectives to a closed cycle');
+      else data.cycle_id = match.id;
+    }
+
+    let parentKey = null;
+    if (fields.parent_ref && fields.parent) {
+      fail('parent_ref', 'Give either parent_ref or parent, not both');
+    } else if (fields.parent_ref) {
+      const parentGroup = findGroup(fields.parent_ref);
+      if (!parentGroup) fail('parent_ref', `No objective in the file has the ref or title "${fields.parent_ref}"`);
+      else if (parentGroup === group) fail('parent_ref', 'An objective cannot be its own parent');
+      else parentKey = parentGroup.key;
+    } else if (fields.parent) {
+      const byId = objectivesById.get(fields.parent);
+      if (byId) data.parent_objective_id = byId.id;
+      else {
+        const { match, error } = lookup(objectivesByTitle, fields.parent, 'existing objective');
+        if (error) fail('parent', error);
+        else data.parent_objective_id = match.id;
+      }
+    }
+
+    const approval = initialApproval(data.status, departmentManagerId, user);
+    if (approval.error) fail('status', approval.error);
+    else Object.assign(data, approval);
+
+    const objectiveCustom = validateCustomFieldValues(
+      convertCustomFields(group.customFields, lookups.definitions.objective, usersByEmail),
+      lookups.definitions.objective,
+      { orgUserIds }
+    );
+    objectiveCustom.errors.forEach(e => fail(`${OBJECTIVE_CUSTOM_PREFIX}${e.field}`, e.error));
+    data.custom_fields = objectiveCustom.values;
+
+    const keyResults = group.keyResults.map(({ row, fields: kr, customFields }) => {
+      const failKr = (field, error) => errors.push({ row, field, error });
+      const type = kr.kr_type ? lookupKey(kr.kr_type) : 'increase';
+
+      // Boolean key results are simply done (1) or not done (0)
+      const startValue = type === 'boolean' ? 0 : (kr.kr_start_value ?? 0);
+      const targetValue = type === 'boolean' ? 1 : kr.kr_target_value;
+      const currentValue = kr.kr_current_value ?? startValue;
+
+      const typeError = validateKeyResultType(type, startValue, targetValue);
+      if (typeError) failKr(kr.kr_type ? 'kr_type' : 'kr_target_value', typeError);
+      if (kr.kr_weight !== undefined && !isValidWeight(kr.kr_weight)) {
+        failKr('kr_weight', 'Weight must be a non-negative number');
+      }
+
+      const krCustom = validateCustomFieldValues(
+        convertCustomFields(customFields, lookups.definitions.key_result, usersByEmail),
+        lookups.definitions.key_result,
+        { orgUserIds }
+      );
+      krCustom.errors.forEach(e => failKr(`${KEY_RESULT_CUSTOM_PREFIX}${e.field}`, e.error));
+
+      return {
+        row,
+        data: {
+          title: kr.kr_title,
+          description: kr.kr_description || null,
+          type,
+          start_value: startValue,
+          target_value: targetValue ?? null,
+          current_value: currentValue,
+          progress_percentage: typeError ? 0 : calculateKeyResultProgress({
+            type,
+            start_value: startValue,
+            target_value: targetValue,
+            current_value: currentValue
+          }),
+          unit: kr.kr_unit || null,
+          due_date: kr.kr_due_date || null,
+          weight: kr.kr_weight ?? 1,
+          custom_fields: krCustom.values
+        }
+      };
+    });
+
+    return { key: group.key, row: group.row, rows: group.rows, parentKey, data, keyResults };
+  });
+
+  // parent_ref links must not loop back on themselves
+  const byKey = new Map(objectives.map(objective => [objective.key, objective]));
+  objectives.forEach(objective => {
+    const seen = new Set([objective.key]);
+    let current = objective.parentKey && byKey.get(objective.parentKey);
+    while (current) {
+      if (seen.has(current.key)) {
+        errors.push({ row: objective.row, field: 'parent_ref', error: 'Parent links form a cycle' });
+        break;
+      }
+      seen.add(current.key);
+      current = current.parentKey && byKey.get(current.parentKey);
+    }
+  });
+
+  errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  return { objectives, errors };
+}
+
+/**
+ * Assign IDs and link parents, ordering objectives so parents come before their children
+ * @param {Array<Object>} objectives - From resolveImport (without errors)
+ * @param {Object} options - { organizationId, newId }
+ * @returns {Object} { objectives, keyResults } - rows ready to insert, plus the source row of each objective
+ */
+export function buildImportRecords(objectives, { organizationId, newId }) {
+  const ids = new Map(objectives.map(objective => [objective.key, newId()]));
+  const byKey = new Map(objectives.map(objective => [objective.key, objective]));
+
+  const depth = (objective) => {
+    let levels = 0;
+    for (let current = objective; current.parentKey; current = byKey.get(current.parentKey)) levels++;
+    return levels;
+  };
+
+  const ordered = [...objectives].sort((a, b) => depth(a) - depth(b) || a.row - b.row);
+
+  return {
+    objectives: ordered.map(objective => ({
+      ...objective.data,
+      id: ids.get(objective.key),
+      parent_objective_id: objective.parentKey ? ids.get(objective.parentKey) : objective.data.parent_objective_id,
+      organization_id: organizationId,
+      row: objective.row
+    })),
+    keyResults: ordered.flatMap(objective => objective.keyResults.map(keyResult => ({
+      ...keyResult.data,
+      id: newId(),
+      objective_id: ids.get(objective.key)
+    })))
+  };
+}
+
+/**
+ * Summarize what an import would create, for the dry-run preview
+ * @param {Array<Object>} objectives - From resolveImport
+ * @param {Object} lookups - The lookups passed to resolveImport
+ * @returns {Array<Object>} One entry per objective with names resolved
+ */
+export function previewImport(objectives, lookups) {
+  const name = (items, id, field = 'name') => items.find(item => item.id === id)?.[field] || null;
+  const byKey = new Map(objectives.map(objective => [objective.key, objective]));
+
+  return objectives.map(({ key, row, rows, parentKey, data, keyResults }) => ({
+    row,
+    rows,
+    ref: key.startsWith('ref:') ? key.slice(4) : null,
+    title: data.title,
+    owner: data.owner_id ? name(lookups.users, data.owner_id, 'email') : null,
+    department: data.department_id ? name(lookups.departments, data.department_id) : null,
+    cycle: data.cycle_id ? name(lookups.cycles, data.cycle_id) : null,
+    parent: parentKey
+      ? { source: 'file', row: byKey.get(parentKey)?.row ?? null, title: byKey.get(parentKey)?.data.title ?? null }
+      : data.parent_objective_id
+        ? { source: 'existing', id: data.parent_objective_id, title: name(lookups.objectives, data.parent_objective_id, 'title') }
+        : null,
+    status: data.status,
+    priority: data.priority,
+    start_date: data.start_date,
+    due_date: data.due_date,
+    tags: data.tags,
+    custom_fields: data.custom_fields,
+    key_results: keyResults.map(keyResult => ({
+      row: keyResult.row,
+      title: keyResult.data.title,
+      type: keyResult.data.type,
+      start_value: keyResult.data.start_value,
+      target_value: keyResult.data.target_value,
+      current_value: keyResult.data.current_value,
+      unit: keyResult.data.unit,
+      custom_fields: keyResult.data.custom_fields
+    }))
+  }));
+}
@@ -0,0 +1,133 @@
+// Cursor (keyset) pagination helpers for Supabase list queries
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Encode a cursor pointing just past the given row
+ * @param {Object} row - Last row of the current page
+ * @param {string} sortField - Column the list is ordered by
+ * @returns {string} Opaque base64url cursor
+ */
+export function encodeCursor(row, sortField) {
+  const payload = { v: row[sortField] ?? null, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object|null} { v, id }, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || typeof payload.id !== 'string' || !('v' in payload)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse limit and cursor query parameters
+ * @param {Object} query - Express req.query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { limit, cursor, error } - limit is null when the client did not ask to paginate
+ */
+export function parsePagination(query, { defaultLimit = null, maxLimit = MAX_PAGE_SIZE } = {}) {
+  let limit = defaultLimit;
+
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    limit = limit || DEFAULT_PAGE_SIZE;
+  }
+
+  return { limit: limit ? Math.min(limit, maxLimit) : null, cursor };
+}
+
+/**
+ * Quote a value for use inside a PostgREST or()/in() filter string
+ * @param {*} value - Raw value
+ * @returns {string} Double-quoted, escaped value
+ */
+export function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Apply stable ordering, the cursor position and the page size to a query
+ * Rows are ordered by sortField then id, with NULL sort values last
+ * @param {Object} queryBuilder - Supabase query builder
+ * @param {Object} options - { sortField, ascending, cursor, limit }
+ * @returns {Object} Query builder (fetches one extra row to detect further pages)
+ */
+export function applyCursor(queryBuilder, { sortField, ascending = false, cursor = null, limit = null }) {
+  const cmp = ascending ? 'gt' : 'lt';
+
+  if (cursor) {
+    if (cursor.v === null) {
+      // Already in the trailing block of NULL sort values
+      queryBuilder = queryBuilder.is(sortField, null)[cmp]('id', cursor.id);
+    } else if (sortField === 'id') {
+      queryBuilder = queryBuilder[cmp]('id', cursor.id);
+    } else {
+      const value = quoteFilterValue(cursor.v);
+      queryBuilder = queryBuilder.or(
+        `${sortField}.${cmp}.${value},and(${sortField}.eq.${value},id.${cmp}.${quoteFilterValue(cursor.id)}),${sortField}.is.null`
+      );
+    }
+  }
+
+  queryBuilder = queryBuilder.order(sortField, { ascending, nullsFirst: false });
+  if (sortField !== 'id') {
+    queryBuilder = queryBuilder.order('id', { ascending });
+  }
+
+  if (limit) {
+    queryBuilder = queryBuilder.limit(limit + 1);
+  }
+
+  return queryBuilder;
+}
+
+/**
+ * Trim the extra row fetched by applyCursor and work out the next cursor
+ * @param {Array<Object>} rows - Rows returned by the query
+ * @param {Object} options - { sortField, limit }
+ * @returns {Object} { data, nextCursor }
+ */
+export function buildPage(rows, { sortField, limit = null }) {
+  const list = rows || [];
+  if (!limit || list.length <= limit) {
+    return { data: list, nextCursor: null };
+  }
+
+  const data = list.slice(0, limit);
+  return { data, nextCursor: encodeCursor(data[data.length - 1], sortField) };
+}
+
+/**
+ * Expose pagination metadata on the response without changing the array body
+ * @param {Object} res - Express response
+ * @param {Object} page - { total, nextCursor }
+ */
+export function setPaginationHeaders(res, { total = null, nextCursor = null }) {
+  if (total !== null && total !== undefined) {
+    res.set('X-Total-Count', String(total));
+  }
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor);
+  }
+}
@@ -0,0 +1,206 @@
+// Progress calculation helpers shared by objective and key result routes
+
+export const KEY_RESULT_TYPES = ['increase', 'decrease', 'boolean', 'milestone'];
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Validate a key result's type against its baseline and target
+ * @param {string} type - Key result type
+ * @param {number} startValue - Baseline value
+ * @param {number} targetValue - Target value
+ * @returns {string|null} Error message, or null if the combination is valid
+ */
+export function validateKeyResultType(type, startValue, targetValue) {
+  if (!KEY_RESULT_TYPES.includes(type)) {
+    return `Type must be one of: ${KEY_RESULT_TYPES.join(', ')}`;
+  }
+
+  if (type === 'increase' && hasValue(targetValue) && Number(targetValue) <= Number(startValue || 0)) {
+    return 'Target value must be greater than the start value for increase key results';
+  }
+
+  if (type === 'decrease' && (!hasValue(targetValue) || Number(targetValue) >= Number(startValue || 0))) {
+    return 'Target value must be less than the start value for decrease key results';
+  }
+
+  return null;
+}
+
+/**
+ * Calculate a key result's progress percentage from its current value
+ * - increase/decrease: (current - start) / (target - start)
+ * - boolean: 100 once current_value is truthy, otherwise 0
+ * - milestone: completed milestones (current) out of total milestones (target)
+ * Progress never drops below 0 but may exceed 100 when a target is beaten
+ * @param {Object} keyResult - Object with type, start_value, target_value, current_value
+ * @returns {number} Progress percentage
+ */
+export function calculateKeyResultProgress({ type = 'increase', start_value, target_value, current_value }) {
+  const current = Number(current_value) || 0;
+
+  if (type === 'boolean') {
+    return current_value === true || current >= 1 ? 100 : 0;
+  }
+
+  if (!hasValue(target_value)) {
+    return 0;
+  }
+
+  const target = Number(target_value);
+  const start = type === 'milestone' ? 0 : Number(start_value) || 0;
+
+  if (target === start) {
+    return current === target ? 100 : 0;
+  }
+
+  return Math.max(0, ((current - start) / (target - start)) * 100);
+}
+
+/**
+ * Calculate the current value that corresponds to a progress percentage
+ * Inverse of calculateKeyResultProgress, used when clients set progress directly
+ * @param {Object} keyResult - Object with type, start_value, target_value
+ * @param {number} progress - Progress percentage
+ * @returns {number} Current value
+ */
+export function valueFromProgress({ type = 'increase', start_value, target_value }, progress) {
+  if (type === 'boolean') {
+    return progress >= 100 ? 1 : 0;
+  }
+
+  const target = Number(target_value) || 0;
+  const start = type === 'milestone' ? 0 : Number(start_value) || 0;
+  return start + (progress / 100) * (target - start);
+}
+
+/**
+ * Get the configured weight of a key result, defaulting to 1
+ * @param {Object} keyResult - Key result row
+ * @returns {number} Non-negative weight
+ */
+export function getKeyResultWeight(keyResult) {
+  const weight = Number(keyResult.weight);
+  return keyResult.weight === null || keyResult.weight === undefined || !Number.isFinite(weight) || weight < 0
+    ? 1
+    : weight;
+}
+
+/**
+ * Check whether a value supplied by a client is a usable key result weight
+ * @param {*} value - Raw weight from the request body
+ * @returns {boolean} True if the weight is a finite, non-negative number
+ */
+export function isValidWeight(value) {
+  if (value === null || value === '' || typeof value === 'boolean') return false;
+  const weight = Number(value);
+  return Number.isFinite(weight) && weight >= 0;
+}
+
+/**
+ * Roll up an objective's progress from its key results and child objectives
+ * Key results contribute by their weight, each child objective with a weight of 1
+ * @param {Array<Object>} keyResults - Key results with progress_percentage and weight
+ * @param {Array<number>} childProgress - Rolled-up progress of child objectives
+ * @returns {number|null} Progress percentage, or null if there is nothing to roll up
+ */
+export function rollupProgress(keyResults = [], childProgress = []) {
+  const contributions = [
+    ...keyResults.map(kr => ({ value: kr.progress_percentage || 0, weight: getKeyResultWeight(kr) })),
+    ...childProgress.map(p => ({ value: p || 0, weight: 1 }))
+  ];
+
+  if (contributions.length === 0) {
+    return null;
+  }
+
+  const totalWeight = contributions.reduce((sum, c) => sum + c.weight, 0);
+  if (totalWeight === 0) {
+    return 0;
+  }
+
+  const total = contributions.reduce((sum, c) => sum + c.value * c.weight, 0);
+  return total / totalWeight;
+}
+
+/**
+ * Annotate key results with the share of objective progress each one carries
+ * @param {Array<Object>} keyResults - Key results of a single objective
+ * @param {number} childCount - Number of child objectives also rolling up into it
+ * @returns {Array<Object>} Key results with weight and effective_weight (0-1)
+ */
+export function withEffectiveWeights(keyResults = [], childCount = 0) {
+  const totalWeight = keyResults.reduce((sum, kr) => sum + getKeyResultWeight(kr), 0) + childCount;
+
+  return keyResults.map(kr => ({
+    ...kr,
+    weight: getKeyResultWeight(kr),
+    effective_weight: totalWeight > 0 ? getKeyResultWeight(kr) / totalWeight : 0
+  }));
+}
+
+/**
+ * Build a nested objective tree with rolled-up progress
+ * Objectives without key results or children keep their stored progress
+ * @param {Array<Object>} objectives - Flat list of objectives in one organization
+ * @param {Array<Object>} keyResults - Key results belonging to those objectives
+ * @param {string|null} rootId - Optional objective ID to root the tree at
+ * @returns {Array<Object>} Root nodes, each with nested children
+ */
+export function buildObjectiveTree(objectives, keyResults = [], rootId = null) {
+  const nodes = new Map();
+  objectives.forEach(obj => {
+    nodes.set(obj.id, {
+      ...obj,
+      tags: Array.isArray(obj.tags) ? obj.tags : [],
+      key_results: [],
+      children: []
+    });
+  });
+
+  keyResults.forEach(kr => {
+    const node = nodes.get(kr.objective_id);
+    if (node) {
+      node.key_results.push(kr);
+    }
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent_objective_id ? nodes.get(node.parent_objective_id) : null;
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  // Compute progress bottom-up, guarding against cycles in bad data
+  const visiting = new Set();
+  const computed = new Set();
+  const computeProgress = (node) => {
+    if (computed.has(node.id)) return node.progress_percentage;
+    if (visiting.has(node.id)) return node.progress_percentage || 0;
+    visiting.add(node.id);
+
+    const childProgress = node.children.map(child => computeProgress(child));
+    const rolled = rollupProgress(node.key_results, childProgress);
+    node.key_results = withEffectiveWeights(node.key_results, node.children.length);
+    if (rolled !== null) {
+      node.progress_percentage = rolled;
+    }
+
+    visiting.delete(node.id);
+    computed.add(node.id);
+    return node.progress_percentage || 0;
+  };
+
+  nodes.forEach(node => computeProgress(node));
+
+  if (rootId) {
+    const root = nodes.get(rootId);
+    return root ? [root] : [];
+  }
+
+  return roots;
+}
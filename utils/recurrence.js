@@ -0,0 +1,67 @@
+// Recurrence rules for objectives that repeat every period
+
+// Supported rules and how many months each period spans
+export const RECURRENCE_RULES = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+/**
+ * Validate a recurrence rule; null stops an objective recurring
+ * @param {string|null} rule - Recurrence rule
+ * @param {string|null} dueDate - The objective's due date, which marks the end of each period
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+export function validateRecurrence(rule, dueDate) {
+  if (rule === null || rule === '') return null;
+  if (!Object.prototype.hasOwnProperty.call(RECURRENCE_RULES, rule)) {
+    return `Recurrence must be one of: ${Object.keys(RECURRENCE_RULES).join(', ')}`;
+  }
+  if (!dueDate) {
+    return 'Recurring objectives need a due date to mark the end of each period';
+  }
+  return null;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole months, clamping to the end of shorter months
+ * (e.g. 2026-01-31 + 1 month = 2026-02-28)
+ * @param {string} date - Date string; anything after the date part is ignored
+ * @param {number} months - Months to add
+ * @returns {string|null} Shifted YYYY-MM-DD date, or null if there is no date
+ */
+export function addMonths(date, months) {
+  if (!date) return null;
+  const [year, month, day] = String(date).substring(0, 10).split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().split('T')[0];
+}
+
+/**
+ * Work out the dates of the next occurrence of a recurring objective
+ * A period ending on the last day of a month keeps ending on the last day of a month
+ * @param {Object} objective - Objective with recurrence, start_date and due_date
+ * @returns {Object} { start_date, due_date, months } for the next period
+ */
+export function nextOccurrenceDates(objective) {
+  const months = RECURRENCE_RULES[objective.recurrence];
+  const dueDate = String(objective.due_date).substring(0, 10);
+  const [year, month, day] = dueDate.split('-').map(Number);
+  const endsOnMonthEnd = new Date(Date.UTC(year, month, 0)).getUTCDate() === day;
+
+  let nextDue = addMonths(dueDate, months);
+  if (endsOnMonthEnd) {
+    const [nextYear, nextMonth] = nextDue.split('-').map(Number);
+    nextDue = new Date(Date.UTC(nextYear, nextMonth, 0)).toISOString().split('T')[0];
+  }
+
+  // Without a start date the new period begins the day after the previous one ended
+  const nextStart = objective.start_date
+    ? addMonths(objective.start_date, months)
+    : new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
+
+  return { start_date: nextStart, due_date: nextDue, months };
+}
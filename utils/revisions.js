@@ -0,0 +1,83 @@
+// Field-level revision helpers for objectives and key results
+
+// Objective fields whose changes are recorded in the revision history
+export const OBJECTIVE_TRACKED_FIELDS = [
+  'title',
+  'description',
+  'owner_id',
+  'department_id',
+  'parent_objective_id',
+  'cycle_id',
+  'status',
+  'priority',
+  'start_date',
+  'due_date',
+  'target_value',
+  'current_value',
+  'check_in_cadence',
+  'recurrence',
+  'visibility',
+  'tags',
+  'custom_fields'
+];
+
+// Key result fields whose changes are recorded in the revision history
+export const KEY_RESULT_TRACKED_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'start_value',
+  'target_value',
+  'current_value',
+  'unit',
+  'status',
+  'due_date',
+  'weight',
+  'auto_update_progress',
+  'custom_fields'
+];
+
+/**
+ * Normalize a field value so equivalent values compare equal
+ * (e.g. undefined vs null, '2026-01-01' vs '2026-01-01T00:00:00Z', '5' vs 5)
+ * @param {*} value - Raw field value
+ * @returns {*} Normalized value
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === '') return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T00:00:00(\.000)?(Z|\+00:00)?$/.test(value)) {
+    return value.substring(0, 10);
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Compute the per-field differences between two versions of a record
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<Object>} Changes as { field, old_value, new_value }
+ */
+export function diffFields(before, after, fields) {
+  const changes = [];
+
+  fields.forEach(field => {
+    if (!after || !(field in after)) return;
+
+    const oldValue = normalizeValue(before?.[field]);
+    const newValue = normalizeValue(after[field]);
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        field,
+        old_value: before?.[field] ?? null,
+        new_value: after[field] ?? null
+      });
+    }
+  });
+
+  return changes;
+}
@@ -0,0 +1,158 @@
+// In-process job scheduler with state persisted in the scheduled_jobs table
+//
+// Each server process ticks once a minute and runs any job whose next_run_at has
+// passed. A job is claimed by setting locked_until, so when several processes run
+// only one of them executes it; a crashed run is retried once the lock expires.
+
+import supabase from '../db.js';
+
+const TICK_MS = 60 * 1000;
+
+// How long a claimed job stays locked if the process running it dies
+const LOCK_MS = 30 * 60 * 1000;
+
+const jobs = new Map();
+let timer = null;
+
+/**
+ * Register a job to run on a fixed interval
+ * @param {string} name - Unique job name, used as the scheduled_jobs primary key
+ * @param {Object} options - { intervalMinutes, run } - run returns a JSON-serializable result
+ */
+export function registerJob(name, { intervalMinutes, run }) {
+  jobs.set(name, { name, intervalMinutes, run });
+}
+
+async function loadJobState(name) {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Try to take the job's lock; resolves to true if this process should run it
+async function claimJob(job, now) {
+  const lockedUntil = new Date(now.getTime() + LOCK_MS).toISOString();
+  const state = await loadJobState(job.name);
+
+  if (!state) {
+    // First run anywhere - the primary key stops two processes inserting it
+    const { error } = await supabase
+      .from('scheduled_jobs')
+      .insert({
+        name: job.name,
+        interval_minutes: job.intervalMinutes,
+        next_run_at: now.toISOString(),
+        locked_until: lockedUntil
+      });
+    return !error;
+  }
+
+  if (state.next_run_at && new Date(state.next_run_at) > now) return false;
+  if (state.locked_until && new Date(state.locked_until) > now) return false;
+
+  // Only succeeds if nobody claimed it since we read it
+  let queryBuilder = supabase
+    .from('scheduled_jobs')
+    .update({ locked_until: lockedUntil, interval_minutes: job.intervalMinutes, updated_at: now.toISOString() })
+    .eq('name', job.name);
+  queryBuilder = state.locked_until
+    ? queryBuilder.eq('locked_until', state.locked_until)
+    : queryBuilder.is('locked_until', null);
+
+  const { data: claimed, error } = await queryBuilder.select('name');
+  return !error && claimed && claimed.length > 0;
+}
+
+async function executeJob(job, now = new Date()) {
+  let status = 'success';
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = (await job.run()) ?? null;
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    console.error(`Scheduled job ${job.name} failed:`, error);
+  }
+
+  const finishedAt = new Date();
+  await supabase
+    .from('scheduled_jobs')
+    .update({
+      last_run_at: now.toISOString(),
+      last_status: status,
+      last_error: errorMessage,
+      last_result: result,
+      next_run_at: new Date(now.getTime() + job.intervalMinutes * 60 * 1000).toISOString(),
+      locked_until: null,
+      updated_at: finishedAt.toISOString()
+    })
+    .eq('name', job.name);
+
+  return { name: job.name, status, result, error: errorMessage };
+}
+
+async function tick() {
+  const now = new Date();
+  for (const job of jobs.values()) {
+    try {
+      if (await claimJob(job, now)) {
+        await executeJob(job, now);
+      }
+    } catch (error) {
+      console.error(`Error scheduling job ${job.name}:`, error);
+    }
+  }
+}
+
+/**
+ * Start ticking; safe to call more than once
+ */
+export function startScheduler() {
+  if (timer) return;
+  tick();
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+}
+
+/**
+ * Stop ticking (jobs already running finish on their own)
+ */
+export function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * List registered jobs with their persisted state
+ * Jobs run across every organization, so their results and errors are left out;
+ * those stay in scheduled_jobs and the server log.
+ * @returns {Promise<Array<Object>>} Job state rows, including jobs that have never run
+ */
+export async function listJobs() {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('name, interval_minutes, last_run_at, last_status, next_run_at, locked_until')
+    .in('name', Array.from(jobs.keys()));
+
+  if (error) throw error;
+
+  const states = new Map((data || []).map(row => [row.name, row]));
+  return Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    interval_minutes: job.intervalMinutes,
+    last_run_at: null,
+    last_status: null,
+    next_run_at: null,
+    locked_until: null,
+    ...states.get(job.name)
+  }));
+}
@@ -0,0 +1,176 @@
+// Reading and writing CSV and XLSX files for objective import and export
+//
+// Rows are read as { row, values } where row is the 1-based line in the file
+// (the header is row 1) and values are keyed by header. Cells come back as
+// strings, numbers or booleans; spreadsheet dates become YYYY-MM-DD strings.
+// Writers take sheets of { name, headers, rows } with rows in header order.
+
+import path from 'path';
+import ExcelJS from 'exceljs';
+
+export const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+export const SPREADSHEET_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Work out the format of an uploaded file from its name
+ * @param {string} filename - Original file name
+ * @returns {string|null} 'csv', 'xlsx', or null if unsupported
+ */
+export function spreadsheetFormat(filename) {
+  const ext = path.extname(filename || '').toLowerCase().slice(1);
+  return SPREADSHEET_FORMATS.includes(ext) ? ext : null;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line breaks)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  // Text starting like a formula would be evaluated when the CSV is opened in a spreadsheet app
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a sheet as CSV
+ * @param {Object} sheet - { headers, rows }
+ * @returns {string} CSV text with CRLF line breaks
+ */
+export function formatCsv({ headers, rows }) {
+  return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Flatten an ExcelJS cell value (rich text, hyperlinks, formulas, dates) into a plain value
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return toDateString(value);
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellValue(value.text);
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.error) return '';
+  return String(value);
+}
+
+async function readXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      values.push(cellValue(row.getCell(col).value));
+    }
+    rows[rowNumber - 1] = values;
+  });
+
+  return Array.from(rows, row => row || []);
+}
+
+const isBlank = (value) => value === '' || value === null || value === undefined ||
+  (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Read the first sheet of a CSV or XLSX file
+ * Blank rows are skipped; row numbers still match the file.
+ * @param {Buffer} buffer - File content
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Object>} { headers, rows } - rows are { row, values } keyed by header
+ */
+export async function readSpreadsheet(buffer, format) {
+  const raw = format === 'xlsx'
+    ? await readXlsxRows(buffer)
+    : parseCsv(buffer.toString('utf8'));
+
+  const headers = (raw[0] || []).map(header => String(header ?? '').trim());
+  const rows = [];
+
+  raw.slice(1).forEach((cells, index) => {
+    if (cells.every(isBlank)) return;
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = cells[col] ?? '';
+    });
+    rows.push({ row: index + 2, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * Build an XLSX workbook with one worksheet per sheet
+ * @param {Array<Object>} sheets - { name, headers, rows }
+ * @returns {Promise<Buffer>} XLSX file content
+ */
+export async function buildWorkbook(sheets) {
+  const workbook = new ExcelJS.Workbook();
+
+  sheets.forEach(({ name, headers, rows }) => {
+    const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.addRow(headers).font = { bold: true };
+    rows.forEach(row => worksheet.addRow(row.map(value => value ?? null)));
+
+    // Fit columns to their contents, within reason
+    headers.forEach((header, index) => {
+      const widest = rows.reduce((max, row) => Math.max(max, String(row[index] ?? '').length), String(header).length);
+      worksheet.getColumn(index + 1).width = Math.min(Math.max(widest + 2, 10), 60);
+    });
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
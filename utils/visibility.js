@@ -0,0 +1,71 @@
+// Objective visibility levels and the rules for who can see an objective
+//
+//   org        - everyone in the organization (default)
+//   department - members of the objective's department
+//   private    - the owner and contributors
+//   restricted - the owner, contributors and an explicit list of users (objective_viewers)
+//
+// Admins can see every objective in their organization. The same rules are
+// implemented in SQL by can_view_objective() (migrations/add_objective_visibility.sql).
+
+import { quoteFilterValue } from './pagination.js';
+
+export const VISIBILITY_LEVELS = ['org', 'department', 'private', 'restricted'];
+
+/**
+ * Validate a visibility level
+ * @param {string} visibility - Visibility level
+ * @returns {string|null} Error message, or null if the level is valid
+ */
+export function validateVisibility(visibility) {
+  if (!VISIBILITY_LEVELS.includes(visibility)) {
+    return `Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a viewer can see an objective
+ * @param {Object} objective - Objective with visibility, owner_id, department_id, organization_id
+ * @param {Object|null} viewer - { id, role, organizationId, departmentId, objectiveIds } or null when anonymous
+ *   objectiveIds holds the objectives the viewer contributes to or is explicitly listed on
+ * @returns {boolean} True if the objective is visible; anonymous callers see nothing
+ */
+export function canViewObjective(objective, viewer) {
+  if (!objective || !viewer) return false;
+
+  const visibility = objective.visibility || 'org';
+
+  if (objective.organization_id && viewer.organizationId && objective.organization_id !== viewer.organizationId) {
+    return false;
+  }
+
+  if (viewer.role === 'Admin' || visibility === 'org') return true;
+  if (objective.owner_id && objective.owner_id === viewer.id) return true;
+  if (viewer.objectiveIds?.has(objective.id)) return true;
+
+  return visibility === 'department' && !!objective.department_id && objective.department_id === viewer.departmentId;
+}
+
+/**
+ * Build a PostgREST or() filter matching the objectives a viewer can see
+ * @param {Object|null} viewer - Viewer as for canViewObjective
+ * @returns {string|null} Filter string, or null when no filter is needed (admins)
+ */
+export function visibilityFilter(viewer) {
+  // Matches no rows: anonymous callers see nothing
+  if (!viewer) return 'id.is.null';
+  if (viewer.role === 'Admin') return null;
+
+  const conditions = ['visibility.eq.org', 'visibility.is.null'];
+
+  conditions.push(`owner_id.eq.${quoteFilterValue(viewer.id)}`);
+  if (viewer.departmentId) {
+    conditions.push(`and(visibility.eq.department,department_id.eq.${quoteFilterValue(viewer.departmentId)})`);
+  }
+  if (viewer.objectiveIds && viewer.objectiveIds.size > 0) {
+    conditions.push(`id.in.(${Array.from(viewer.objectiveIds).map(quoteFilterValue).join(',')})`);
+  }
+
+  return conditions.join(',');
+}